@@ -0,0 +1,138 @@
+// Entry categories. This list is the single source of truth for the
+// entries.category ENUM, request validation and the AI prompts, so a new
+// category only needs to be added here (then run `npm run migrate`).
+const CATEGORIES = [
+  {
+    name: "Architecture",
+    slug: "architecture",
+    description:
+      "Buildings, monuments, sacred sites and traditional construction styles",
+  },
+  {
+    name: "Art",
+    slug: "art",
+    description: "Visual arts such as painting, sculpture and calligraphy",
+  },
+  {
+    name: "Music",
+    slug: "music",
+    description: "Musical traditions, instruments, songs and performance",
+  },
+  {
+    name: "Dance",
+    slug: "dance",
+    description: "Traditional, ceremonial and social dance forms",
+  },
+  {
+    name: "Literature",
+    slug: "literature",
+    description: "Written and oral literature, poetry and storytelling",
+  },
+  {
+    name: "Cuisine",
+    slug: "cuisine",
+    description: "Food, drink, recipes and dining customs",
+  },
+  {
+    name: "Festivals",
+    slug: "festivals",
+    description: "Celebrations, holidays and seasonal events",
+  },
+  {
+    name: "Rituals",
+    slug: "rituals",
+    description: "Ceremonies, rites of passage and customary observances",
+  },
+  {
+    name: "Crafts",
+    slug: "crafts",
+    description: "Handicrafts, artisanal skills and traditional techniques",
+  },
+  {
+    name: "Clothing",
+    slug: "clothing",
+    description: "Traditional dress, textiles and adornment",
+  },
+  {
+    name: "Language",
+    slug: "language",
+    description: "Languages, dialects, scripts and expressions",
+  },
+  {
+    name: "Folklore",
+    slug: "folklore",
+    description: "Myths, legends, folk beliefs and superstitions",
+  },
+  {
+    name: "Religion",
+    slug: "religion",
+    description: "Religious beliefs, practices and institutions",
+  },
+  {
+    name: "Sports",
+    slug: "sports",
+    description: "Traditional games, sports and martial arts",
+  },
+  {
+    name: "Business Etiquette",
+    slug: "business-etiquette",
+    description:
+      "Meeting, greeting, negotiation and gift-giving customs in business",
+  },
+  {
+    name: "Marketing Practices",
+    slug: "marketing-practices",
+    description:
+      "How audiences respond to advertising, branding and communication styles",
+  },
+  {
+    name: "HR & Diversity",
+    slug: "hr-diversity",
+    description:
+      "Workplace norms, hierarchy, hiring and inclusion across cultures",
+  },
+  {
+    name: "Sales Strategies",
+    slug: "sales-strategies",
+    description: "Relationship building and selling approaches across markets",
+  },
+  {
+    name: "Other",
+    slug: "other",
+    description: "Anything that does not fit the categories above",
+  },
+].map((category) => Object.freeze(category));
+
+const DEFAULT_CATEGORY = "Other";
+
+const CATEGORY_NAMES = CATEGORIES.map((category) => category.name);
+
+const isValidCategory = (name) => CATEGORY_NAMES.includes(name);
+
+// Look a category up by name or slug
+const getCategory = (nameOrSlug) =>
+  CATEGORIES.find(
+    (category) => category.name === nameOrSlug || category.slug === nameOrSlug
+  ) || null;
+
+// Column definition used by the entries table migration
+const categoryEnumSql = () =>
+  `ENUM(${CATEGORY_NAMES.map((name) => `'${name.replace(/'/g, "''")}'`).join(
+    ", "
+  )})`;
+
+// Bullet list of categories for AI prompts
+const categoryPromptList = () =>
+  CATEGORIES.map(
+    (category) => `- ${category.name}: ${category.description}`
+  ).join("\n");
+
+module.exports = {
+  CATEGORIES: Object.freeze(CATEGORIES),
+  CATEGORY_NAMES: Object.freeze(CATEGORY_NAMES),
+  DEFAULT_CATEGORY,
+  isValidCategory,
+  getCategory,
+  categoryEnumSql,
+  categoryPromptList,
+};
@@ -2,6 +2,7 @@ const cloudinary = require("cloudinary").v2;
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const multer = require("multer");
 const path = require("path");
+const { ValidationError } = require("../utils/errors");
 
 class CloudinaryConfig {
     constructor() {
@@ -217,7 +218,7 @@ class CloudinaryConfig {
         if (extname && mimetype) {
         return cb(null, true);
         } else {
-        cb(new Error("Only image files (JPEG, PNG, GIF, WebP) are allowed!"));
+        cb(new ValidationError("Only image files (JPEG, PNG, GIF, WebP) are allowed!"));
         }
     }
 
@@ -232,7 +233,7 @@ class CloudinaryConfig {
         if (extname && mimetype) {
         return cb(null, true);
         } else {
-        cb(new Error("Only audio files (MP3, WAV, OGG, M4A) are allowed!"));
+        cb(new ValidationError("Only audio files (MP3, WAV, OGG, M4A) are allowed!"));
         }
     }
 
@@ -247,7 +248,7 @@ class CloudinaryConfig {
         if (extname && mimetype) {
         return cb(null, true);
         } else {
-        cb(new Error("Only video files (MP4, MOV, AVI, WebM) are allowed!"));
+        cb(new ValidationError("Only video files (MP4, MOV, AVI, WebM) are allowed!"));
         }
     }
 
@@ -262,7 +263,7 @@ class CloudinaryConfig {
         return cb(null, true);
         } else {
         cb(
-            new Error(
+            new ValidationError(
             "Only document files (PDF, DOC, DOCX, TXT, XLS, XLSX, PPT, PPTX) are allowed!"
             )
         );
@@ -302,6 +303,38 @@ class CloudinaryConfig {
         }
     }
 
+    // Upload an in-memory file to Cloudinary (e.g. a processed image)
+    async uploadBuffer(buffer, options = {}) {
+        try {
+        if (!this.isConfigured) {
+            throw new Error("Cloudinary is not configured");
+        }
+
+        const result = await new Promise((resolve, reject) => {
+            cloudinary.uploader
+            .upload_stream(
+                { resource_type: "image", ...options },
+                (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+            )
+            .end(buffer);
+        });
+
+        return {
+            success: true,
+            url: result.secure_url,
+            publicId: result.public_id,
+            format: result.format,
+            width: result.width,
+            height: result.height,
+            bytes: result.bytes,
+            resourceType: result.resource_type,
+        };
+        } catch (error) {
+        console.error("Error uploading file to Cloudinary:", error.message);
+        throw error;
+        }
+    }
+
     // Delete file from Cloudinary
     async deleteFile(publicId, resourceType = "image") {
         try {
@@ -374,6 +407,18 @@ class CloudinaryConfig {
         });
     }
 
+    // Generate a poster image URL for a video
+    getVideoThumbnailUrl(publicId, width = 400, height = 225) {
+        return this.getTransformedUrl(publicId, {
+        resource_type: "video",
+        format: "jpg",
+        width,
+        height,
+        crop: "fill",
+        start_offset: "auto",
+        });
+    }
+
     // Get optimized image URL
     getOptimizedImageUrl(publicId, width = 1200) {
         return this.getTransformedUrl(publicId, {
@@ -384,6 +429,30 @@ class CloudinaryConfig {
         });
     }
 
+    // Get details of an uploaded file (dimensions, duration, size)
+    async getFileDetails(publicId, resourceType = "image") {
+        try {
+        if (!this.isConfigured) {
+            throw new Error("Cloudinary is not configured");
+        }
+
+        const result = await cloudinary.api.resource(publicId, {
+            resource_type: resourceType,
+        });
+
+        return {
+            width: result.width || null,
+            height: result.height || null,
+            duration: result.duration || null,
+            bytes: result.bytes,
+            format: result.format,
+        };
+        } catch (error) {
+        console.error("Error getting file details from Cloudinary:", error.message);
+        throw error;
+        }
+    }
+
     // List files in a folder
     async listFiles(folder, options = {}) {
         try {
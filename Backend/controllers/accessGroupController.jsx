@@ -0,0 +1,301 @@
+const AccessGroup = require("../models/AccessGroup");
+const AccessGroupMember = require("../models/AccessGroupMember");
+const User = require("../models/User");
+const Tag = require("../models/Tag");
+const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+const MEMBER_FIELDS = "username profilePicture";
+
+class AccessGroupController {
+  // List the groups the user belongs to; admins see every group
+    async getGroups(req, res) {
+        const isAdmin = req.user.role === "admin";
+        const memberships = await AccessGroupMember.find({
+            user: req.user.userId,
+        })
+            .select("group level")
+            .lean();
+        const levels = new Map(
+            memberships.map((membership) => [membership.group, membership.level])
+        );
+
+        const groups = await AccessGroup.find(
+            isAdmin ? {} : { _id: { $in: [...levels.keys()] } }
+        )
+            .sort({ name: 1 })
+            .lean();
+        const counts = await AccessGroupMember.aggregate([
+            { $match: { group: { $in: groups.map((group) => group._id) } } },
+            { $group: { _id: "$group", count: { $sum: 1 } } },
+        ]);
+        const countById = new Map(counts.map((row) => [row._id, row.count]));
+
+        res.json({
+            success: true,
+            data: {
+            groups: groups.map((group) => ({
+                ...group,
+                memberCount: countById.get(group._id) || 0,
+                myLevel: levels.get(group._id) || null,
+            })),
+            },
+        });
+    }
+
+    // Load a group and check the user is an admin or holds `level` in it
+    async loadGroup(id, user, level = "member") {
+        const group = await AccessGroup.findById(id);
+        if (!group) {
+            throw new NotFoundError("Access group not found");
+        }
+
+        const membership = await AccessGroupMember.findOne({
+            group: group._id,
+            user: user.userId,
+        }).lean();
+        const allowed =
+            user.role === "admin" ||
+            (membership && AccessGroupMember.atLeast(membership.level, level));
+
+        if (!allowed) {
+            throw new ForbiddenError(
+            level === "custodian"
+                ? "Only the group's custodians can do this"
+                : "Access denied to this group"
+            );
+        }
+
+        return { group, membership };
+    }
+
+    // Create a group (Admin only); the creator becomes its first custodian
+    async createGroup(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { name, description } = req.body;
+        const slug = Tag.slugify(name);
+        if (!slug) {
+            throw new ValidationError("Group name must contain letters or numbers");
+        }
+        if (await AccessGroup.findOne({ slug }).select("_id").lean()) {
+            throw new ConflictError("An access group with this name already exists");
+        }
+
+        const group = await AccessGroup.create({
+            name: name.trim(),
+            slug,
+            description: description?.trim() || null,
+            createdBy: req.user.userId,
+        });
+        await AccessGroupMember.create({
+            group: group._id,
+            user: req.user.userId,
+            level: "custodian",
+            addedBy: req.user.userId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Access group created successfully",
+            data: { group },
+        });
+    }
+
+    // Get a group with the user's level in it
+    async getGroup(req, res) {
+        const { group, membership } = await this.loadGroup(
+            req.params.id,
+            req.user
+        );
+
+        res.json({
+            success: true,
+            data: {
+            group,
+            memberCount: await AccessGroupMember.countDocuments({
+                group: group._id,
+            }),
+            myLevel: membership?.level || null,
+            },
+        });
+    }
+
+    // Rename or describe a group (custodians and admins)
+    async updateGroup(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { group } = await this.loadGroup(
+            req.params.id,
+            req.user,
+            "custodian"
+        );
+        const { name, description } = req.body;
+
+        if (name !== undefined) {
+            const slug = Tag.slugify(name);
+            const existing = await AccessGroup.findOne({ slug })
+            .select("_id")
+            .lean();
+            if (existing && existing._id !== group._id) {
+            throw new ConflictError(
+                "An access group with this name already exists"
+            );
+            }
+            group.name = name.trim();
+            group.slug = slug;
+        }
+        if (description !== undefined) {
+            group.description = description?.trim() || null;
+        }
+        await group.save();
+
+        res.json({
+            success: true,
+            message: "Access group updated successfully",
+            data: { group },
+        });
+    }
+
+    // Delete a group (Admin only). Its entries keep their tier but lose the
+    // group, so only their authors and admins can see them until reassigned.
+    async deleteGroup(req, res) {
+        const group = await AccessGroup.findById(req.params.id);
+        if (!group) {
+            throw new NotFoundError("Access group not found");
+        }
+
+        await group.deleteOne();
+
+        res.json({
+            success: true,
+            message: "Access group deleted successfully",
+        });
+    }
+
+    // List a group's members (custodians and admins)
+    async getMembers(req, res) {
+        const { group } = await this.loadGroup(
+            req.params.id,
+            req.user,
+            "custodian"
+        );
+        const { level } = req.query;
+
+        const filter = { group: group._id };
+        if (level) filter.level = level;
+
+        const members = await AccessGroupMember.find(filter)
+            .populate("user", MEMBER_FIELDS)
+            .populate("addedBy", "username")
+            .sort({ createdAt: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: { group: { _id: group._id, name: group.name }, members },
+        });
+    }
+
+    // Add a user to a group or change their level (custodians and admins)
+    async setMember(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { group } = await this.loadGroup(
+            req.params.id,
+            req.user,
+            "custodian"
+        );
+        const { userId } = req.params;
+        const level = req.body.level || "member";
+
+        const user = await User.findById(userId).select("_id").lean();
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        let member = await AccessGroupMember.findOne({
+            group: group._id,
+            user: userId,
+        });
+        const added = !member;
+        if (added) {
+            member = new AccessGroupMember({
+            group: group._id,
+            user: userId,
+            level,
+            addedBy: req.user.userId,
+            });
+        } else {
+            await this.assertKeepsCustodian(group, member, level);
+            member.level = level;
+        }
+        await member.save();
+        await member.populate("user", MEMBER_FIELDS);
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added
+            ? "Member added successfully"
+            : "Member level updated successfully",
+            data: { member },
+        });
+    }
+
+    // Remove a member (custodians and admins), or leave a group yourself
+    async removeMember(req, res) {
+        const { id, userId } = req.params;
+        const { group } = await this.loadGroup(
+            id,
+            req.user,
+            userId === req.user.userId ? "member" : "custodian"
+        );
+
+        const member = await AccessGroupMember.findOne({
+            group: group._id,
+            user: userId,
+        });
+        if (!member) {
+            throw new NotFoundError("Member not found");
+        }
+
+        await this.assertKeepsCustodian(group, member, null);
+        await member.deleteOne();
+
+        res.json({
+            success: true,
+            message: "Member removed successfully",
+        });
+    }
+
+    // A group must keep at least one custodian to manage it
+    async assertKeepsCustodian(group, member, newLevel) {
+        if (member.level !== "custodian" || newLevel === "custodian") return;
+
+        const custodians = await AccessGroupMember.countDocuments({
+            group: group._id,
+            level: "custodian",
+        });
+        if (custodians <= 1) {
+            throw new ValidationError(
+            "A group needs at least one custodian. Appoint another one first."
+            );
+        }
+    }
+}
+
+module.exports = new AccessGroupController();
@@ -1,122 +1,125 @@
 const Entry = require("../models/Entry");
 const Conversation = require("../models/Conversation");
+const Tag = require("../models/Tag");
+const EntryEnhancement = require("../models/EntryEnhancement");
+const entryController = require("./entryController.jsx");
 const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    UpstreamAIError,
+} = require("../utils/errors");
+const { getCategory, categoryPromptList } = require("../config/categories");
+const { createAIProvider } = require("../services/ai");
+const knowledgeRetriever = require("../services/ai/retrieval");
+const entryAccess = require("../services/access");
+const ConversationMemory = require("../services/ai/conversationMemory");
+const { completeJSON } = require("../services/ai/structured");
+const {
+    TAGS_SCHEMA,
+    SUGGESTIONS_SCHEMA,
+    ENHANCEABLE_FIELDS,
+    ENHANCEMENT_SCHEMA,
+} = require("../services/ai/schemas");
+const LRUCache = require("../utils/lruCache");
+const { openEventStream } = require("../utils/sse");
+const { normalizeError } = require("../middleware/errorMiddleware.jsx");
+const { stripHtml } = require("../middleware/validationMiddleware.jsx");
+const { sameValue, diffField } = require("../utils/diff");
 
 class AIController {
     constructor() {
         // Initialize AI service based on environment configuration
         this.aiService = this.initializeAIService();
-        this.conversationCache = new Map();
+        this.conversationCache = new LRUCache({
+            maxSize: Number(process.env.CONVERSATION_CACHE_SIZE) || 200,
+            ttlMs: 30 * 60 * 1000,
+        });
+        this.memory = new ConversationMemory({ cache: this.conversationCache });
     }
 
-  // Initialize AI service
+  // Create the AI provider named by AI_PROVIDER
     initializeAIService() {
-        const aiProvider = process.env.AI_PROVIDER || "openai";
-
         try {
-        switch (aiProvider.toLowerCase()) {
-            case "openai":
-            const { OpenAI } = require("openai");
-            return new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY,
-            });
-
-            case "anthropic":
-            const { Anthropic } = require("@anthropic-ai/sdk");
-            return new Anthropic({
-                apiKey: process.env.ANTHROPIC_API_KEY,
-            });
-
-            case "google":
-            const { GoogleGenerativeAI } = require("@google/generative-ai");
-            return new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-
-            default:
-            console.warn("No AI provider configured or unsupported provider");
-            return null;
-        }
+        const provider = createAIProvider();
+        console.log(`✅ AI provider ready: ${provider.name} (${provider.model})`);
+        return provider;
         } catch (error) {
         console.error("Failed to initialize AI service:", error.message);
         return null;
         }
     }
 
-    // Main Q&A endpoint - Ask AI about cultural heritage topics
-    async askQuestion(req, res) {
-        try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+    // Fail with 503 when no AI provider could be initialized
+    assertAvailable() {
+        if (!this.aiService) {
+        throw new UpstreamAIError(
+            "AI service not available. Please check configuration.",
+            { statusCode: 503, code: "AI_UNAVAILABLE" }
+        );
         }
+    }
 
+    // Entries under a community access protocol never go into a prompt
+    assertShareable(entry) {
+        if (entryAccess.isProtocolTier(entry)) {
+        throw new ForbiddenError(
+            "This entry is restricted by its community's access protocol and cannot be sent to AI services"
+        );
+        }
+    }
+
+    // Category name with its registry description, for prompts
+    describeCategory(name) {
+        const category = getCategory(name);
+        if (!category) return name || "Not provided";
+        return `${category.name} (${category.description})`;
+    }
+
+    // Existing tags for a list of names, keyed by slug
+    async findExistingTags(names) {
+        const slugs = names.map((name) => Tag.slugify(name)).filter(Boolean);
+        if (slugs.length === 0) return new Map();
+
+        const tags = await Tag.find({ slug: { $in: slugs } })
+            .select("name slug usageCount")
+            .lean();
+        return new Map(tags.map((tag) => [tag.slug, tag]));
+    }
+
+    // Build the request for a question: assistant instructions, retrieved
+    // entries and the earlier turns of the conversation as chat messages
+    async prepareQuestion(req) {
         const {
             question,
             context,
             includeEntries = false,
             conversationId = null,
-            temperature = 0.7,
             maxTokens = 1000,
         } = req.body;
 
-        if (!this.aiService) {
-            return res.status(503).json({
-            success: false,
-            message: "AI service not available. Please check configuration.",
-            });
-        }
-
-        // Prepare context from user's entries if requested
-        let entryContext = "";
+        // Ground the answer in the most relevant public entries
+        let retrieved = { chunks: [], sources: [] };
         if (includeEntries) {
             try {
-            const userEntries = await Entry.find({
-                author: req.user.userId,
-                status: "published",
-            })
-                .limit(5)
-                .select("title description culturalContext category location");
-
-            if (userEntries.length > 0) {
-                entryContext =
-                "\n\nRelevant cultural entries from your collection:\n";
-                userEntries.forEach((entry, index) => {
-                entryContext += `${index + 1}. ${entry.title} (${
-                    entry.category
-                })\n`;
-                entryContext += `   Description: ${entry.description.substring(
-                    0,
-                    200
-                )}...\n`;
-                if (entry.culturalContext) {
-                    entryContext += `   Cultural Context: ${entry.culturalContext.substring(
-                    0,
-                    150
-                    )}...\n`;
-                }
-                if (entry.location?.country) {
-                    entryContext += `   Location: ${entry.location.country}\n`;
-                }
-                });
-            }
-            } catch (entryError) {
-            console.warn("Failed to fetch user entries for context:", entryError);
+            retrieved = await knowledgeRetriever.retrieve(question);
+            } catch (retrievalError) {
+            console.warn("Knowledge base retrieval failed:", retrievalError.message);
             }
         }
+        const entryContext = retrieved.chunks.length
+            ? `\n\n${knowledgeRetriever.formatContext(retrieved.chunks)}`
+            : "";
 
-        // Retrieve conversation history if conversationId is provided
-        let conversationHistory = [];
+        // Load the conversation being continued, if any
+        let conversation = null;
         if (conversationId) {
-            const conversation = await Conversation.findOne({
-            _id: conversationId,
-            userId: req.user.userId,
-            });
+            conversation = await this.memory.load(conversationId, req.user.userId);
 
-            if (conversation) {
-            conversationHistory = conversation.messages.slice(-5); // Last 5 messages
+            if (!conversation) {
+            throw new NotFoundError("Conversation not found");
             }
         }
 
@@ -139,176 +142,186 @@ class AIController {
     5. Encourage proper permissions and ethical practices
     6. Cite sources when possible
     7. Admit uncertainty rather than speculate
-    8. Be sensitive to cultural appropriation concerns`;
+    8. Be sensitive to cultural appropriation concerns
+    9. When knowledge base excerpts are provided, base your answer on them and cite each one you use with its number, e.g. [1]; say so when they do not cover the question`;
 
         const userPrompt = `Question: ${question}
 
     ${context ? `Additional context: ${context}` : ""}${entryContext}
 
-    ${
-    conversationHistory.length > 0
-        ? `\nPrevious conversation:\n${conversationHistory
-            .map((msg) => `${msg.role}: ${msg.content}`)
-            .join("\n")}`
-        : ""
+    Please provide a comprehensive, educational response about this cultural heritage topic.`;
+
+        // Earlier turns go in as real messages, as many as the model's token
+        // budget allows; older ones are covered by the rolling summary
+        const { history, summary } = await this.memory.buildContext(
+            conversation,
+            this.aiService,
+            {
+            budget: this.memory.historyBudget(this.aiService.model, {
+                system: systemPrompt,
+                prompt: userPrompt,
+                maxTokens,
+            }),
+            }
+        );
+
+        return {
+            system: summary
+            ? `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}`
+            : systemPrompt,
+            messages: [...history, { role: "user", content: userPrompt }],
+            retrieved,
+            conversation,
+        };
     }
 
-    Please provide a comprehensive, educational response about this cultural heritage topic.`;
+    // Main Q&A endpoint - Ask AI about cultural heritage topics
+    async askQuestion(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
 
-        // Make AI API call based on provider
-        let aiResponse;
-        const aiProvider = process.env.AI_PROVIDER || "openai";
-
-        if (aiProvider === "openai") {
-            const messages = [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt },
-            ];
-
-            const completion = await this.aiService.chat.completions.create({
-            model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-            messages: messages,
-            max_tokens: maxTokens,
-            temperature: temperature,
-            });
+        const { question, temperature = 0.7, maxTokens = 1000 } = req.body;
 
-            aiResponse = completion.choices[0].message.content;
-        } else if (aiProvider === "anthropic") {
-            const message = await this.aiService.messages.create({
-            model: process.env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
-            max_tokens: maxTokens,
-            temperature: temperature,
-            system: systemPrompt,
-            messages: [{ role: "user", content: userPrompt }],
-            });
+        this.assertAvailable();
 
-            aiResponse = message.content[0].text;
-        } else if (aiProvider === "google") {
-            const model = this.aiService.getGenerativeModel({
-            model: process.env.GOOGLE_MODEL || "gemini-pro",
-            });
+        const { system, messages, retrieved, conversation } =
+            await this.prepareQuestion(req);
 
-            const result = await model.generateContent([systemPrompt, userPrompt]);
-            const response = await result.response;
-            aiResponse = response.text();
-        }
+        const completion = await this.aiService.complete({
+            system,
+            messages,
+            maxTokens,
+            temperature,
+        });
+        const aiResponse = completion.text;
 
         // Save conversation history
-        let newConversationId = conversationId;
-        if (!conversationId) {
-            const newConversation = new Conversation({
-            userId: req.user.userId,
-            title: question.substring(0, 100),
-            messages: [
-                { role: "user", content: question },
-                { role: "assistant", content: aiResponse },
-            ],
-            });
-            const savedConversation = await newConversation.save();
-            newConversationId = savedConversation._id;
-        } else {
-            await Conversation.findByIdAndUpdate(conversationId, {
-            $push: {
-                messages: {
-                $each: [
-                    { role: "user", content: question },
-                    { role: "assistant", content: aiResponse },
-                ],
-                },
-            },
-            $set: { updatedAt: new Date() },
-            });
-        }
+        const conversationId = await this.memory.recordExchange(
+            conversation,
+            req.user.userId,
+            question,
+            aiResponse
+        );
 
         res.json({
             success: true,
             data: {
             question,
             answer: aiResponse,
-            conversationId: newConversationId,
+            conversationId,
             timestamp: new Date(),
-            provider: aiProvider,
-            model:
-                process.env.OPENAI_MODEL ||
-                process.env.ANTHROPIC_MODEL ||
-                process.env.GOOGLE_MODEL ||
-                "default",
+            sources: retrieved.sources,
+            citedEntryIds: knowledgeRetriever
+                .citedSources(aiResponse, retrieved.sources)
+                .map((source) => source.entryId),
+            provider: completion.provider,
+            model: completion.model,
             },
         });
-        } catch (error) {
-        console.error("AI question error:", error);
+    }
 
-        // Handle specific AI service errors
-        if (error.code === "insufficient_quota" || error.status === 429) {
-            return res.status(503).json({
-            success: false,
-            message: "AI service quota exceeded. Please try again later.",
-            });
+    // Streaming Q&A - same as askQuestion, but sends the answer as
+    // Server-Sent Events: "meta", then "token" deltas, then "done"
+    async askQuestionStream(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
         }
 
-        if (error.code === "rate_limit_exceeded" || error.status === 429) {
-            return res.status(429).json({
-            success: false,
-            message: "Too many requests. Please wait before trying again.",
-            });
-        }
+        const { question, temperature = 0.7, maxTokens = 1000 } = req.body;
+
+        this.assertAvailable();
+
+        const { system, messages, retrieved, conversation } =
+            await this.prepareQuestion(req);
 
-        if (error.code === "context_length_exceeded") {
-            return res.status(400).json({
-            success: false,
-            message:
-                "Question or context is too long. Please shorten your input.",
+        // Abort the upstream request if the client disconnects
+        const upstream = new AbortController();
+        const stream = openEventStream(res, {
+            onClose: () => upstream.abort(),
+        });
+
+        stream.send("meta", {
+            question,
+            conversationId: conversation?._id || null,
+            sources: retrieved.sources,
+            provider: this.aiService.name,
+            model: this.aiService.model,
+        });
+
+        let answer = "";
+        try {
+            for await (const text of this.aiService.stream({
+            system,
+            messages,
+            maxTokens,
+            temperature,
+            signal: upstream.signal,
+            })) {
+            answer += text;
+            stream.send("token", { text });
+            }
+        } catch (error) {
+            if (upstream.signal.aborted) return;
+
+            const appError = normalizeError(error);
+            if (appError.statusCode >= 500) {
+            console.error("❌ AI stream failed:", error);
+            }
+            stream.send("error", {
+            message: appError.message,
+            code: appError.code,
             });
+            return stream.close();
         }
 
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while processing AI request",
-            error:
-            process.env.NODE_ENV === "development" ? error.message : undefined,
+        // Client left before the answer finished; nothing to save
+        if (!stream.isOpen) return;
+
+        const conversationId = await this.memory.recordExchange(
+            conversation,
+            req.user.userId,
+            question,
+            answer
+        );
+
+        stream.send("done", {
+            conversationId,
+            answer,
+            citedEntryIds: knowledgeRetriever
+            .citedSources(answer, retrieved.sources)
+            .map((source) => source.entryId),
+            timestamp: new Date(),
         });
-        }
+        stream.close();
     }
 
     // Get suggestions for cultural entry enhancement
     async getEntrySuggestions(req, res) {
-        try {
         const { id } = req.params;
 
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
         // Check permissions
-        const canAccess =
-            entry.author.toString() === req.user.userId ||
-            entry.isPublic ||
-            req.user.role === "admin";
-
-        if (!canAccess) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied to this entry",
-            });
+        const viewer = await entryAccess.viewerFor(req.user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied to this entry");
         }
 
-        if (!this.aiService) {
-            return res.status(503).json({
-            success: false,
-            message: "AI service not available",
-            });
-        }
+        this.assertShareable(entry);
+        this.assertAvailable();
 
         // Create prompt for entry enhancement
         const prompt = `Analyze this cultural heritage entry and provide actionable suggestions for enhancement:
 
     Title: ${entry.title}
     Description: ${entry.description}
-    Category: ${entry.category}
+    Category: ${this.describeCategory(entry.category)}
     Cultural Context: ${entry.culturalContext || "Not provided"}
     Historical Period: ${entry.historicalPeriod || "Not provided"}
     Location: ${entry.location?.name || "Not provided"}, ${
@@ -316,106 +329,76 @@ class AIController {
         }
     Current Tags: ${entry.tags.join(", ") || "None"}
 
-    Please provide specific, actionable suggestions in the following areas:
-
-    1. DESCRIPTION IMPROVEMENTS:
-    - What details could enhance the description?
-    - What aspects are missing?
-
-    2. CULTURAL CONTEXT:
-    - What additional cultural information should be included?
-    - What cultural connections could be explored?
-
-    3. RECOMMENDED TAGS:
-    - Suggest 5-8 relevant tags that are missing
+    Available categories:
+${categoryPromptList()}
 
-    4. RESEARCH QUESTIONS:
-    - What questions should be investigated further?
-    - What sources should be consulted?
+    Return a JSON object with these sections:
 
-    5. RELATED TOPICS:
-    - What related cultural elements should be documented?
-    - What connections to other cultures exist?
+    - description: { issues, proposedText } - the details or aspects the description is missing, and a complete improved description that can replace the current one
+    - culturalContext: { issues, proposedText } - the cultural information and connections that should be added, and a complete improved cultural context
+    - recommendedTags: 5-8 relevant tags that are missing, each { name, reason }
+    - researchQuestions: questions to investigate further, naming the sources to consult
+    - relatedTopics: related cultural elements worth documenting or connections to other cultures, each { title, reason }
+    - category: only if another of the available categories fits better, { suggested, reason }; omit it otherwise
 
-    Format your response clearly with bullet points under each section.`;
+    Proposed texts must keep every accurate fact from the current entry and must not invent specific dates, names or figures.`;
 
-        const aiProvider = process.env.AI_PROVIDER || "openai";
-        let suggestions;
-
-        if (aiProvider === "openai") {
-            const completion = await this.aiService.chat.completions.create({
-            model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-            messages: [
-                {
-                role: "system",
-                content:
-                    "You are an expert in cultural heritage documentation and preservation. Provide helpful, specific, and respectful suggestions for improving cultural entries.",
-                },
-                { role: "user", content: prompt },
-            ],
-            max_tokens: 1200,
-            temperature: 0.6,
-            });
-
-            suggestions = completion.choices[0].message.content;
-        } else if (aiProvider === "anthropic") {
-            const message = await this.aiService.messages.create({
-            model: process.env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
-            max_tokens: 1200,
-            temperature: 0.6,
+        const { data } = await completeJSON(this.aiService, {
             system:
-                "You are an expert in cultural heritage documentation and preservation. Provide helpful, specific, and respectful suggestions for improving cultural entries.",
+            "You are an expert in cultural heritage documentation and preservation. Provide helpful, specific, and respectful suggestions for improving cultural entries.",
             messages: [{ role: "user", content: prompt }],
-            });
+            schema: SUGGESTIONS_SCHEMA,
+            maxTokens: 2000,
+            temperature: 0.6,
+        });
 
-            suggestions = message.content[0].text;
-        }
+        // Flag tags the entry already has or that exist elsewhere
+        const currentSlugs = new Set(entry.tags.map((tag) => Tag.slugify(tag)));
+        const existingTags = await this.findExistingTags(
+            data.recommendedTags.map((tag) => tag.name)
+        );
+        const recommendedTags = data.recommendedTags
+            .map((tag) => ({ ...tag, slug: Tag.slugify(tag.name) }))
+            .filter((tag) => tag.slug && !currentSlugs.has(tag.slug))
+            .map((tag) => ({
+            ...tag,
+            existing: existingTags.has(tag.slug),
+            tagId: existingTags.get(tag.slug)?._id || null,
+            }));
+
+        const category =
+            data.category && data.category.suggested !== entry.category
+            ? data.category
+            : null;
 
         res.json({
             success: true,
             data: {
             entryId: id,
             entryTitle: entry.title,
-            suggestions,
+            suggestions: { ...data, recommendedTags, category },
             timestamp: new Date(),
             },
         });
-        } catch (error) {
-        console.error("Get entry suggestions error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while generating suggestions",
-        });
-        }
     }
 
     // Generate tags for an entry based on content
     async generateTags(req, res) {
-        try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const { title, description, culturalContext, category, location } =
             req.body;
 
-        if (!this.aiService) {
-            return res.status(503).json({
-            success: false,
-            message: "AI service not available",
-            });
-        }
+        this.assertAvailable();
 
-        const prompt = `Generate relevant, specific tags for this cultural heritage entry. Return ONLY a comma-separated list of 10-15 tags.
+        const prompt = `Generate relevant, specific tags for this cultural heritage entry.
 
     Title: ${title}
     Description: ${description}
-    Category: ${category}
+    Category: ${this.describeCategory(category)}
     Cultural Context: ${culturalContext || "Not provided"}
     Location: ${location?.country || "Not provided"}
 
@@ -428,46 +411,42 @@ class AIController {
     - Use specific, searchable terms
     - Avoid generic tags
 
-    Return format: tag1, tag2, tag3, ...`;
-
-        const aiProvider = process.env.AI_PROVIDER || "openai";
-        let tagsText;
-
-        if (aiProvider === "openai") {
-            const completion = await this.aiService.chat.completions.create({
-            model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-            messages: [
-                {
-                role: "system",
-                content:
-                    "You are an expert in cultural heritage taxonomy. Generate relevant, specific tags for cultural entries. Return only the comma-separated list of tags, nothing else.",
-                },
-                { role: "user", content: prompt },
-            ],
-            max_tokens: 200,
-            temperature: 0.5,
-            });
+    Return a JSON object { "tags": [{ "name", "confidence" }] } with 10-15 tags, where confidence (0 to 1) is how clearly the entry supports the tag.`;
 
-            tagsText = completion.choices[0].message.content;
-        } else if (aiProvider === "anthropic") {
-            const message = await this.aiService.messages.create({
-            model: process.env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
-            max_tokens: 200,
-            temperature: 0.5,
+        const { data } = await completeJSON(this.aiService, {
             system:
-                "You are an expert in cultural heritage taxonomy. Generate relevant, specific tags for cultural entries. Return only the comma-separated list of tags, nothing else.",
+            "You are an expert in cultural heritage taxonomy. Generate relevant, specific tags for cultural entries.",
             messages: [{ role: "user", content: prompt }],
-            });
-
-            tagsText = message.content[0].text;
-        }
+            schema: TAGS_SCHEMA,
+            maxTokens: 600,
+            temperature: 0.5,
+        });
 
-        // Parse tags from AI response
-        const tags = tagsText
-            .split(",")
-            .map((tag) => tag.trim())
-            .filter((tag) => tag.length > 0 && tag.length < 50)
-            .slice(0, 15); // Limit to 15 tags
+        // Keep the most confident spelling of each tag, then match it
+        // against the tags table
+        const ranked = [...data.tags].sort((a, b) => b.confidence - a.confidence);
+        const confidenceBySlug = new Map();
+        ranked.forEach((tag) => {
+            const slug = Tag.slugify(tag.name);
+            if (!confidenceBySlug.has(slug)) {
+            confidenceBySlug.set(slug, tag.confidence);
+            }
+        });
+        const names = Tag.normalizeNames(ranked.map((tag) => tag.name));
+        const existingTags = await this.findExistingTags(names);
+
+        const tags = names.map((name) => {
+            const slug = Tag.slugify(name);
+            const existing = existingTags.get(slug);
+            return {
+            name: existing ? existing.name : name,
+            slug,
+            confidence: Number(confidenceBySlug.get(slug).toFixed(2)),
+            existing: Boolean(existing),
+            tagId: existing ? existing._id : null,
+            usageCount: existing ? existing.usageCount : 0,
+            };
+        });
 
         res.json({
             success: true,
@@ -477,53 +456,31 @@ class AIController {
             timestamp: new Date(),
             },
         });
-        } catch (error) {
-        console.error("Generate tags error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while generating tags",
-        });
-        }
     }
 
     // Analyze cultural significance of an entry
     async analyzeCulturalSignificance(req, res) {
-        try {
         const { id } = req.params;
 
         const entry = await Entry.findById(id).populate("author", "username");
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
         // Check permissions
-        const canAccess =
-            entry.author._id.toString() === req.user.userId ||
-            entry.isPublic ||
-            req.user.role === "admin";
-
-        if (!canAccess) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied to this entry",
-            });
+        const viewer = await entryAccess.viewerFor(req.user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied to this entry");
         }
 
-        if (!this.aiService) {
-            return res.status(503).json({
-            success: false,
-            message: "AI service not available",
-            });
-        }
+        this.assertShareable(entry);
+        this.assertAvailable();
 
         const prompt = `Provide a comprehensive analysis of the cultural significance of this heritage entry:
 
     Title: ${entry.title}
     Description: ${entry.description}
-    Category: ${entry.category}
+    Category: ${this.describeCategory(entry.category)}
     Cultural Context: ${entry.culturalContext || "Not provided"}
     Historical Period: ${entry.historicalPeriod || "Not provided"}
     Location: ${entry.location?.name || "Not provided"}, ${
@@ -559,59 +516,339 @@ class AIController {
 
     Provide a thoughtful, respectful analysis that honors the cultural sensitivity of the subject.`;
 
-        const aiProvider = process.env.AI_PROVIDER || "openai";
-        let analysis;
-
-        if (aiProvider === "openai") {
-            const completion = await this.aiService.chat.completions.create({
-            model: process.env.OPENAI_MODEL || "gpt-4-turbo-preview",
-            messages: [
-                {
-                role: "system",
-                content:
-                    "You are a cultural anthropologist and heritage expert. Provide insightful, respectful, and comprehensive analysis of cultural significance. Be thorough but concise.",
-                },
-                { role: "user", content: prompt },
-            ],
-            max_tokens: 1500,
+        const { text: analysis } = await this.aiService.complete({
+            system:
+            "You are a cultural anthropologist and heritage expert. Provide insightful, respectful, and comprehensive analysis of cultural significance. Be thorough but concise.",
+            messages: [{ role: "user", content: prompt }],
+            maxTokens: 1500,
             temperature: 0.7,
-            });
+        });
 
-            analysis = completion.choices[0].message.content;
-        } else if (aiProvider === "anthropic") {
-            const message = await this.aiService.messages.create({
-            model: process.env.ANTHROPIC_MODEL || "claude-3-sonnet-20240229",
-            max_tokens: 1500,
-            temperature: 0.7,
+        res.json({
+            success: true,
+            data: {
+            entryId: id,
+            entryTitle: entry.title,
+            analysis,
+            timestamp: new Date(),
+            },
+        });
+    }
+
+    // Ask the model for field-level rewrites of an entry and store them as
+    // a pending enhancement the author can review
+    async enhanceEntry(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { id } = req.params;
+        const { instructions } = req.body;
+
+        const entry = await Entry.findById(id);
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        entryController.assertCanEdit(entry, req.user);
+        this.assertShareable(entry);
+        this.assertAvailable();
+
+        const fields = req.body.fields || Object.keys(ENHANCEABLE_FIELDS);
+        const currentValues = fields
+            .map((field) => `${field}: ${JSON.stringify(entry[field] ?? null)}`)
+            .join("\n");
+
+        const prompt = `Rewrite fields of this cultural heritage entry to make them clearer, more complete and better documented.
+
+    Title: ${entry.title}
+    Category: ${this.describeCategory(entry.category)}
+    Historical Period: ${entry.historicalPeriod || "Not provided"}
+    Location: ${entry.location?.name || "Not provided"}, ${
+            entry.location?.country || "Unknown"
+        }
+
+    Current values (JSON):
+${currentValues}
+${instructions ? `\n    Author's instructions: ${instructions}\n` : ""}
+    Return a JSON object with:
+    - summary: one or two sentences on what the rewrites improve
+    - fields: for each field above that should change, { proposed, reason }. proposed is the complete new value: text for description, culturalContext and significance, a list of short items for traditions, materials and techniques. Leave out fields that are already good.
+
+    Keep every accurate fact from the current values and the author's voice. Do not invent specific dates, names or figures.`;
+
+        const { data, provider, model } = await completeJSON(this.aiService, {
             system:
-                "You are a cultural anthropologist and heritage expert. Provide insightful, respectful, and comprehensive analysis of cultural significance. Be thorough but concise.",
+            "You are an expert editor of cultural heritage documentation. Improve entries carefully and respectfully without changing their meaning.",
             messages: [{ role: "user", content: prompt }],
+            schema: ENHANCEMENT_SCHEMA,
+            maxTokens: 3000,
+            temperature: 0.4,
+        });
+
+        const changes = fields
+            .filter((field) => data.fields[field])
+            .map((field) => ({
+            field,
+            current: entry[field] ?? null,
+            proposed: this.cleanProposal(data.fields[field].proposed),
+            reason: data.fields[field].reason,
+            status: "pending",
+            }))
+            .filter((change) => !sameValue(change.current, change.proposed));
+
+        if (changes.length === 0) {
+            return res.json({
+            success: true,
+            message: "No improvements suggested for this entry",
+            data: { enhancement: null },
             });
+        }
+
+        // A new proposal replaces any that are still waiting for review
+        await EntryEnhancement.updateMany(
+            { entry: id, status: "pending" },
+            { $set: { status: "superseded", resolvedAt: new Date() } }
+        );
+
+        const enhancement = await EntryEnhancement.create({
+            entry: id,
+            requestedBy: req.user.userId,
+            summary: data.summary,
+            changes,
+            provider,
+            model,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Enhancement created. Review the changes before applying them.",
+            data: { enhancement: this.formatEnhancement(enhancement, entry) },
+        });
+    }
+
+    // Strip markup from a proposed value; lists also lose empty and
+    // duplicate items
+    cleanProposal(value) {
+        if (!Array.isArray(value)) return stripHtml(value);
+        return [
+            ...new Set(value.map((item) => stripHtml(item)).filter(Boolean)),
+        ];
+    }
+
+    // Enhancement as returned by the API. Pending changes are diffed
+    // against the entry as it is now and flagged stale if it changed since
+    // the proposal; decided ones show the diff as it was proposed.
+    formatEnhancement(enhancement, entry) {
+        const data = enhancement.toObject();
+        return {
+            ...data,
+            changes: data.changes.map((change) => {
+            const pending = change.status === "pending";
+            const before = pending ? entry[change.field] : change.current;
+            return {
+                ...change,
+                stale: pending && !sameValue(change.current, before),
+                diff: diffField(change.field, before, change.proposed),
+            };
+            }),
+        };
+    }
+
+    // Load an enhancement and its entry for someone allowed to edit it
+    async loadEnhancement(req) {
+        const enhancement = await EntryEnhancement.findById(
+            req.params.enhancementId
+        );
+        if (!enhancement) {
+            throw new NotFoundError("Enhancement not found");
+        }
+
+        const entry = await Entry.findById(enhancement.entry);
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        entryController.assertCanEdit(entry, req.user);
+        return { enhancement, entry };
+    }
 
-            analysis = message.content[0].text;
+    // The pending changes named in `fields`, or all of them
+    selectChanges(enhancement, fields) {
+        if (enhancement.status !== "pending") {
+            throw new ConflictError(
+            `This enhancement has already been ${enhancement.status.replace("_", " ")}`
+            );
+        }
+
+        const pending = enhancement.changes.filter(
+            (change) => change.status === "pending"
+        );
+        if (!fields) return pending;
+
+        const missing = fields.filter(
+            (field) => !pending.some((change) => change.field === field)
+        );
+        if (missing.length > 0) {
+            throw new ValidationError(
+            "No pending change for some of the requested fields",
+            missing
+            );
+        }
+        return pending.filter((change) => fields.includes(change.field));
+    }
+
+    // Mark the selected changes and settle the enhancement once nothing is
+    // left pending
+    async resolveChanges(enhancement, selected, status, userId) {
+        const changes = enhancement.changes.map((change) =>
+            selected.some((item) => item.field === change.field)
+            ? { ...change, status }
+            : change
+        );
+
+        const update = { changes };
+        if (!changes.some((change) => change.status === "pending")) {
+            const accepted = changes.filter(
+            (change) => change.status === "accepted"
+            ).length;
+            update.status =
+            accepted === 0
+                ? "rejected"
+                : accepted === changes.length
+                ? "applied"
+                : "partially_applied";
+            update.resolvedBy = userId;
+            update.resolvedAt = new Date();
+        }
+
+        return EntryEnhancement.findByIdAndUpdate(
+            enhancement._id,
+            { $set: update },
+            { new: true }
+        );
+    }
+
+    // List the enhancements proposed for an entry
+    async getEntryEnhancements(req, res) {
+        const { id } = req.params;
+
+        const entry = await Entry.findById(id);
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
         }
 
+        entryController.assertCanEdit(entry, req.user);
+
+        const enhancements = await EntryEnhancement.find({ entry: id })
+            .sort({ createdAt: -1 })
+            .populate("requestedBy", "username")
+            .lean();
+
         res.json({
             success: true,
             data: {
-            entryId: id,
-            entryTitle: entry.title,
-            analysis,
-            timestamp: new Date(),
+            enhancements: enhancements.map((enhancement) => ({
+                ...enhancement,
+                changes: enhancement.changes.map(({ field, reason, status }) => ({
+                field,
+                reason,
+                status,
+                })),
+            })),
+            count: enhancements.length,
             },
         });
-        } catch (error) {
-        console.error("Analyze cultural significance error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while analyzing cultural significance",
+    }
+
+    // Get one enhancement with a diff per field
+    async getEnhancement(req, res) {
+        const { enhancement, entry } = await this.loadEnhancement(req);
+
+        res.json({
+            success: true,
+            data: { enhancement: this.formatEnhancement(enhancement, entry) },
+        });
+    }
+
+    // Apply some or all pending changes of an enhancement to its entry
+    async acceptEnhancement(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { enhancement, entry } = await this.loadEnhancement(req);
+        const selected = this.selectChanges(enhancement, req.body.fields);
+
+        // Don't silently overwrite edits made after the proposal
+        const stale = selected.filter(
+            (change) => !sameValue(change.current, entry[change.field])
+        );
+        if (stale.length > 0 && req.body.force !== true) {
+            throw new ConflictError(
+            "The entry has changed since these suggestions were made. Review the diff and send force: true to apply them anyway.",
+            stale.map((change) => change.field)
+            );
+        }
+
+        const updatedEntry = await entryController.applyUpdate(
+            entry,
+            Object.fromEntries(
+            selected.map((change) => [change.field, change.proposed])
+            ),
+            {
+            editor: req.user.userId,
+            note: `Applied AI enhancement ${enhancement._id}`,
+            }
+        );
+        const updated = await this.resolveChanges(
+            enhancement,
+            selected,
+            "accepted",
+            req.user.userId
+        );
+
+        res.json({
+            success: true,
+            message: `Applied ${selected.length} suggested change${
+            selected.length === 1 ? "" : "s"
+            }`,
+            data: {
+            entry: updatedEntry,
+            enhancement: this.formatEnhancement(updated, updatedEntry),
+            },
         });
+    }
+
+    // Reject some or all pending changes of an enhancement
+    async rejectEnhancement(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
         }
+
+        const { enhancement, entry } = await this.loadEnhancement(req);
+        const selected = this.selectChanges(enhancement, req.body.fields);
+        const updated = await this.resolveChanges(
+            enhancement,
+            selected,
+            "rejected",
+            req.user.userId
+        );
+
+        res.json({
+            success: true,
+            message: `Rejected ${selected.length} suggested change${
+            selected.length === 1 ? "" : "s"
+            }`,
+            data: { enhancement: this.formatEnhancement(updated, entry) },
+        });
     }
 
     // Get conversation history
     async getConversations(req, res) {
-        try {
         const { page = 1, limit = 20 } = req.query;
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -650,18 +887,10 @@ class AIController {
             },
             },
         });
-        } catch (error) {
-        console.error("Get conversations error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching conversations",
-        });
-        }
     }
 
     // Get single conversation by ID
     async getConversationById(req, res) {
-        try {
         const { id } = req.params;
 
         const conversation = await Conversation.findOne({
@@ -670,28 +899,17 @@ class AIController {
         });
 
         if (!conversation) {
-            return res.status(404).json({
-            success: false,
-            message: "Conversation not found",
-            });
+            throw new NotFoundError("Conversation not found");
         }
 
         res.json({
             success: true,
             data: { conversation },
         });
-        } catch (error) {
-        console.error("Get conversation error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching conversation",
-        });
-        }
     }
 
     // Delete conversation
     async deleteConversation(req, res) {
-        try {
         const { id } = req.params;
 
         const conversation = await Conversation.findOneAndDelete({
@@ -700,41 +918,26 @@ class AIController {
         });
 
         if (!conversation) {
-            return res.status(404).json({
-            success: false,
-            message: "Conversation not found",
-            });
+            throw new NotFoundError("Conversation not found");
         }
+        this.memory.forget(id);
 
         res.json({
             success: true,
             message: "Conversation deleted successfully",
         });
-        } catch (error) {
-        console.error("Delete conversation error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while deleting conversation",
-        });
-        }
     }
 
     // Get AI service status
     async getServiceStatus(req, res) {
-        try {
         const isAvailable = this.aiService !== null;
-        const provider = process.env.AI_PROVIDER || "none";
 
         res.json({
             success: true,
             data: {
             available: isAvailable,
-            provider,
-            model:
-                process.env.OPENAI_MODEL ||
-                process.env.ANTHROPIC_MODEL ||
-                process.env.GOOGLE_MODEL ||
-                "default",
+            provider: this.aiService?.name || "none",
+            model: this.aiService?.model || null,
             features: {
                 questionsAndAnswers: isAvailable,
                 conversationHistory: isAvailable,
@@ -744,13 +947,6 @@ class AIController {
             },
             },
         });
-        } catch (error) {
-        console.error("Get AI service status error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while checking service status",
-        });
-        }
     }
 }
 
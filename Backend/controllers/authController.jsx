@@ -2,33 +2,35 @@
     const jwt = require("jsonwebtoken");
     const User = require("../models/User");
     const { validationResult } = require("express-validator");
+    const {
+        ValidationError,
+        UnauthorizedError,
+        ForbiddenError,
+        NotFoundError,
+        ConflictError,
+    } = require("../utils/errors");
 
     class AuthController {
     // Register new user
     async register(req, res) {
-        try {
         // Check for validation errors
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const { username, email, password } = req.body;
 
-        // Check if user already exists
+        // Check if user already exists (accounts in the trash still hold
+        // their email and username until they are purged)
         const existingUser = await User.findOne({
             $or: [{ email }, { username }],
-        });
+        }).withDeleted();
 
         if (existingUser) {
-            return res.status(409).json({
-            success: false,
-            message: "User already exists with this email or username",
-            });
+            throw new ConflictError(
+                "User already exists with this email or username"
+            );
         }
 
         // Hash password
@@ -69,25 +71,13 @@
             token,
             },
         });
-        } catch (error) {
-        console.error("Registration error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error during registration",
-        });
-        }
     }
 
     // Login user
     async login(req, res) {
-        try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const { email, password } = req.body;
@@ -95,27 +85,26 @@
         // Find user by email
         const user = await User.findOne({ email }).select("+password");
         if (!user) {
-            return res.status(401).json({
-            success: false,
-            message: "Invalid email or password",
-            });
+            throw new UnauthorizedError("Invalid email or password");
         }
 
         // Check if account is active
         if (!user.isActive) {
-            return res.status(403).json({
-            success: false,
-            message: "Account is deactivated. Please contact support.",
-            });
+            throw new ForbiddenError(
+                "Account is deactivated. Please contact support."
+            );
+        }
+
+        if (user.isSuspended()) {
+            throw new ForbiddenError(
+            `Account is suspended until ${new Date(user.suspendedUntil).toISOString()}.`
+            );
         }
 
         // Verify password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
-            return res.status(401).json({
-            success: false,
-            message: "Invalid email or password",
-            });
+            throw new UnauthorizedError("Invalid email or password");
         }
 
         // Update last login
@@ -147,43 +136,24 @@
             token,
             },
         });
-        } catch (error) {
-        console.error("Login error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error during login",
-        });
-        }
     }
 
     // Logout user
     async logout(req, res) {
-        try {
         // In a more complex setup, you might want to blacklist the token
         // For now, we'll just send a success response
         res.json({
             success: true,
             message: "Logout successful",
         });
-        } catch (error) {
-        console.error("Logout error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error during logout",
-        });
-        }
     }
 
     // Get current user profile
     async getProfile(req, res) {
-        try {
         const user = await User.findById(req.user.userId).select("-password");
 
         if (!user) {
-            return res.status(404).json({
-            success: false,
-            message: "User not found",
-            });
+            throw new NotFoundError("User not found");
         }
 
         res.json({
@@ -200,25 +170,13 @@
             },
             },
         });
-        } catch (error) {
-        console.error("Get profile error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error",
-        });
-        }
     }
 
     // Change password
     async changePassword(req, res) {
-        try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const { currentPassword, newPassword } = req.body;
@@ -227,10 +185,7 @@
         // Get user with password
         const user = await User.findById(userId).select("+password");
         if (!user) {
-            return res.status(404).json({
-            success: false,
-            message: "User not found",
-            });
+            throw new NotFoundError("User not found");
         }
 
         // Verify current password
@@ -239,10 +194,7 @@
             user.password
         );
         if (!isCurrentPasswordValid) {
-            return res.status(400).json({
-            success: false,
-            message: "Current password is incorrect",
-            });
+            throw new ValidationError("Current password is incorrect");
         }
 
         // Hash new password
@@ -257,39 +209,31 @@
             success: true,
             message: "Password changed successfully",
         });
-        } catch (error) {
-        console.error("Change password error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error",
-        });
-        }
     }
 
     // Refresh JWT token
     async refreshToken(req, res) {
-        try {
         const { refreshToken } = req.body;
 
         if (!refreshToken) {
-            return res.status(401).json({
-            success: false,
-            message: "Refresh token is required",
-            });
+            throw new UnauthorizedError("Refresh token is required");
         }
 
         // Verify refresh token
-        const decoded = jwt.verify(
+        let decoded;
+        try {
+            decoded = jwt.verify(
             refreshToken,
             process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-        );
+            );
+        } catch (error) {
+            throw new ForbiddenError("Invalid refresh token");
+        }
+
         const user = await User.findById(decoded.userId);
 
-        if (!user || !user.isActive) {
-            return res.status(403).json({
-            success: false,
-            message: "Invalid refresh token or user not found",
-            });
+        if (!user || !user.isActive || user.isSuspended()) {
+            throw new ForbiddenError("Invalid refresh token or user not found");
         }
 
         // Generate new access token
@@ -308,13 +252,6 @@
             message: "Token refreshed successfully",
             data: { token: newToken },
         });
-        } catch (error) {
-        console.error("Refresh token error:", error);
-        res.status(403).json({
-            success: false,
-            message: "Invalid refresh token",
-        });
-        }
     }
     }
 
@@ -0,0 +1,37 @@
+const Entry = require("../models/Entry");
+const { CATEGORIES } = require("../config/categories");
+
+class CategoryController {
+  // List categories with descriptions and published entry counts
+    async getCategories(req, res) {
+        const counts = await Entry.aggregate([
+            { $match: { isPublic: true, status: "published" } },
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+        ]);
+
+        const countByName = new Map(
+            counts.map((row) => [row._id, row.count])
+        );
+
+        const categories = CATEGORIES.map((category) => ({
+            name: category.name,
+            slug: category.slug,
+            description: category.description,
+            entryCount: countByName.get(category.name) || 0,
+        }));
+
+        res.json({
+            success: true,
+            data: {
+            categories,
+            totalCategories: categories.length,
+            totalEntries: categories.reduce(
+                (sum, category) => sum + category.entryCount,
+                0
+            ),
+            },
+        });
+    }
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,378 @@
+const Entry = require("../models/Entry");
+const Comment = require("../models/Comment");
+const CommentLike = require("../models/CommentLike");
+const entryAccess = require("../services/access");
+const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+} = require("../utils/errors");
+
+const AUTHOR_FIELDS = "username profilePicture";
+
+// Comments that are not deleted, plus deleted ones that still have replies
+// (shown as placeholders so the thread below them stays reachable)
+const VISIBLE = { $or: [{ deletedAt: null }, { hasReplies: true }] };
+
+// Orderings for top-level comments
+const COMMENT_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    top: { likes: -1, createdAt: -1 },
+};
+
+// Page/limit query params, plus how many levels of replies to embed below
+// each returned comment and how many replies per comment
+const listOptions = (query, defaultLimit) => {
+    const clamp = (value, min, max, fallback) =>
+        Math.min(max, Math.max(min, parseInt(value) || fallback));
+
+    return {
+        page: clamp(query.page, 1, Number.MAX_SAFE_INTEGER, 1),
+        limit: clamp(query.limit, 1, 50, defaultLimit),
+        depth: clamp(query.depth, 0, 3, 0),
+        replyLimit: clamp(query.replyLimit, 1, 20, 3),
+    };
+};
+
+class CommentController {
+  // Load an entry and check the user may read and join its discussion
+    async loadEntry(entryId, user) {
+        const entry = await Entry.findById(entryId)
+            .select("_id author status visibility accessGroup seasonStart seasonEnd")
+            .lean();
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        const viewer = await entryAccess.viewerFor(user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied to this entry");
+        }
+
+        return entry;
+    }
+
+    async findComment(filter) {
+        const comment = await Comment.findOne(filter);
+        if (!comment) {
+            throw new NotFoundError("Comment not found");
+        }
+        return comment;
+    }
+
+    // Add like/reply counts, the viewer's like and the edit marker. Deleted
+    // comments keep their place in the thread but lose content and author.
+    async present(comments, user) {
+        if (comments.length === 0) return [];
+
+        const ids = comments.map((comment) => comment._id);
+        const [likeCounts, replyCounts, liked] = await Promise.all([
+            CommentLike.aggregate([
+            { $match: { comment: { $in: ids } } },
+            { $group: { _id: "$comment", count: { $sum: 1 } } },
+            ]),
+            Comment.aggregate([
+            { $match: { parentComment: { $in: ids }, ...VISIBLE } },
+            { $group: { _id: "$parentComment", count: { $sum: 1 } } },
+            ]),
+            user
+            ? CommentLike.distinct("comment", {
+                comment: { $in: ids },
+                user: user.userId,
+                })
+            : [],
+        ]);
+
+        const likes = new Map(likeCounts.map((row) => [row._id, row.count]));
+        const replies = new Map(replyCounts.map((row) => [row._id, row.count]));
+        const likedIds = new Set(liked);
+
+        return comments.map((comment) => {
+            const data =
+            typeof comment.toObject === "function" ? comment.toObject() : comment;
+            const { deletedAt, deletedBy, ...rest } = data;
+            const counts = {
+            likesCount: likes.get(data._id) || 0,
+            replyCount: replies.get(data._id) || 0,
+            };
+
+            if (deletedAt) {
+            return {
+                _id: data._id,
+                entry: data.entry,
+                parentComment: data.parentComment,
+                depth: data.depth,
+                content: null,
+                author: null,
+                createdAt: data.createdAt,
+                deleted: true,
+                edited: false,
+                ...counts,
+                hasLiked: false,
+            };
+            }
+
+            return {
+            ...rest,
+            deleted: false,
+            edited: Boolean(data.editedAt),
+            ...counts,
+            hasLiked: likedIds.has(data._id),
+            };
+        });
+    }
+
+    // Embed up to `replyLimit` replies under each comment, `depth` levels down
+    async attachReplies(comments, user, depth, replyLimit) {
+        const parents = comments.filter((comment) => comment.replyCount > 0);
+        if (depth <= 0 || parents.length === 0) return comments;
+
+        const children = await Comment.find({
+            parentComment: { $in: parents.map((comment) => comment._id) },
+            ...VISIBLE,
+        })
+            .sort({ createdAt: 1 })
+            .populate("author", AUTHOR_FIELDS)
+            .lean();
+
+        const kept = parents.flatMap((parent) =>
+            children
+            .filter((child) => child.parentComment === parent._id)
+            .slice(0, replyLimit)
+        );
+        const presented = await this.present(kept, user);
+        await this.attachReplies(presented, user, depth - 1, replyLimit);
+
+        comments.forEach((comment) => {
+            comment.replies = presented.filter(
+            (reply) => reply.parentComment === comment._id
+            );
+        });
+        return comments;
+    }
+
+    // Page through a set of comments and present them
+    async listComments(filter, sort, options, user) {
+        const { page, limit, depth, replyLimit } = options;
+
+        const comments = await Comment.find({ ...filter, ...VISIBLE })
+            .populate("author", AUTHOR_FIELDS)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+        const totalItems = await Comment.countDocuments({ ...filter, ...VISIBLE });
+        const totalPages = Math.ceil(totalItems / limit);
+
+        const presented = await this.present(comments, user);
+        await this.attachReplies(presented, user, depth, replyLimit);
+
+        return {
+            comments: presented,
+            pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+            },
+        };
+    }
+
+    // Get top-level comments of an entry
+    async getEntryComments(req, res) {
+        const { id } = req.params;
+        const { sort = "newest" } = req.query;
+
+        if (!COMMENT_SORTS[sort]) {
+            throw new ValidationError(
+            `Sort must be one of: ${Object.keys(COMMENT_SORTS).join(", ")}`
+            );
+        }
+
+        await this.loadEntry(id, req.user);
+
+        const result = await this.listComments(
+            { entry: id, parentComment: null },
+            COMMENT_SORTS[sort],
+            listOptions(req.query, 20),
+            req.user
+        );
+        const totalComments = await Comment.countDocuments({ entry: id });
+
+        res.json({
+            success: true,
+            data: { ...result, totalComments, maxDepth: Comment.maxDepth },
+        });
+    }
+
+    // Get the replies to a comment, oldest first
+    async getReplies(req, res) {
+        const parent = await Comment.findById(req.params.id)
+            .withDeleted()
+            .select("_id entry")
+            .lean();
+        if (!parent) {
+            throw new NotFoundError("Comment not found");
+        }
+
+        await this.loadEntry(parent.entry, req.user);
+
+        const result = await this.listComments(
+            { parentComment: parent._id },
+            COMMENT_SORTS.oldest,
+            listOptions(req.query, 10),
+            req.user
+        );
+
+        res.json({
+            success: true,
+            data: result,
+        });
+    }
+
+    // Add comment or reply to entry
+    async addComment(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { id } = req.params;
+        const { content, parentCommentId } = req.body;
+
+        await this.loadEntry(id, req.user);
+
+        let depth = 0;
+        if (parentCommentId) {
+            const parentComment = await Comment.findOne({
+            _id: parentCommentId,
+            entry: id,
+            });
+            if (!parentComment) {
+            throw new NotFoundError("Parent comment not found");
+            }
+
+            depth = parentComment.depth + 1;
+            if (depth > Comment.maxDepth) {
+            throw new ValidationError(
+                `Replies cannot be nested more than ${Comment.maxDepth} levels deep`
+            );
+            }
+        }
+
+        const newComment = await Comment.create({
+            entry: id,
+            author: req.user.userId,
+            content: content.trim(),
+            parentComment: parentCommentId || null,
+            depth,
+        });
+        await newComment.populate("author", AUTHOR_FIELDS);
+
+        const [comment] = await this.present([newComment], req.user);
+
+        res.status(201).json({
+            success: true,
+            message: "Comment added successfully",
+            data: { comment },
+        });
+    }
+
+    // Edit own comment
+    async updateComment(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const comment = await this.findComment({ _id: req.params.id });
+
+        if (comment.author.toString() !== req.user.userId) {
+            throw new ForbiddenError("Only the author can edit this comment");
+        }
+
+        await this.loadEntry(comment.entry, req.user);
+
+        const content = req.body.content.trim();
+        if (content !== comment.content) {
+            comment.content = content;
+            comment.editedAt = new Date();
+            await comment.save();
+        }
+        await comment.populate("author", AUTHOR_FIELDS);
+
+        const [presented] = await this.present([comment], req.user);
+
+        res.json({
+            success: true,
+            message: "Comment updated successfully",
+            data: { comment: presented },
+        });
+    }
+
+    // Delete comment (also mounted as /entries/:id/comments/:commentId)
+    async deleteComment(req, res) {
+        const { id, commentId } = req.params;
+        const comment = await this.findComment(
+            commentId ? { _id: commentId, entry: id } : { _id: id }
+        );
+
+        const entry = await Entry.findById(comment.entry)
+            .select("_id author")
+            .lean();
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        // Check permissions - comment author, entry author, or admin
+        const canDelete =
+            comment.author.toString() === req.user.userId ||
+            entry.author.toString() === req.user.userId ||
+            req.user.role === "admin";
+
+        if (!canDelete) {
+            throw new ForbiddenError("Access denied");
+        }
+
+        await comment.trash({ deletedBy: req.user.userId });
+
+        res.json({
+            success: true,
+            message: "Comment deleted successfully",
+        });
+    }
+
+    // Like/Unlike comment
+    async toggleLike(req, res) {
+        const comment = await this.findComment({ _id: req.params.id });
+        await this.loadEntry(comment.entry, req.user);
+
+        const filter = { comment: comment._id, user: req.user.userId };
+        const existing = await CommentLike.findOne(filter);
+
+        let action;
+        if (existing) {
+            await existing.deleteOne();
+            action = "unliked";
+        } else {
+            await CommentLike.create(filter);
+            action = "liked";
+        }
+
+        res.json({
+            success: true,
+            message: `Comment ${action} successfully`,
+            data: {
+            likesCount: await CommentLike.countDocuments({
+                comment: comment._id,
+            }),
+            hasLiked: action === "liked",
+            },
+        });
+    }
+}
+
+module.exports = new CommentController();
@@ -1,18 +1,40 @@
 const Entry = require("../models/Entry");
+const Media = require("../models/Media");
 const User = require("../models/User");
+const EntryRevision = require("../models/EntryRevision");
+const SensitivityReview = require("../models/SensitivityReview");
+const ModerationAction = require("../models/ModerationAction");
+const AccessGroup = require("../models/AccessGroup");
+const AccessGroupMember = require("../models/AccessGroupMember");
+const { idOf } = require("../models/Model");
+const entryAccess = require("../services/access");
+const mediaService = require("../services/media");
+const entryEmbeddings = require("../services/embeddings/entryIndex");
+const sensitivityReviewer = require("../services/ai/sensitivity");
+const { ROLE_LEVELS } = require("../middleware/authMiddleware.jsx");
 const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+const {
+    CATEGORY_NAMES,
+    DEFAULT_CATEGORY,
+    isValidCategory,
+} = require("../config/categories");
+
+// Entry fields authors may change through updateEntry: the revisioned
+// content. Media groups are handled by keptMedia().
+const EDITABLE_FIELDS = EntryRevision.trackedFields;
 
 class EntryController {
   // Create new cultural entry ---fikremariam
     async createEntry(req, res) {
-        try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const {
@@ -27,48 +49,22 @@ class EntryController {
             materials,
             techniques,
             tags,
-            images,
-            audioFiles,
-            videoFiles,
-            documents,
             sources,
             references,
-            isPublic,
             status,
         } = req.body;
 
         // Validate category
-        const validCategories = [
-            "Architecture",
-            "Art",
-            "Music",
-            "Dance",
-            "Literature",
-            "Cuisine",
-            "Festivals",
-            "Rituals",
-            "Crafts",
-            "Clothing",
-            "Language",
-            "Folklore",
-            "Religion",
-            "Sports",
-            "Other",
-        ];
-
-        if (category && !validCategories.includes(category)) {
-            return res.status(400).json({
-            success: false,
-            message: `Invalid category. Must be one of: ${validCategories.join(
-                ", "
-            )}`,
-            });
+        if (category && !isValidCategory(category)) {
+            throw new ValidationError(
+                `Invalid category. Must be one of: ${CATEGORY_NAMES.join(", ")}`
+            );
         }
 
         const newEntry = new Entry({
             title,
             description,
-            category: category || "Other",
+            category: category || DEFAULT_CATEGORY,
             location: {
             name: location?.name || "",
             coordinates: location?.coordinates || [],
@@ -83,44 +79,39 @@ class EntryController {
             materials: materials || [],
             techniques: techniques || [],
             tags: tags || [],
-            media: {
-            images: images || [],
-            audioFiles: audioFiles || [],
-            videoFiles: videoFiles || [],
-            documents: documents || [],
-            },
             sources: sources || [],
             references: references || [],
-            isPublic: isPublic !== false,
+            ...(await this.visibilityChanges(req.body, null, req.user)),
             author: req.user.userId,
-            status: status || "draft",
+            // Publishing goes through changeStatus() once the entry exists
+            status: status === "published" ? "draft" : status || "draft",
             views: 0,
             likes: [],
             comments: [],
         });
 
         const savedEntry = await newEntry.save();
+        await EntryRevision.record(savedEntry, {
+            action: "create",
+            editor: req.user.userId,
+        });
+        const { review, held } =
+            status === "published"
+            ? await this.changeStatus(savedEntry, status, req.user)
+            : { review: null, held: false };
         await savedEntry.populate("author", "username email profilePicture");
 
         res.status(201).json({
             success: true,
-            message: "Cultural entry created successfully",
-            data: { entry: savedEntry },
-        });
-        } catch (error) {
-        console.error("Create entry error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while creating entry",
-            error:
-            process.env.NODE_ENV === "development" ? error.message : undefined,
+            message: held
+            ? "Cultural entry created and submitted for moderator review"
+            : "Cultural entry created successfully",
+            data: { entry: savedEntry, review },
         });
-        }
     }
 
     // Get all entries with advanced filtering and pagination
     async getAllEntries(req, res) {
-        try {
         const {
             page = 1,
             limit = 12,
@@ -142,12 +133,14 @@ class EntryController {
         // Build filter object
         const filter = {};
 
-        // Public visibility filter
+        // Visibility filter: access protocols apply to everything but the
+        // user's own entries
         if (req.user?.role !== "admin") {
             if (authorId && authorId === req.user?.userId) {
             filter.author = authorId;
             } else {
-            filter.isPublic = true;
+            const viewer = await entryAccess.viewerFor(req.user);
+            filter.$and = [entryAccess.filter(viewer)];
             filter.status = "published";
             }
         }
@@ -196,7 +189,6 @@ class EntryController {
             req.user?.role !== "admin"
         ) {
             filter.author = authorId;
-            filter.isPublic = true;
         }
 
         // Featured filter
@@ -260,18 +252,70 @@ class EntryController {
             },
             },
         });
-        } catch (error) {
-        console.error("Get entries error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching entries",
+    }
+
+    // Semantic search over public entries by embedding similarity
+    async semanticSearch(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { q, limit = 10 } = req.query;
+
+        const matches = await entryEmbeddings.search(q.trim(), {
+            limit: parseInt(limit),
         });
+        const entries = await this.loadMatches(matches, {
+            select:
+            "title description category location tags media.images author views createdAt",
+            populate: "username profilePicture",
+        });
+
+        res.json({
+            success: true,
+            data: {
+            query: q.trim(),
+            entries,
+            count: entries.length,
+            },
+        });
+    }
+
+    // Load entries for similarity matches, keeping their order and score
+    async loadMatches(matches, { select, populate }) {
+        if (matches.length === 0) return [];
+
+        const entries = await Entry.find({
+            _id: { $in: matches.map((match) => match.entryId) },
+            visibility: "public",
+            status: "published",
+        })
+            .select(select)
+            .populate("author", populate)
+            .lean();
+        const entryById = new Map(entries.map((entry) => [entry._id, entry]));
+
+        return matches
+            .filter((match) => entryById.has(match.entryId))
+            .map((match) => ({
+            ...entryById.get(match.entryId),
+            similarity: match.score,
+            matchedText: match.content,
+            }));
+    }
+
+    // Keep the entry's embeddings current; search falls back if this fails
+    async refreshEmbeddings(entry) {
+        try {
+            await entryEmbeddings.indexEntry(entry);
+        } catch (embeddingError) {
+            console.warn("Failed to update entry embeddings:", embeddingError.message);
         }
     }
 
     // Get single entry by ID with detailed information
     async getEntryById(req, res) {
-        try {
         const { id } = req.params;
         const { incrementView = true } = req.query;
 
@@ -281,45 +325,49 @@ class EntryController {
             .populate("likes", "username profilePicture");
 
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
-        // Check if user can view this entry
-        const canView =
-            entry.isPublic ||
-            entry.author._id.toString() === req.user?.userId ||
-            req.user?.role === "admin";
-
-        if (!canView) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied to this entry",
-            });
+        // Check if user can view this entry under its access protocol
+        const viewer = await entryAccess.viewerFor(req.user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied to this entry");
         }
 
         // Increment view count (skip if it's the author viewing)
+        // (the author is null when their account is in the trash)
         if (
             incrementView === "true" &&
-            entry.author._id.toString() !== req.user?.userId
+            idOf(entry.author) !== req.user?.userId
         ) {
+            await Entry.incrementViews(entry._id);
             entry.views = (entry.views || 0) + 1;
-            await entry.save();
         }
 
-        // Get related entries (same category or tags)
-        const relatedEntries = await Entry.find({
+        // Get related entries: closest by embedding, else same category or tags
+        let relatedEntries = [];
+        try {
+            const matches = await entryEmbeddings.related(id, { limit: 4 });
+            relatedEntries = await this.loadMatches(matches, {
+            select: "title description category media.images author createdAt",
+            populate: "username",
+            });
+        } catch (embeddingError) {
+            console.warn("Semantic related entries failed:", embeddingError.message);
+        }
+
+        if (relatedEntries.length === 0) {
+            relatedEntries = await Entry.find({
             _id: { $ne: id },
             $or: [{ category: entry.category }, { tags: { $in: entry.tags } }],
-            isPublic: true,
+            $and: [entryAccess.filter(viewer)],
             status: "published",
-        })
+            })
             .limit(4)
             .select("title description category media.images author createdAt")
             .populate("author", "username")
             .lean();
+        }
 
         res.json({
             success: true,
@@ -333,25 +381,13 @@ class EntryController {
                 : false,
             },
         });
-        } catch (error) {
-        console.error("Get entry by ID error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching entry",
-        });
-        }
     }
 
     // Update entry
     async updateEntry(req, res) {
-        try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({
-            success: false,
-            message: "Validation failed",
-            errors: errors.array(),
-            });
+            throw new ValidationError("Validation failed", errors.array());
         }
 
         const { id } = req.params;
@@ -360,24 +396,162 @@ class EntryController {
         // Find entry
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
-        // Check permissions
+        this.assertCanEdit(entry, req.user);
+        if (req.body.status && req.body.status !== entry.status) {
+            await this.assertNotUnderReview(entry, req.user);
+        }
+
+        const {
+            status,
+            visibility,
+            isPublic,
+            accessGroupId,
+            seasonStart,
+            seasonEnd,
+        } = updateData;
+        // Only content fields come from the body; visibility, status and
+        // bookkeeping columns go through their own checks
+        const changes = {};
+        EDITABLE_FIELDS.forEach((field) => {
+            if (updateData[field] !== undefined) changes[field] = updateData[field];
+        });
+        Object.assign(changes, this.keptMedia(entry, updateData));
+        Object.assign(
+            changes,
+            await this.visibilityChanges(
+            { visibility, isPublic, accessGroupId, seasonStart, seasonEnd },
+            entry,
+            req.user
+            )
+        );
+        const updatedEntry = await this.applyUpdate(entry, changes, {
+            editor: req.user.userId,
+        });
+        const { review, held } =
+            status && status !== updatedEntry.status
+            ? await this.changeStatus(updatedEntry, status, req.user)
+            : { review: null, held: false };
+
+        res.json({
+            success: true,
+            message: held
+            ? "Cultural entry updated and submitted for moderator review"
+            : "Cultural entry updated successfully",
+            data: { entry: updatedEntry, review },
+        });
+    }
+
+    // The entry's media each group in the body keeps, by id. Media is only
+    // added through the upload endpoint, so the ids must already belong to
+    // the entry; anything else is refused rather than saved as a new row.
+    keptMedia(entry, body) {
+        const kept = {};
+        Object.keys(Media.groups).forEach((group) => {
+            if (!Array.isArray(body[group])) return;
+            const items = new Map(
+            (entry.media?.[group] || []).map((item) => [item._id, item])
+            );
+            if (body[group].some((id) => !items.has(id))) {
+            throw new ValidationError(
+                `${group} can only list media already uploaded to this entry`
+            );
+            }
+            kept[group] = [...new Set(body[group])].map((id) => items.get(id));
+        });
+        return kept;
+    }
+
+    // Only the author or an admin may change an entry
+    assertCanEdit(entry, user) {
         const canEdit =
-            entry.author.toString() === req.user.userId ||
-            req.user.role === "admin";
+            entry.author.toString() === user.userId || user.role === "admin";
 
         if (!canEdit) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied. You can only edit your own entries.",
-            });
+            throw new ForbiddenError(
+                "Access denied. You can only edit your own entries."
+            );
+        }
+    }
+
+    // Visibility fields for a create/update body, checked against each other
+    // and the current entry. isPublic alone still works for older clients
+    // and means public or private. Returns {} when nothing changes.
+    async visibilityChanges(body, entry, user) {
+        const { isPublic, accessGroupId, seasonStart, seasonEnd } = body;
+        let { visibility } = body;
+        if (visibility === undefined && isPublic !== undefined) {
+            visibility = isPublic ? "public" : "private";
+        }
+        if (
+            [visibility, accessGroupId, seasonStart, seasonEnd].every(
+            (value) => value === undefined
+            )
+        ) {
+            return {};
         }
 
+        const pick = (value, current) =>
+            value !== undefined ? value || null : (current ?? null);
+        const next = {
+            visibility: visibility ?? entry?.visibility ?? "public",
+            accessGroup: pick(accessGroupId, entry && idOf(entry.accessGroup)),
+            seasonStart: pick(seasonStart, entry?.seasonStart),
+            seasonEnd: pick(seasonEnd, entry?.seasonEnd),
+        };
+
+        if (!entryAccess.isProtocolTier(next)) {
+            next.accessGroup = null;
+        } else if (next.visibility !== "seasonal" && !next.accessGroup) {
+            throw new ValidationError(
+                `An access group is required for ${next.visibility} entries`
+            );
+        }
+        if (next.visibility !== "seasonal") {
+            next.seasonStart = null;
+            next.seasonEnd = null;
+        } else if (!next.seasonStart || !next.seasonEnd) {
+            throw new ValidationError(
+                "Seasonal entries need a seasonStart and seasonEnd (MM-DD)"
+            );
+        }
+
+        // Entries can only be shared with a group the author belongs to
+        if (next.accessGroup && next.accessGroup !== idOf(entry?.accessGroup)) {
+            const group = await AccessGroup.findById(next.accessGroup)
+            .select("_id")
+            .lean();
+            if (!group) {
+            throw new ValidationError("Access group not found");
+            }
+            const membership =
+            user.role === "admin" ||
+            (await AccessGroupMember.findOne({
+                group: group._id,
+                user: user.userId,
+            }));
+            if (!membership) {
+            throw new ForbiddenError(
+                "You can only share entries with access groups you belong to"
+            );
+            }
+        }
+
+        return { ...next, isPublic: next.visibility === "public" };
+    }
+
+    // Save validated changes to an entry, record the revision and return
+    // the entry with its author. Also used when AI-proposed changes are
+    // accepted and when an old revision is restored.
+    async applyUpdate(
+        entry,
+        updateData,
+        { editor, action = "update", note = null } = {}
+    ) {
+        await EntryRevision.ensureBaseline(entry);
+
         // Handle nested location updates
         if (updateData.location) {
             updateData.location = {
@@ -417,36 +591,37 @@ class EntryController {
 
         updateData.updatedAt = new Date();
 
-        const updatedEntry = await Entry.findByIdAndUpdate(id, updateData, {
-            new: true,
-            runValidators: true,
-        }).populate("author", "username email profilePicture");
+        const updatedEntry = await Entry.findByIdAndUpdate(
+            entry._id,
+            updateData,
+            { new: true, runValidators: true }
+        ).populate("author", "username email profilePicture");
+        if (updateData.media) {
+            await this.removeDroppedMedia(entry, updatedEntry);
+        }
+        await EntryRevision.record(updatedEntry, { action, editor, note });
+        await this.refreshEmbeddings(updatedEntry);
+        return updatedEntry;
+    }
 
-        res.json({
-            success: true,
-            message: "Cultural entry updated successfully",
-            data: { entry: updatedEntry },
-        });
-        } catch (error) {
-        console.error("Update entry error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while updating entry",
-        });
+    // Delete the stored files of media an update removed from the entry
+    async removeDroppedMedia(before, after) {
+        const kept = new Set(after.mediaItems().map((item) => item._id));
+        const dropped = before
+            .mediaItems()
+            .filter((item) => item._id && !kept.has(item._id));
+        if (dropped.length > 0) {
+            await mediaService.removeAssets(dropped);
         }
     }
 
     // Delete entry
     async deleteEntry(req, res) {
-        try {
         const { id } = req.params;
 
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
         // Check permissions
@@ -455,30 +630,26 @@ class EntryController {
             req.user.role === "admin";
 
         if (!canDelete) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied. You can only delete your own entries.",
-            });
+            throw new ForbiddenError(
+                "Access denied. You can only delete your own entries."
+            );
         }
 
-        await Entry.findByIdAndDelete(id);
+        // Keep the last state as a tombstone in the entry's history
+        await EntryRevision.record(entry, {
+            action: "delete",
+            editor: req.user.userId,
+        });
+        await entry.trash({ deletedBy: req.user.userId });
 
         res.json({
             success: true,
-            message: "Cultural entry deleted successfully",
-        });
-        } catch (error) {
-        console.error("Delete entry error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while deleting entry",
+            message: "Cultural entry moved to trash",
         });
-        }
     }
 
     // Get user's own entries
     async getUserEntries(req, res) {
-        try {
         const {
             page = 1,
             limit = 10,
@@ -536,35 +707,22 @@ class EntryController {
             }, {}),
             },
         });
-        } catch (error) {
-        console.error("Get user entries error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching user entries",
-        });
-        }
     }
 
     // Toggle publish status
     async togglePublishStatus(req, res) {
-        try {
         const { id } = req.params;
         const { status } = req.body;
 
         if (!["published", "draft", "archived"].includes(status)) {
-            return res.status(400).json({
-            success: false,
-            message:
-                'Invalid status. Must be "published", "draft", or "archived"',
-            });
+            throw new ValidationError(
+                'Invalid status. Must be "published", "draft", or "archived"'
+            );
         }
 
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
         // Check permissions
@@ -573,164 +731,157 @@ class EntryController {
             req.user.role === "admin";
 
         if (!canEdit) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied",
-            });
-        }
-
-        entry.status = status;
-        if (status === "published" && !entry.publishedAt) {
-            entry.publishedAt = new Date();
+            throw new ForbiddenError("Access denied");
         }
-        entry.updatedAt = new Date();
 
-        await entry.save();
+        const { review, held } = await this.changeStatus(entry, status, req.user);
 
-        res.json({
+        res.status(held ? 202 : 200).json({
             success: true,
-            message: `Entry ${status} successfully`,
-            data: { entry },
+            message: held
+            ? "Entry submitted for moderator review"
+            : `Entry ${status} successfully`,
+            data: { entry, review },
         });
-        } catch (error) {
-        console.error("Toggle publish status error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while updating entry status",
-        });
-        }
     }
 
-    // Add comment to entry
-    async addComment(req, res) {
-        try {
-        const { id } = req.params;
-        const { content, parentCommentId } = req.body;
-
-        if (!content || content.trim().length === 0) {
-            return res.status(400).json({
-            success: false,
-            message: "Comment content is required",
-            });
-        }
+    // Set an entry's status. Publishing runs the automated sensitivity
+    // review first: blocking findings hold the entry in pending_review for
+    // a moderator, unless a moderator or admin is publishing it themselves.
+    // Returns { entry, review, held }.
+    async changeStatus(entry, status, user) {
+        await this.assertNotUnderReview(entry, user);
+
+        // A staff publish or withdrawal replaces any review that is still
+        // waiting for a moderator
+        await SensitivityReview.updateMany(
+            { entry: entry._id, status: "flagged" },
+            { $set: { status: "superseded" } }
+        );
 
-        if (content.length > 1000) {
-            return res.status(400).json({
-            success: false,
-            message: "Comment must be less than 1000 characters",
-            });
+        const result =
+            status === "published" && entry.status !== "published"
+            ? await sensitivityReviewer.review(entry)
+            : null;
+        if (!result) {
+            await this.setStatus(entry, status);
+            return { entry, review: null, held: false };
         }
 
-        const entry = await Entry.findById(id);
-        if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
-        }
+        const isStaff = this.isStaff(user);
+        const held = result.blocking && !isStaff;
+        const overridden = result.blocking && isStaff;
+
+        const review = await SensitivityReview.create({
+            entry: entry._id,
+            requestedBy: user.userId,
+            status: held ? "flagged" : overridden ? "approved" : "passed",
+            highestSeverity: result.highestSeverity,
+            summary: result.summary,
+            findings: result.findings,
+            provider: result.provider,
+            model: result.model,
+            error: result.error,
+            ...(overridden && {
+            reviewedBy: user.userId,
+            reviewedAt: new Date(),
+            reviewNote: "Published by staff despite blocking findings",
+            }),
+        });
 
-        // Check if entry allows comments
-        if (!entry.isPublic && entry.author.toString() !== req.user.userId) {
-            return res.status(403).json({
-            success: false,
-            message: "Cannot comment on private entries",
+        if (overridden) {
+            await ModerationAction.create({
+            moderator: user.userId,
+            action: "approve",
+            targetType: "entry",
+            target: entry._id,
+            note: review.reviewNote,
+            metadata: {
+                review: review._id,
+                highestSeverity: review.highestSeverity,
+            },
             });
         }
 
-        const comment = {
-            author: req.user.userId,
-            content: content.trim(),
-            parentComment: parentCommentId || null,
-            createdAt: new Date(),
-            likes: [],
-        };
-
-        entry.comments.push(comment);
-        await entry.save();
-
-        const populatedEntry = await Entry.findById(id).populate(
-            "comments.author",
-            "username profilePicture"
-        );
+        await this.setStatus(entry, held ? "pending_review" : "published");
+        return { entry, review, held };
+    }
 
-        const newComment =
-            populatedEntry.comments[populatedEntry.comments.length - 1];
+    isStaff(user) {
+        return (ROLE_LEVELS[user.role] || 0) >= ROLE_LEVELS.moderator;
+    }
 
-        res.status(201).json({
-            success: true,
-            message: "Comment added successfully",
-            data: { comment: newComment },
-        });
-        } catch (error) {
-        console.error("Add comment error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while adding comment",
-        });
+    // While a flagged review is open only a moderator can settle the entry's
+    // status; otherwise authors could withdraw and republish until the
+    // automated review lets it through
+    async assertNotUnderReview(entry, user) {
+        if (this.isStaff(user)) return;
+
+        const underReview =
+            entry.status === "pending_review" ||
+            (await SensitivityReview.countDocuments({
+            entry: entry._id,
+            status: "flagged",
+            })) > 0;
+        if (underReview) {
+            throw new ConflictError(
+            "This entry is waiting for moderator review. Its status can change once a moderator approves or rejects it."
+            );
         }
     }
 
-    // Delete comment
-    async deleteComment(req, res) {
-        try {
-        const { id, commentId } = req.params;
-
-        const entry = await Entry.findById(id);
-        if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+    async setStatus(entry, status) {
+        entry.status = status;
+        if (status === "published" && !entry.publishedAt) {
+            entry.publishedAt = new Date();
         }
+        entry.updatedAt = new Date();
+        await entry.save();
+        // Only published entries are embedded
+        await this.refreshEmbeddings(entry);
+        return entry;
+    }
 
-        const comment = entry.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({
-            success: false,
-            message: "Comment not found",
-            });
+    // Sensitivity reviews of an entry, newest first (author, moderators and admins)
+    async getSensitivityReviews(req, res) {
+        const entry = await Entry.findById(req.params.id)
+            .select("_id author")
+            .lean();
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
         }
 
-        // Check permissions - comment author, entry author, or admin
-        const canDelete =
-            comment.author.toString() === req.user.userId ||
+        const canView =
             entry.author.toString() === req.user.userId ||
-            req.user.role === "admin";
-
-        if (!canDelete) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied",
-            });
+            this.isStaff(req.user);
+        if (!canView) {
+            throw new ForbiddenError("Access denied");
         }
 
-        comment.deleteOne();
-        await entry.save();
+        const reviews = await SensitivityReview.find({ entry: entry._id })
+            .populate("reviewedBy", "username")
+            .sort({ createdAt: -1 })
+            .lean();
 
         res.json({
             success: true,
-            message: "Comment deleted successfully",
-        });
-        } catch (error) {
-        console.error("Delete comment error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while deleting comment",
+            data: { reviews },
         });
-        }
     }
 
     // Like/Unlike entry
     async toggleLike(req, res) {
-        try {
         const { id } = req.params;
 
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        // Only entries the user can see under their access protocol
+        const viewer = await entryAccess.viewerFor(req.user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied to this entry");
         }
 
         const userIdIndex = entry.likes.indexOf(req.user.userId);
@@ -756,18 +907,10 @@ class EntryController {
             hasLiked: action === "liked",
             },
         });
-        } catch (error) {
-        console.error("Toggle like error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while toggling like",
-        });
-        }
     }
 
     // Get entry statistics
     async getEntryStats(req, res) {
-        try {
         const userId = req.user.userId;
         const userFilter = req.user.role === "admin" ? {} : { author: userId };
 
@@ -828,25 +971,17 @@ class EntryController {
             popularEntries,
             },
         });
-        } catch (error) {
-        console.error("Get entry stats error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching statistics",
-        });
-        }
     }
 
     // Get trending entries
     async getTrendingEntries(req, res) {
-        try {
         const { limit = 10, days = 7 } = req.query;
 
         const dateThreshold = new Date();
         dateThreshold.setDate(dateThreshold.getDate() - parseInt(days));
 
         const trendingEntries = await Entry.find({
-            isPublic: true,
+            visibility: "public",
             status: "published",
             createdAt: { $gte: dateThreshold },
         })
@@ -865,22 +1000,14 @@ class EntryController {
             period: `Last ${days} days`,
             },
         });
-        } catch (error) {
-        console.error("Get trending entries error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching trending entries",
-        });
-        }
     }
 
     // Get featured entries
     async getFeaturedEntries(req, res) {
-        try {
         const { limit = 6 } = req.query;
 
         const featuredEntries = await Entry.find({
-            isPublic: true,
+            visibility: "public",
             status: "published",
             featured: true,
         })
@@ -894,34 +1021,16 @@ class EntryController {
             success: true,
             data: { featured: featuredEntries },
         });
-        } catch (error) {
-        console.error("Get featured entries error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while fetching featured entries",
-        });
-        }
     }
 
     // Toggle featured status (Admin only)
     async toggleFeatured(req, res) {
-        try {
-        if (req.user.role !== "admin") {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied. Admin privileges required.",
-            });
-        }
-
         const { id } = req.params;
         const { featured } = req.body;
 
         const entry = await Entry.findById(id);
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
         entry.featured = featured;
@@ -936,55 +1045,36 @@ class EntryController {
             message: `Entry ${featured ? "featured" : "unfeatured"} successfully`,
             data: { entry },
         });
-        } catch (error) {
-        console.error("Toggle featured error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while toggling featured status",
-        });
-        }
     }
 
     // Bulk operations (Admin only)
     async bulkDelete(req, res) {
-        try {
-        if (req.user.role !== "admin") {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied. Admin privileges required.",
-            });
-        }
-
         const { entryIds } = req.body;
 
         if (!Array.isArray(entryIds) || entryIds.length === 0) {
-            return res.status(400).json({
-            success: false,
-            message: "Entry IDs array is required",
-            });
+            throw new ValidationError("Entry IDs array is required");
         }
 
-        const result = await Entry.deleteMany({
-            _id: { $in: entryIds },
-        });
+        const entries = await Entry.find({ _id: { $in: entryIds } });
+        const deletedAt = new Date();
+        for (const entry of entries) {
+            await EntryRevision.record(entry, {
+            action: "delete",
+            editor: req.user.userId,
+            note: "Bulk delete",
+            });
+            await entry.trash({ deletedBy: req.user.userId, at: deletedAt });
+        }
 
         res.json({
             success: true,
-            message: `${result.deletedCount} entries deleted successfully`,
-            data: { deletedCount: result.deletedCount },
+            message: `${entries.length} entries moved to trash`,
+            data: { deletedCount: entries.length },
         });
-        } catch (error) {
-        console.error("Bulk delete error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while deleting entries",
-        });
-        }
     }
 
     // Export entry data
     async exportEntry(req, res) {
-        try {
         const { id } = req.params;
         const { format = "json" } = req.query;
 
@@ -993,23 +1083,13 @@ class EntryController {
             .lean();
 
         if (!entry) {
-            return res.status(404).json({
-            success: false,
-            message: "Cultural entry not found",
-            });
+            throw new NotFoundError("Cultural entry not found");
         }
 
-        // Check permissions
-        const canExport =
-            entry.author._id.toString() === req.user.userId ||
-            req.user.role === "admin" ||
-            entry.isPublic;
-
-        if (!canExport) {
-            return res.status(403).json({
-            success: false,
-            message: "Access denied",
-            });
+        // Check permissions under the entry's access protocol
+        const viewer = await entryAccess.viewerFor(req.user);
+        if (!entryAccess.canView(entry, viewer)) {
+            throw new ForbiddenError("Access denied");
         }
 
         if (format === "json") {
@@ -1019,17 +1099,7 @@ class EntryController {
             });
         } else {
             // Could add CSV, PDF export formats here
-            res.status(400).json({
-            success: false,
-            message: "Unsupported export format",
-            });
-        }
-        } catch (error) {
-        console.error("Export entry error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Internal server error while exporting entry",
-        });
+            throw new ValidationError("Unsupported export format");
         }
     }
 }
@@ -0,0 +1,126 @@
+const Entry = require("../models/Entry");
+const Media = require("../models/Media");
+const entryController = require("./entryController.jsx");
+const mediaService = require("../services/media");
+const orphanedMedia = require("../services/orphanedMedia");
+const storageQuota = require("../services/storageQuota");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+class MediaController {
+  // Check the entry exists, the user may edit it, the media type is known
+  // and the upload fits the user's storage quota before anything is
+  // uploaded. The request size includes the multipart framing, so it is
+  // an upper bound of the file size.
+    async prepareUpload(req, res, next) {
+        const { type = "image" } = req.query;
+        if (!mediaService.types.includes(type)) {
+            throw new ValidationError(
+            `Media type must be one of: ${mediaService.types.join(", ")}`
+            );
+        }
+
+        await this.loadEditableEntry(req.params.id, req.user);
+        mediaService.assertReady();
+        await storageQuota.assertCanUpload(
+            req.user.userId,
+            parseInt(req.headers["content-length"]) || 0
+        );
+
+        req.mediaType = type;
+        next();
+    }
+
+    // Store the `file` field with the upload middleware for the media type
+    upload(req, res, next) {
+        mediaService.uploader(req.mediaType)(req, res, next);
+    }
+
+    async loadEditableEntry(id, user) {
+        const entry = await Entry.findById(id).select("_id author").lean();
+        if (!entry) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+
+        entryController.assertCanEdit(entry, user);
+        return entry;
+    }
+
+    // Attach an uploaded file to an entry
+    async addMedia(req, res) {
+        if (!req.file) {
+            throw new ValidationError('A file is required in the "file" field');
+        }
+
+        const fields = await mediaService.describe(req.file, req.mediaType);
+        let media;
+        try {
+            // Chunked requests carry no length and variants add to the
+            // upload, so check what was actually stored too
+            await storageQuota.assertCanUpload(
+            req.user.userId,
+            (fields.fileSize || 0) + (fields.variantsSize || 0)
+            );
+            media = await Media.create({
+            ...fields,
+            entry: req.params.id,
+            uploadedBy: req.user.userId,
+            });
+        } catch (error) {
+            // Do not leave an asset behind that no row points to
+            await mediaService.removeAssets([fields]);
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "Media uploaded successfully",
+            data: { media },
+        });
+    }
+
+    // Remove a media item from an entry and delete its stored file
+    async deleteMedia(req, res) {
+        const { id, mediaId } = req.params;
+        await this.loadEditableEntry(id, req.user);
+
+        const media = await Media.findOne({ _id: mediaId, entry: id });
+        if (!media) {
+            throw new NotFoundError("Media not found");
+        }
+
+        await media.deleteOne();
+        await mediaService.removeAssets([media]);
+
+        res.json({
+            success: true,
+            message: "Media deleted successfully",
+        });
+    }
+
+    // Report stored files no media row points to, without deleting them
+    // (Admin only)
+    async getOrphans(req, res) {
+        const result = await orphanedMedia.run({ dryRun: true });
+
+        res.json({
+            success: true,
+            data: result,
+        });
+    }
+
+    // Delete orphaned files past the grace period (Admin only)
+    async collectOrphans(req, res) {
+        const dryRun = req.body?.dryRun === true;
+        const result = await orphanedMedia.run({ dryRun });
+
+        res.json({
+            success: true,
+            message: dryRun
+            ? "Dry run - nothing was deleted"
+            : `${result.counts.deleted} orphaned media files deleted`,
+            data: result,
+        });
+    }
+}
+
+module.exports = new MediaController();
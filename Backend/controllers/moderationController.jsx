@@ -0,0 +1,581 @@
+const Entry = require("../models/Entry");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const Report = require("../models/Report");
+const ModerationAction = require("../models/ModerationAction");
+const EntryRevision = require("../models/EntryRevision");
+const SensitivityReview = require("../models/SensitivityReview");
+const commentController = require("./commentController.jsx");
+const entryController = require("./entryController.jsx");
+const { ROLE_LEVELS } = require("../middleware/authMiddleware.jsx");
+const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SUSPENSION_DAYS = 7;
+
+const TARGET_MODELS = { entry: Entry, comment: Comment };
+
+const targetKey = (type, id) => `${type}:${id}`;
+
+const excerpt = (text, length = 200) =>
+    text && text.length > length ? `${text.slice(0, length)}…` : text || null;
+
+const paginate = (query) => {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationInfo = (page, limit, totalItems) => {
+    const totalPages = Math.ceil(totalItems / limit);
+    return {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+    };
+};
+
+class ModerationController {
+  // Report an entry or comment
+    async createReport(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { targetType, targetId, reason, details } = req.body;
+
+        const target = await TARGET_MODELS[targetType].findById(targetId).lean();
+        if (!target) {
+            throw new NotFoundError(
+            targetType === "entry" ? "Cultural entry not found" : "Comment not found"
+            );
+        }
+
+        // Reporters can only report what they can see
+        await commentController.loadEntry(
+            targetType === "entry" ? target._id : target.entry,
+            req.user
+        );
+
+        if (target.author.toString() === req.user.userId) {
+            throw new ValidationError("You cannot report your own content");
+        }
+
+        const existing = await Report.findOne({
+            targetType,
+            target: targetId,
+            reporter: req.user.userId,
+            status: "open",
+        })
+            .select("_id")
+            .lean();
+        if (existing) {
+            throw new ConflictError("You have already reported this", {
+            reportId: existing._id,
+            });
+        }
+
+        const report = await Report.create({
+            targetType,
+            target: targetId,
+            reporter: req.user.userId,
+            reason,
+            details: details?.trim() || null,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Report submitted. A moderator will review it.",
+            data: {
+            report: {
+                _id: report._id,
+                targetType: report.targetType,
+                target: report.target,
+                reason: report.reason,
+                status: report.status,
+                createdAt: report.createdAt,
+            },
+            },
+        });
+    }
+
+    // What the reported entries and comments look like now, deleted or not
+    async describeTargets(reports) {
+        const summaries = new Map();
+
+        for (const [type, Model] of Object.entries(TARGET_MODELS)) {
+            const ids = [
+            ...new Set(
+                reports
+                .filter((report) => report.targetType === type)
+                .map((report) => report.target)
+            ),
+            ];
+            if (ids.length === 0) continue;
+
+            const items = await Model.find({ _id: { $in: ids } })
+            .withDeleted()
+            .select(
+                type === "entry"
+                ? "title description author status visibility accessGroup deletedAt deletedBy"
+                : "content entry author parentComment deletedAt deletedBy"
+            )
+            .populate("author", "username role suspendedUntil")
+            .lean();
+
+            items.forEach((item) => {
+            const { description, content, deletedAt, deletedBy, ...rest } = item;
+            summaries.set(targetKey(type, item._id), {
+                type,
+                ...rest,
+                excerpt: excerpt(type === "entry" ? description : content),
+                hidden: Boolean(deletedAt),
+                deletedAt,
+                deletedBy,
+            });
+            });
+        }
+
+        return summaries;
+    }
+
+    // Open report counts per target, so the queue can show pile-ups
+    async countOpenReports(reports) {
+        const ids = [...new Set(reports.map((report) => report.target))];
+        if (ids.length === 0) return new Map();
+
+        const rows = await Report.aggregate([
+            { $match: { target: { $in: ids }, status: "open" } },
+            { $group: { _id: "$target", count: { $sum: 1 } } },
+        ]);
+        return new Map(rows.map((row) => [row._id, row.count]));
+    }
+
+    // Moderation queue: reports filtered by status, target type, reason or
+    // target, oldest first (Moderator only)
+    async getReportQueue(req, res) {
+        const { status = "open", targetType, reason, targetId } = req.query;
+
+        const filter = {};
+        if (status !== "all") {
+            if (!Report.statuses.includes(status)) {
+            throw new ValidationError(
+                `Status must be one of: all, ${Report.statuses.join(", ")}`
+            );
+            }
+            filter.status = status;
+        }
+        if (targetType) {
+            if (!Report.targetTypes.includes(targetType)) {
+            throw new ValidationError(
+                `targetType must be one of: ${Report.targetTypes.join(", ")}`
+            );
+            }
+            filter.targetType = targetType;
+        }
+        if (reason) {
+            if (!Report.reasons.includes(reason)) {
+            throw new ValidationError(
+                `Reason must be one of: ${Report.reasons.join(", ")}`
+            );
+            }
+            filter.reason = reason;
+        }
+        if (targetId) filter.target = targetId;
+
+        const { page, limit, skip } = paginate(req.query);
+
+        const reports = await Report.find(filter)
+            .populate("reporter", "username")
+            .populate("resolvedBy", "username")
+            .sort({ createdAt: status === "open" ? 1 : -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const totalReports = await Report.countDocuments(filter);
+
+        const [targets, openCounts] = await Promise.all([
+            this.describeTargets(reports),
+            this.countOpenReports(reports),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+            reports: reports.map((report) => ({
+                ...report,
+                target: targets.get(targetKey(report.targetType, report.target)) || {
+                type: report.targetType,
+                _id: report.target,
+                purged: true,
+                },
+                openReportsOnTarget: openCounts.get(report.target) || 0,
+            })),
+            pagination: paginationInfo(page, limit, totalReports),
+            },
+        });
+    }
+
+    async findReport(id) {
+        const report = await Report.findById(id);
+        if (!report) {
+            throw new NotFoundError("Report not found");
+        }
+        return report;
+    }
+
+    // A report with the other reports on its target and the target's
+    // moderation history (Moderator only)
+    async getReport(req, res) {
+        const report = await this.findReport(req.params.id);
+        await report.populate("reporter", "username");
+        await report.populate("resolvedBy", "username");
+
+        const [targets, relatedReports, history] = await Promise.all([
+            this.describeTargets([report]),
+            Report.find({
+            targetType: report.targetType,
+            target: report.target,
+            _id: { $ne: report._id },
+            })
+            .populate("reporter", "username")
+            .sort({ createdAt: -1 })
+            .lean(),
+            ModerationAction.find({
+            targetType: report.targetType,
+            target: report.target,
+            })
+            .populate("moderator", "username")
+            .sort({ createdAt: -1 })
+            .lean(),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+            report,
+            target: targets.get(targetKey(report.targetType, report.target)) || null,
+            relatedReports,
+            history,
+            },
+        });
+    }
+
+    // Moderators may only act on content and accounts of users with a lower role
+    assertCanModerate(user, moderator) {
+        if ((ROLE_LEVELS[user.role] || 0) >= ROLE_LEVELS[moderator.role]) {
+            throw new ForbiddenError(
+            "Access denied. You cannot moderate a user with the same or a higher role."
+            );
+        }
+    }
+
+    // Resolve a report and every other open report on the same target:
+    // dismiss, hide the content, warn the author or suspend the author
+    // (Moderator only)
+    async resolveReport(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { action, note, days = DEFAULT_SUSPENSION_DAYS } = req.body;
+        const report = await this.findReport(req.params.id);
+
+        if (report.status !== "open") {
+            throw new ConflictError(`Report is already ${report.status}`);
+        }
+
+        const target = await TARGET_MODELS[report.targetType]
+            .findById(report.target)
+            .withDeleted();
+
+        let author = null;
+        if (action !== "dismiss") {
+            if (!target) {
+            throw new ConflictError(
+                "The reported content no longer exists. Dismiss the report instead."
+            );
+            }
+            author = await User.findById(target.author);
+            if (!author) {
+            throw new ConflictError("The author's account is deleted");
+            }
+            this.assertCanModerate(author, req.user);
+        }
+
+        const metadata = { reason: report.reason };
+        let targetType = report.targetType;
+        let targetId = report.target;
+
+        if (action === "hide") {
+            if (target.deletedAt) {
+            throw new ConflictError("The reported content is already hidden");
+            }
+            if (report.targetType === "entry") {
+            await EntryRevision.record(target, {
+                action: "delete",
+                editor: req.user.userId,
+                note: `Hidden by a moderator (report ${report._id})`,
+            });
+            }
+            await target.trash({ deletedBy: req.user.userId });
+        }
+
+        if (action === "warn" || action === "suspend") {
+            targetType = "user";
+            targetId = author._id;
+            metadata.content = { type: report.targetType, id: report.target };
+        }
+
+        if (action === "suspend") {
+            author.suspendedUntil = new Date(Date.now() + days * DAY_MS);
+            await author.save();
+            metadata.suspendedUntil = author.suspendedUntil;
+            metadata.days = days;
+        }
+
+        const openReports = await Report.find({
+            targetType: report.targetType,
+            target: report.target,
+            status: "open",
+        });
+        const resolvedAt = new Date();
+        for (const openReport of openReports) {
+            openReport.status = action === "dismiss" ? "dismissed" : "actioned";
+            openReport.resolution = action;
+            openReport.resolutionNote = note?.trim() || null;
+            openReport.resolvedBy = req.user.userId;
+            openReport.resolvedAt = resolvedAt;
+            await openReport.save();
+        }
+        metadata.reports = openReports.map((openReport) => openReport._id);
+
+        const auditEntry = await ModerationAction.create({
+            moderator: req.user.userId,
+            action,
+            targetType,
+            target: targetId,
+            report: report._id,
+            note: note?.trim() || null,
+            metadata,
+        });
+
+        res.json({
+            success: true,
+            message: `Report resolved: ${action}`,
+            data: {
+            resolvedReports: openReports.length,
+            action: auditEntry,
+            },
+        });
+    }
+
+    // Lift a suspension early (Moderator only)
+    async unsuspendUser(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+        this.assertCanModerate(user, req.user);
+
+        if (!user.isSuspended()) {
+            throw new ConflictError("User is not suspended");
+        }
+
+        const suspendedUntil = user.suspendedUntil;
+        user.suspendedUntil = null;
+        await user.save();
+
+        const auditEntry = await ModerationAction.create({
+            moderator: req.user.userId,
+            action: "unsuspend",
+            targetType: "user",
+            target: user._id,
+            note: req.body.note?.trim() || null,
+            metadata: { suspendedUntil },
+        });
+
+        res.json({
+            success: true,
+            message: "Suspension lifted",
+            data: { user, action: auditEntry },
+        });
+    }
+
+    // Entries held by the automated sensitivity review, oldest first
+    // (Moderator only)
+    async getReviewQueue(req, res) {
+        const { status = "flagged", severity } = req.query;
+
+        const filter = {};
+        if (status !== "all") {
+            if (!SensitivityReview.statuses.includes(status)) {
+            throw new ValidationError(
+                `Status must be one of: all, ${SensitivityReview.statuses.join(", ")}`
+            );
+            }
+            filter.status = status;
+        }
+        if (severity) filter.highestSeverity = severity;
+
+        const { page, limit, skip } = paginate(req.query);
+
+        const reviews = await SensitivityReview.find(filter)
+            .populate("entry", "title category status author")
+            .populate("requestedBy", "username")
+            .populate("reviewedBy", "username")
+            .sort({ createdAt: status === "flagged" ? 1 : -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const totalReviews = await SensitivityReview.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+            reviews,
+            pagination: paginationInfo(page, limit, totalReviews),
+            },
+        });
+    }
+
+    async findReview(id) {
+        const review = await SensitivityReview.findById(id);
+        if (!review) {
+            throw new NotFoundError("Sensitivity review not found");
+        }
+        return review;
+    }
+
+    // A sensitivity review with the entry it was run on (Moderator only)
+    async getSensitivityReview(req, res) {
+        const review = await this.findReview(req.params.id);
+        await review.populate("requestedBy", "username");
+        await review.populate("reviewedBy", "username");
+
+        const entry = await Entry.findById(review.entry)
+            .withDeleted()
+            .populate("author", "username role suspendedUntil")
+            .lean();
+
+        res.json({
+            success: true,
+            data: { review, entry },
+        });
+    }
+
+    // Publish a held entry, or send it back to its author as a draft
+    async decideReview(req, res, decision) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const review = await this.findReview(req.params.id);
+        if (review.status !== "flagged") {
+            throw new ConflictError(`Review is already ${review.status}`);
+        }
+
+        const entry = await Entry.findById(review.entry);
+        if (!entry || entry.status !== "pending_review") {
+            throw new ConflictError("The entry is no longer waiting for review");
+        }
+
+        const author = await User.findById(entry.author);
+        if (author) this.assertCanModerate(author, req.user);
+
+        const note = req.body.note?.trim() || null;
+        review.status = decision === "approve" ? "approved" : "rejected";
+        review.reviewedBy = req.user.userId;
+        review.reviewedAt = new Date();
+        review.reviewNote = note;
+        await review.save();
+
+        await entryController.setStatus(
+            entry,
+            decision === "approve" ? "published" : "draft"
+        );
+
+        const auditEntry = await ModerationAction.create({
+            moderator: req.user.userId,
+            action: decision,
+            targetType: "entry",
+            target: entry._id,
+            note,
+            metadata: {
+            review: review._id,
+            highestSeverity: review.highestSeverity,
+            },
+        });
+
+        res.json({
+            success: true,
+            message:
+            decision === "approve"
+                ? "Entry approved and published"
+                : "Entry rejected and returned to draft",
+            data: { review, entry, action: auditEntry },
+        });
+    }
+
+    async approveReview(req, res) {
+        return this.decideReview(req, res, "approve");
+    }
+
+    async rejectReview(req, res) {
+        return this.decideReview(req, res, "reject");
+    }
+
+    // Audit trail of moderation actions, newest first (Moderator only)
+    async getActions(req, res) {
+        const { action, moderator, targetType, targetId } = req.query;
+
+        const filter = {};
+        if (action) {
+            if (!ModerationAction.actions.includes(action)) {
+            throw new ValidationError(
+                `Action must be one of: ${ModerationAction.actions.join(", ")}`
+            );
+            }
+            filter.action = action;
+        }
+        if (moderator) filter.moderator = moderator;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.target = targetId;
+
+        const { page, limit, skip } = paginate(req.query);
+
+        const actions = await ModerationAction.find(filter)
+            .populate("moderator", "username role")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+        const totalActions = await ModerationAction.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+            actions,
+            pagination: paginationInfo(page, limit, totalActions),
+            },
+        });
+    }
+}
+
+module.exports = new ModerationController();
@@ -0,0 +1,213 @@
+const Entry = require("../models/Entry");
+const EntryRevision = require("../models/EntryRevision");
+const entryController = require("./entryController.jsx");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+const { diffField } = require("../utils/diff");
+
+// Parse a revision number from the URL or query string
+const revisionNumber = (value, label = "Revision") => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new ValidationError(`${label} must be a positive integer`);
+    }
+    return number;
+};
+
+class RevisionController {
+  // History is visible to whoever may edit the entry, including while it
+  // is in the trash; once the entry is purged only admins can see it
+    async assertCanViewHistory(entryId, user) {
+        const entry = await Entry.findById(entryId).withDeleted();
+        if (entry) {
+            entryController.assertCanEdit(entry, user);
+            return entry;
+        }
+
+        const tombstone = await EntryRevision.findOne({ entry: entryId })
+            .select("_id")
+            .lean();
+        if (!tombstone) {
+            throw new NotFoundError("Cultural entry not found");
+        }
+        if (user.role !== "admin") {
+            throw new ForbiddenError(
+                "Access denied. Only admins can view purged entries."
+            );
+        }
+        return null;
+    }
+
+    async findRevision(entryId, number) {
+        const revision = await EntryRevision.findOne({
+            entry: entryId,
+            revision: number,
+        })
+            .populate("editor", "username")
+            .lean();
+        if (!revision) {
+            throw new NotFoundError(`Revision ${number} not found`);
+        }
+        return revision;
+    }
+
+    // List an entry's revisions, newest first
+    async getRevisions(req, res) {
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+
+        await this.assertCanViewHistory(id, req.user);
+
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const revisions = await EntryRevision.find({ entry: id })
+            .select("revision action changedFields editor note createdAt")
+            .populate("editor", "username")
+            .sort({ revision: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean();
+
+        const totalRevisions = await EntryRevision.countDocuments({ entry: id });
+        const totalPages = Math.ceil(totalRevisions / pageSize);
+
+        res.json({
+            success: true,
+            data: {
+            revisions,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalRevisions,
+                hasNext: pageNumber < totalPages,
+                hasPrev: pageNumber > 1,
+            },
+            },
+        });
+    }
+
+    // Get one revision with its full snapshot
+    async getRevision(req, res) {
+        const { id, revision } = req.params;
+
+        await this.assertCanViewHistory(id, req.user);
+
+        res.json({
+            success: true,
+            data: {
+            revision: await this.findRevision(id, revisionNumber(revision)),
+            },
+        });
+    }
+
+    // Field-level diff between two revisions; defaults to the latest one
+    // against the one before it
+    async diffRevisions(req, res) {
+        const { id } = req.params;
+
+        await this.assertCanViewHistory(id, req.user);
+
+        const latest = await EntryRevision.findOne({ entry: id })
+            .select("revision")
+            .sort({ revision: -1 })
+            .lean();
+        if (!latest) {
+            throw new NotFoundError("This entry has no revisions yet");
+        }
+
+        const to =
+            req.query.to !== undefined
+            ? revisionNumber(req.query.to, "to")
+            : latest.revision;
+        const from =
+            req.query.from !== undefined
+            ? revisionNumber(req.query.from, "from")
+            : to - 1;
+
+        if (from < 1 || from === to) {
+            throw new ValidationError(
+                "Choose two different revisions to compare"
+            );
+        }
+
+        const [before, after] = await Promise.all([
+            this.findRevision(id, from),
+            this.findRevision(id, to),
+        ]);
+
+        const changes = EntryRevision.changedBetween(
+            before.snapshot,
+            after.snapshot
+        ).map((field) =>
+            diffField(field, before.snapshot[field], after.snapshot[field])
+        );
+
+        res.json({
+            success: true,
+            data: {
+            from: {
+                revision: before.revision,
+                action: before.action,
+                editor: before.editor,
+                createdAt: before.createdAt,
+            },
+            to: {
+                revision: after.revision,
+                action: after.action,
+                editor: after.editor,
+                createdAt: after.createdAt,
+            },
+            changes,
+            changedFields: changes.map((change) => change.field),
+            },
+        });
+    }
+
+    // Bring an entry's content back to an earlier revision. The restore is
+    // itself recorded as a new revision, so it can be undone the same way.
+    async restoreRevision(req, res) {
+        const { id, revision } = req.params;
+
+        const entry = await this.assertCanViewHistory(id, req.user);
+        if (!entry) {
+            throw new NotFoundError(
+                "Cultural entry not found. Purged entries cannot be restored from their history."
+            );
+        }
+        if (entry.deletedAt) {
+            throw new ConflictError(
+                "This entry is in the trash. Restore it from the trash first."
+            );
+        }
+
+        const target = await this.findRevision(id, revisionNumber(revision));
+        if (EntryRevision.changedBetween(entry, target.snapshot).length === 0) {
+            throw new ConflictError(
+                `The entry already matches revision ${target.revision}`
+            );
+        }
+
+        const restoredEntry = await entryController.applyUpdate(
+            entry,
+            { ...target.snapshot },
+            {
+            editor: req.user.userId,
+            action: "restore",
+            note: `Restored revision ${target.revision}`,
+            }
+        );
+
+        res.json({
+            success: true,
+            message: `Entry restored to revision ${target.revision}`,
+            data: { entry: restoredEntry },
+        });
+    }
+}
+
+module.exports = new RevisionController();
@@ -0,0 +1,186 @@
+const Tag = require("../models/Tag");
+const Entry = require("../models/Entry");
+const entryAccess = require("../services/access");
+const { validationResult } = require("express-validator");
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+// Orderings for tag listings
+const TAG_SORTS = {
+    popular: { usageCount: -1, name: 1 },
+    name: { name: 1 },
+    recent: { createdAt: -1 },
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class TagController {
+  // List tags: autocomplete with `q` (slug prefix or name match), sorted
+  // by popularity, name or creation date
+    async getTags(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const { q, sort = "popular", includeUnused } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = parseInt(req.query.limit) || 20;
+
+        const filter = {};
+        if (includeUnused !== "true") {
+            filter.usageCount = { $gt: 0 };
+        }
+        if (q && q.trim()) {
+            const slug = Tag.slugify(q);
+            filter.$or = [{ name: new RegExp(escapeRegExp(q.trim()), "i") }];
+            if (slug) {
+            filter.$or.push({ slug: new RegExp(`^${escapeRegExp(slug)}`) });
+            }
+        }
+
+        const tags = await Tag.find(filter)
+            .sort(TAG_SORTS[sort])
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+        const totalTags = await Tag.countDocuments(filter);
+        const totalPages = Math.ceil(totalTags / limit);
+
+        res.json({
+            success: true,
+            data: {
+            tags,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalTags,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+            },
+        });
+    }
+
+    // Tag detail page: the tag and the published entries the user may see
+    async getTag(req, res) {
+        const { slug } = req.params;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 12));
+
+        const tag = await Tag.findOne({ slug }).lean();
+        if (!tag) {
+            throw new NotFoundError("Tag not found");
+        }
+
+        const viewer = await entryAccess.viewerFor(req.user);
+        const filter = {
+            tags: tag.name,
+            status: "published",
+            $and: [entryAccess.filter(viewer)],
+        };
+
+        const entries = await Entry.find(filter)
+            .select(
+            "title description category location media.images author views createdAt"
+            )
+            .populate("author", "username profilePicture")
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+        const totalEntries = await Entry.countDocuments(filter);
+        const totalPages = Math.ceil(totalEntries / limit);
+
+        res.json({
+            success: true,
+            data: {
+            tag,
+            entries,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalEntries,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+            },
+            },
+        });
+    }
+
+    async findTag(id) {
+        const tag = await Tag.findById(id);
+        if (!tag) {
+            throw new NotFoundError("Tag not found");
+        }
+        return tag;
+    }
+
+    // Rename a tag or change its description (Admin only). Entries keep
+    // the tag, so they show the new name right away.
+    async updateTag(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const tag = await this.findTag(req.params.id);
+        const { name, description } = req.body;
+
+        if (name !== undefined) {
+            const slug = Tag.slugify(name);
+            if (!slug) {
+            throw new ValidationError("Tag name must contain letters or numbers");
+            }
+
+            const existing = await Tag.findOne({ slug }).select("_id").lean();
+            if (existing && existing._id !== tag._id) {
+            throw new ConflictError(
+                "Another tag already has this name. Merge the tags instead.",
+                { tagId: existing._id }
+            );
+            }
+            tag.name = name.trim();
+            tag.slug = slug;
+        }
+        if (description !== undefined) {
+            tag.description = description?.trim() || null;
+        }
+        await tag.save();
+
+        res.json({
+            success: true,
+            message: "Tag updated successfully",
+            data: { tag },
+        });
+    }
+
+    // Merge a tag into another (Admin only): its entries move to the
+    // target tag and the merged tag is deleted
+    async mergeTag(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            throw new ValidationError("Validation failed", errors.array());
+        }
+
+        const source = await this.findTag(req.params.id);
+        const target = await this.findTag(req.body.targetId);
+        if (source._id === target._id) {
+            throw new ValidationError("A tag cannot be merged into itself");
+        }
+
+        const movedEntries = await Tag.merge(source, target);
+        const tag = await Tag.findById(target._id).lean();
+
+        res.json({
+            success: true,
+            message: `Tag "${source.name}" merged into "${target.name}"`,
+            data: { tag, movedEntries },
+        });
+    }
+}
+
+module.exports = new TagController();
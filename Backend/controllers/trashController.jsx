@@ -0,0 +1,198 @@
+const Entry = require("../models/Entry");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const EntryRevision = require("../models/EntryRevision");
+const trash = require("../services/trash");
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+// What each trash listing returns
+const TRASH_TYPES = {
+    entries: {
+        model: Entry,
+        select: "title category status author deletedAt deletedBy",
+    },
+    comments: {
+        model: Comment,
+        select: "content entry author parentComment deletedAt deletedBy",
+    },
+    users: {
+        model: User,
+        select: "username email role deletedAt deletedBy",
+    },
+};
+
+class TrashController {
+  // List trashed entries, comments or (admins only) users. Users see what
+  // they authored; admins can pass all=true to see everyone's.
+    async getTrash(req, res) {
+        const { type = "entries", all, page = 1, limit = 20 } = req.query;
+        const isAdmin = req.user.role === "admin";
+
+        const config = TRASH_TYPES[type];
+        if (!config) {
+            throw new ValidationError(
+                `Type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`
+            );
+        }
+        if (type === "users" && !isAdmin) {
+            throw new ForbiddenError("Only admins can list deleted users");
+        }
+
+        const filter = { deletedAt: { $ne: null } };
+        if (type !== "users" && !(isAdmin && all === "true")) {
+            filter.author = req.user.userId;
+        }
+
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const items = await config.model
+            .find(filter)
+            .select(config.select)
+            .sort({ deletedAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean();
+        const totalItems = await config.model.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / pageSize);
+
+        res.json({
+            success: true,
+            data: {
+            type,
+            items: items.map((item) => ({
+                ...item,
+                purgeAt: trash.purgeDate(item.deletedAt),
+            })),
+            retentionDays: trash.retentionDays,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalItems,
+                hasNext: pageNumber < totalPages,
+                hasPrev: pageNumber > 1,
+            },
+            },
+        });
+    }
+
+    // Whoever deleted an item (or an admin) may restore it, so authors
+    // cannot undo a moderator's deletion
+    assertCanRestore(item, user) {
+        if (item.deletedBy !== user.userId && user.role !== "admin") {
+            throw new ForbiddenError(
+                "Access denied. Only the person who deleted this or an admin can restore it."
+            );
+        }
+    }
+
+    // Restore a trashed entry
+    async restoreEntry(req, res) {
+        const entry = await Entry.findOne({
+            _id: req.params.id,
+            deletedAt: { $ne: null },
+        });
+        if (!entry) {
+            throw new NotFoundError("Entry not found in trash");
+        }
+
+        this.assertCanRestore(entry, req.user);
+
+        const author = await User.findById(entry.author).select("_id").lean();
+        if (!author) {
+            throw new ConflictError(
+                "The author's account is deleted. Restore the account first."
+            );
+        }
+
+        await entry.restore();
+        await EntryRevision.record(entry, {
+            action: "restore",
+            editor: req.user.userId,
+            note: "Restored from trash",
+        });
+
+        res.json({
+            success: true,
+            message: "Cultural entry restored",
+            data: { entry },
+        });
+    }
+
+    // Restore a trashed comment
+    async restoreComment(req, res) {
+        const comment = await Comment.findOne({
+            _id: req.params.id,
+            deletedAt: { $ne: null },
+        });
+        if (!comment) {
+            throw new NotFoundError("Comment not found in trash");
+        }
+
+        this.assertCanRestore(comment, req.user);
+
+        const [entry, author] = await Promise.all([
+            Entry.findById(comment.entry).select("_id").lean(),
+            User.findById(comment.author).select("_id").lean(),
+        ]);
+        if (!entry) {
+            throw new ConflictError(
+                "The entry for this comment is deleted. Restore the entry first."
+            );
+        }
+        if (!author) {
+            throw new ConflictError(
+                "The author's account is deleted. Restore the account first."
+            );
+        }
+
+        await comment.restore();
+        await comment.populate("author", "username profilePicture");
+
+        res.json({
+            success: true,
+            message: "Comment restored",
+            data: { comment },
+        });
+    }
+
+    // Restore a trashed user with the content deleted along with them (Admin only)
+    async restoreUser(req, res) {
+        const user = await User.findOne({
+            _id: req.params.id,
+            deletedAt: { $ne: null },
+        });
+        if (!user) {
+            throw new NotFoundError("User not found in trash");
+        }
+
+        await trash.restoreUser(user);
+
+        res.json({
+            success: true,
+            message: "User restored",
+            data: { user: await User.findById(user._id) },
+        });
+    }
+
+    // Purge expired trash now instead of waiting for the scheduled run (Admin only)
+    async purgeTrash(req, res) {
+        const dryRun = req.body?.dryRun === true;
+        const result = await trash.purge({ dryRun });
+
+        res.json({
+            success: true,
+            message: dryRun
+            ? "Dry run - nothing was deleted"
+            : "Expired trash purged",
+            data: { ...result, retentionDays: trash.retentionDays },
+        });
+    }
+}
+
+module.exports = new TrashController();
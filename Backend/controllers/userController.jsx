@@ -1,535 +1,202 @@
-import { useState, useEffect } from "react";
-import axios from "axios";
-
-const UserController = () => {
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    search: "",
-    role: "",
-    status: "",
-    page: 1,
-    limit: 10,
-  });
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 1,
-    totalUsers: 0,
-  });
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [showModal, setShowModal] = useState(false);
-  const [modalType, setModalType] = useState(""); // 'edit', 'role', 'status', 'delete'
-
-  // Fetch users from API
-  const fetchUsers = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-
-      const token = localStorage.getItem("token");
-      const params = new URLSearchParams();
-
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value) params.append(key, value);
-      });
-
-      const response = await axios.get(`/api/users?${params.toString()}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (response.data.success) {
-        setUsers(response.data.data.users);
-        setPagination(response.data.data.pagination);
-      }
-    } catch (err) {
-      setError(err.response?.data?.message || "Failed to fetch users");
-      console.error("Fetch users error:", err);
-    } finally {
-      setLoading(false);
+const User = require("../models/User");
+const Entry = require("../models/Entry");
+const trash = require("../services/trash");
+const storageQuota = require("../services/storageQuota");
+const {
+    ValidationError,
+    NotFoundError,
+} = require("../utils/errors");
+
+class UserController {
+    // Get all users with search, role/status filters and pagination (Admin only)
+    async getAllUsers(req, res) {
+        const { page = 1, limit = 10, search, role, status } = req.query;
+
+        const filter = {};
+
+        if (search && search.trim()) {
+            const pattern = new RegExp(search.trim(), "i");
+            filter.$or = [{ username: pattern }, { email: pattern }];
+        }
+
+        if (role && ["user", "moderator", "admin"].includes(role)) {
+            filter.role = role;
+        }
+
+        if (status === "active") filter.isActive = true;
+        if (status === "inactive") filter.isActive = false;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const users = await User.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const totalUsers = await User.countDocuments(filter);
+        const totalPages = Math.ceil(totalUsers / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+            users,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages,
+                totalUsers,
+                hasNext: parseInt(page) < totalPages,
+                hasPrev: parseInt(page) > 1,
+            },
+            },
+        });
     }
-  };
-
-  useEffect(() => {
-    fetchUsers();
-  }, [filters.page, filters.role, filters.status]);
-
-  // Handle search with debounce
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      if (filters.search !== undefined) {
-        fetchUsers();
-      }
-    }, 500);
-
-    return () => clearTimeout(timer);
-  }, [filters.search]);
-
-  // Update filter
-  const handleFilterChange = (key, value) => {
-    setFilters((prev) => ({ ...prev, [key]: value, page: 1 }));
-  };
-
-  // Handle page change
-  const handlePageChange = (newPage) => {
-    setFilters((prev) => ({ ...prev, page: newPage }));
-  };
-
-  // Open modal
-  const openModal = (type, user = null) => {
-    setModalType(type);
-    setSelectedUser(user);
-    setShowModal(true);
-  };
-
-  // Close modal
-  const closeModal = () => {
-    setShowModal(false);
-    setSelectedUser(null);
-    setModalType("");
-  };
-
-  // Update user role
-  const handleUpdateRole = async (userId, newRole) => {
-    try {
-      const token = localStorage.getItem("token");
-      const response = await axios.patch(
-        `/api/users/${userId}/role`,
-        { role: newRole },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-
-      if (response.data.success) {
-        fetchUsers();
-        closeModal();
-        alert("User role updated successfully");
-      }
-    } catch (err) {
-      alert(err.response?.data?.message || "Failed to update user role");
+
+    // Get single user with entry count (Admin only)
+    async getUserById(req, res) {
+        const { id } = req.params;
+
+        const user = await User.findById(id).lean();
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const entryCount = await Entry.countDocuments({ author: id });
+
+        res.json({
+            success: true,
+            data: { user: { ...user, entryCount } },
+        });
+    }
+
+    // The signed-in user's media storage: quota, usage and what is left
+    async getMyStorage(req, res) {
+        const storage = await storageQuota.summary(req.user.userId);
+
+        res.json({
+            success: true,
+            data: { storage },
+        });
     }
-  };
-
-  // Toggle user status
-  const handleToggleStatus = async (userId, isActive) => {
-    try {
-      const token = localStorage.getItem("token");
-      const response = await axios.patch(
-        `/api/users/${userId}/status`,
-        { isActive },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-
-      if (response.data.success) {
-        fetchUsers();
-        closeModal();
-        alert(`User ${isActive ? "activated" : "deactivated"} successfully`);
-      }
-    } catch (err) {
-      alert(err.response?.data?.message || "Failed to update user status");
+
+    // Users storing the most media, with role quotas (Admin only)
+    async getStorageOverview(req, res) {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+        const consumers = await storageQuota.topConsumers({ limit });
+
+        res.json({
+            success: true,
+            data: { consumers, roleQuotas: storageQuota.roleQuotas },
+        });
     }
-  };
-
-  // Delete user
-  const handleDeleteUser = async (userId) => {
-    if (
-      !window.confirm(
-        "Are you sure you want to delete this user? This action cannot be undone."
-      )
-    ) {
-      return;
+
+    // Set a user's storage quota in bytes, or null for their role's quota
+    // (Admin only)
+    async updateStorageQuota(req, res) {
+        const { id } = req.params;
+        const { quota } = req.body;
+
+        if (quota !== null && !(Number.isInteger(quota) && quota >= 0)) {
+            throw new ValidationError(
+                "quota must be a non-negative number of bytes, or null"
+            );
+        }
+
+        const user = await User.findByIdAndUpdate(
+            id,
+            { storageQuota: quota },
+            { new: true }
+        );
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        res.json({
+            success: true,
+            message: "Storage quota updated successfully",
+            data: { storage: await storageQuota.summary(id) },
+        });
     }
 
-    try {
-      const token = localStorage.getItem("token");
-      const response = await axios.delete(`/api/users/${userId}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (response.data.success) {
-        fetchUsers();
-        closeModal();
-        alert("User deleted successfully");
-      }
-    } catch (err) {
-      alert(err.response?.data?.message || "Failed to delete user");
+    // Change a user's role (Admin only)
+    async updateUserRole(req, res) {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        if (!["user", "moderator", "admin"].includes(role)) {
+            throw new ValidationError(
+                'Invalid role. Must be "user", "moderator", or "admin"'
+            );
+        }
+
+        if (id === req.user.userId) {
+            throw new ValidationError("You cannot change your own role");
+        }
+
+        const user = await User.findByIdAndUpdate(id, { role }, { new: true });
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        res.json({
+            success: true,
+            message: "User role updated successfully",
+            data: { user },
+        });
     }
-  };
-
-  // Get role badge color
-  const getRoleBadgeColor = (role) => {
-    const colors = {
-      admin: "bg-red-100 text-red-800",
-      moderator: "bg-blue-100 text-blue-800",
-      user: "bg-green-100 text-green-800",
-    };
-    return colors[role] || "bg-gray-100 text-gray-800";
-  };
-
-  // Get status badge color
-  const getStatusBadgeColor = (isActive) => {
-    return isActive
-      ? "bg-green-100 text-green-800"
-      : "bg-gray-100 text-gray-800";
-  };
-
-  if (loading && users.length === 0) {
-    return (
-      <div className="flex items-center justify-center min-h-screen">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-          <p className="mt-4 text-gray-600">Loading users...</p>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="container mx-auto px-4 py-8">
-      {/* Header */}
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
-        <p className="text-gray-600 mt-2">
-          Manage users, roles, and permissions
-        </p>
-      </div>
-
-      {/* Filters */}
-      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-          {/* Search */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Search
-            </label>
-            <input
-              type="text"
-              placeholder="Username or email..."
-              value={filters.search}
-              onChange={(e) => handleFilterChange("search", e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            />
-          </div>
-
-          {/* Role Filter */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Role
-            </label>
-            <select
-              value={filters.role}
-              onChange={(e) => handleFilterChange("role", e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Roles</option>
-              <option value="user">User</option>
-              <option value="moderator">Moderator</option>
-              <option value="admin">Admin</option>
-            </select>
-          </div>
-
-          {/* Status Filter */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Status
-            </label>
-            <select
-              value={filters.status}
-              onChange={(e) => handleFilterChange("status", e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Status</option>
-              <option value="active">Active</option>
-              <option value="inactive">Inactive</option>
-            </select>
-          </div>
-
-          {/* Clear Filters */}
-          <div className="flex items-end">
-            <button
-              onClick={() =>
-                setFilters({
-                  search: "",
-                  role: "",
-                  status: "",
-                  page: 1,
-                  limit: 10,
-                })
-              }
-              className="w-full px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
-            >
-              Clear Filters
-            </button>
-          </div>
-        </div>
-      </div>
-
-      {/* Error Message */}
-      {error && (
-        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
-          {error}
-        </div>
-      )}
-
-      {/* Users Table */}
-      <div className="bg-white rounded-lg shadow-md overflow-hidden">
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50 border-b border-gray-200">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  User
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Email
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Role
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Joined
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {users.length === 0 ? (
-                <tr>
-                  <td
-                    colSpan="6"
-                    className="px-6 py-12 text-center text-gray-500"
-                  >
-                    No users found
-                  </td>
-                </tr>
-              ) : (
-                users.map((user) => (
-                  <tr key={user._id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <div className="h-10 w-10 flex-shrink-0">
-                          <div className="h-10 w-10 rounded-full bg-blue-500 flex items-center justify-center text-white font-semibold">
-                            {user.username.charAt(0).toUpperCase()}
-                          </div>
-                        </div>
-                        <div className="ml-4">
-                          <div className="text-sm font-medium text-gray-900">
-                            {user.username}
-                          </div>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm text-gray-900">{user.email}</div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span
-                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getRoleBadgeColor(
-                          user.role
-                        )}`}
-                      >
-                        {user.role}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span
-                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeColor(
-                          user.isActive
-                        )}`}
-                      >
-                        {user.isActive ? "Active" : "Inactive"}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {new Date(user.createdAt).toLocaleDateString()}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <div className="flex justify-end space-x-2">
-                        <button
-                          onClick={() => openModal("role", user)}
-                          className="text-blue-600 hover:text-blue-900"
-                          title="Change Role"
-                        >
-                          Role
-                        </button>
-                        <button
-                          onClick={() => openModal("status", user)}
-                          className="text-yellow-600 hover:text-yellow-900"
-                          title="Toggle Status"
-                        >
-                          Status
-                        </button>
-                        <button
-                          onClick={() => openModal("delete", user)}
-                          className="text-red-600 hover:text-red-900"
-                          title="Delete User"
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-
-        {/* Pagination */}
-        {pagination.totalPages > 1 && (
-          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
-            <div className="flex-1 flex justify-between sm:hidden">
-              <button
-                onClick={() => handlePageChange(filters.page - 1)}
-                disabled={!pagination.hasPrev}
-                className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Previous
-              </button>
-              <button
-                onClick={() => handlePageChange(filters.page + 1)}
-                disabled={!pagination.hasNext}
-                className="ml-3 relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Next
-              </button>
-            </div>
-            <div className="hidden sm:flex-1 sm:flex sm:items-center sm:justify-between">
-              <div>
-                <p className="text-sm text-gray-700">
-                  Showing page{" "}
-                  <span className="font-medium">{pagination.currentPage}</span>{" "}
-                  of{" "}
-                  <span className="font-medium">{pagination.totalPages}</span> (
-                  {pagination.totalUsers} total users)
-                </p>
-              </div>
-              <div>
-                <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px">
-                  <button
-                    onClick={() => handlePageChange(filters.page - 1)}
-                    disabled={!pagination.hasPrev}
-                    className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    Previous
-                  </button>
-                  <button
-                    onClick={() => handlePageChange(filters.page + 1)}
-                    disabled={!pagination.hasNext}
-                    className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    Next
-                  </button>
-                </nav>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
-
-      {/* Modal */}
-      {showModal && selectedUser && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg max-w-md w-full p-6">
-            {modalType === "role" && (
-              <>
-                <h3 className="text-lg font-semibold mb-4">Change User Role</h3>
-                <p className="text-gray-600 mb-4">
-                  Change role for <strong>{selectedUser.username}</strong>
-                </p>
-                <div className="space-y-2">
-                  {["user", "moderator", "admin"].map((role) => (
-                    <button
-                      key={role}
-                      onClick={() => handleUpdateRole(selectedUser._id, role)}
-                      className={`w-full px-4 py-2 rounded-lg text-left ${
-                        selectedUser.role === role
-                          ? "bg-blue-100 text-blue-800 border-2 border-blue-500"
-                          : "bg-gray-100 text-gray-800 hover:bg-gray-200"
-                      }`}
-                    >
-                      {role.charAt(0).toUpperCase() + role.slice(1)}
-                    </button>
-                  ))}
-                </div>
-              </>
-            )}
-
-            {modalType === "status" && (
-              <>
-                <h3 className="text-lg font-semibold mb-4">
-                  Toggle User Status
-                </h3>
-                <p className="text-gray-600 mb-4">
-                  {selectedUser.isActive ? "Deactivate" : "Activate"} user{" "}
-                  <strong>{selectedUser.username}</strong>?
-                </p>
-                <div className="flex space-x-3">
-                  <button
-                    onClick={() =>
-                      handleToggleStatus(
-                        selectedUser._id,
-                        !selectedUser.isActive
-                      )
-                    }
-                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                  >
-                    Confirm
-                  </button>
-                  <button
-                    onClick={closeModal}
-                    className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </>
-            )}
-
-            {modalType === "delete" && (
-              <>
-                <h3 className="text-lg font-semibold mb-4 text-red-600">
-                  Delete User
-                </h3>
-                <p className="text-gray-600 mb-4">
-                  Are you sure you want to delete{" "}
-                  <strong>{selectedUser.username}</strong>? This will also
-                  delete all their entries.
-                </p>
-                <div className="flex space-x-3">
-                  <button
-                    onClick={() => handleDeleteUser(selectedUser._id)}
-                    className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
-                  >
-                    Delete
-                  </button>
-                  <button
-                    onClick={closeModal}
-                    className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </>
-            )}
-
-            {modalType !== "role" && (
-              <button
-                onClick={closeModal}
-                className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
-              >
-                ✕
-              </button>
-            )}
-          </div>
-        </div>
-      )}
-    </div>
-  );
-};
-
-export default UserController;
\ No newline at end of file
+
+    // Activate or deactivate a user account (Admin only)
+    async updateUserStatus(req, res) {
+        const { id } = req.params;
+        const { isActive } = req.body;
+
+        if (typeof isActive !== "boolean") {
+            throw new ValidationError("isActive must be a boolean");
+        }
+
+        if (id === req.user.userId) {
+            throw new ValidationError(
+                "You cannot change your own account status"
+            );
+        }
+
+        const user = await User.findByIdAndUpdate(
+            id,
+            { isActive },
+            { new: true }
+        );
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        res.json({
+            success: true,
+            message: `User ${isActive ? "activated" : "deactivated"} successfully`,
+            data: { user },
+        });
+    }
+
+    // Move a user account, with their entries and comments, to the trash (Admin only)
+    async deleteUser(req, res) {
+        const { id } = req.params;
+
+        if (id === req.user.userId) {
+            throw new ValidationError("You cannot delete your own account");
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const deletedAt = await trash.trashUser(user, req.user.userId);
+
+        res.json({
+            success: true,
+            message: "User moved to trash",
+            data: { deletedAt, purgeAt: trash.purgeDate(deletedAt) },
+        });
+    }
+}
+
+module.exports = new UserController();
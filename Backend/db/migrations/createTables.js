@@ -1,5 +1,10 @@
 const database = require("../../config/db");
 const { v4: uuidv4 } = require("uuid");
+const {
+  CATEGORY_NAMES,
+  DEFAULT_CATEGORY,
+  categoryEnumSql,
+} = require("../../config/categories");
 
 class DatabaseMigrations {
   constructor() {
@@ -16,13 +21,33 @@ class DatabaseMigrations {
 
       // Create tables in order of dependencies
       await this.createUsersTable();
+      await this.createAccessGroupsTable();
+      await this.createAccessGroupMembersTable();
       await this.createEntriesTable();
+      await this.syncEntryCategories();
+      await this.addEntryVisibilityColumns();
       await this.createCommentsTable();
+      await this.addSoftDeleteColumns();
+      await this.addCommentThreadColumns();
       await this.createLikesTable();
+      await this.createCommentLikesTable();
       await this.createConversationsTable();
+      await this.addConversationSummaryColumns();
       await this.createMediaTable();
+      await this.addMediaStorageColumn();
+      await this.addMediaVariantsColumn();
       await this.createTagsTable();
       await this.createEntryTagsTable();
+      await this.syncTagUsageCounts();
+      await this.createEntryEmbeddingsTable();
+      await this.createEntryEnhancementsTable();
+      await this.createEntryRevisionsTable();
+      await this.addUserSuspensionColumn();
+      await this.addUserStorageQuotaColumn();
+      await this.createReportsTable();
+      await this.createModerationActionsTable();
+      await this.syncStatusEnums();
+      await this.createSensitivityReviewsTable();
 
       console.log("\n✅ All migrations completed successfully!");
       console.log("📊 Database is ready for use.\n");
@@ -56,12 +81,17 @@ class DatabaseMigrations {
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
           last_login TIMESTAMP NULL,
+          suspended_until TIMESTAMP NULL,
+          storage_quota BIGINT UNSIGNED NULL,
+          deleted_at TIMESTAMP NULL,
+          deleted_by CHAR(36) NULL,
           
           INDEX idx_email (email),
           INDEX idx_username (username),
           INDEX idx_role (role),
           INDEX idx_is_active (is_active),
-          INDEX idx_created_at (created_at)
+          INDEX idx_created_at (created_at),
+          INDEX idx_deleted_at (deleted_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
@@ -72,6 +102,68 @@ class DatabaseMigrations {
     }
   }
 
+  // Create Access Groups table (communities entries can be shared with)
+  async createAccessGroupsTable() {
+    try {
+      console.log("📝 Creating access_groups table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS access_groups (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          name VARCHAR(100) NOT NULL,
+          slug VARCHAR(100) UNIQUE NOT NULL,
+          description TEXT NULL,
+          created_by CHAR(36) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+          
+          INDEX idx_name (name)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Access groups table created successfully");
+    } catch (error) {
+      console.error("❌ Error creating access_groups table:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Access Group Members table
+  async createAccessGroupMembersTable() {
+    try {
+      console.log("📝 Creating access_group_members table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS access_group_members (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          group_id CHAR(36) NOT NULL,
+          user_id CHAR(36) NOT NULL,
+          level ENUM('member', 'initiated', 'custodian') NOT NULL DEFAULT 'member',
+          added_by CHAR(36) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (group_id) REFERENCES access_groups(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+          
+          UNIQUE KEY unique_group_user (group_id, user_id),
+          INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Access group members table created successfully");
+    } catch (error) {
+      console.error(
+        "❌ Error creating access_group_members table:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
   // Create Entries table
   async createEntriesTable() {
     try {
@@ -82,12 +174,7 @@ class DatabaseMigrations {
           id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
           title VARCHAR(255) NOT NULL,
           description TEXT NOT NULL,
-          category ENUM(
-            'Architecture', 'Art', 'Music', 'Dance', 'Literature',
-            'Cuisine', 'Festivals', 'Rituals', 'Crafts', 'Clothing',
-            'Language', 'Folklore', 'Religion', 'Sports', 'Business Etiquette',
-            'Marketing Practices', 'HR & Diversity', 'Sales Strategies', 'Other'
-          ) DEFAULT 'Other',
+          category ${categoryEnumSql()} DEFAULT '${DEFAULT_CATEGORY}',
           
           cultural_context TEXT,
           historical_period VARCHAR(100),
@@ -103,11 +190,15 @@ class DatabaseMigrations {
           location_coordinates JSON,
           
           sources JSON,
-          references JSON,
+          \`references\` JSON,
           
           author_id CHAR(36) NOT NULL,
-          status ENUM('draft', 'published', 'archived') DEFAULT 'draft',
+          status ENUM('draft', 'pending_review', 'published', 'archived') DEFAULT 'draft',
           is_public BOOLEAN DEFAULT TRUE,
+          visibility ENUM('public', 'private', 'community', 'initiated', 'seasonal') NOT NULL DEFAULT 'public',
+          access_group_id CHAR(36) NULL,
+          season_start CHAR(5) NULL,
+          season_end CHAR(5) NULL,
           featured BOOLEAN DEFAULT FALSE,
           
           views INT UNSIGNED DEFAULT 0,
@@ -116,8 +207,11 @@ class DatabaseMigrations {
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
           published_at TIMESTAMP NULL,
           featured_at TIMESTAMP NULL,
+          deleted_at TIMESTAMP NULL,
+          deleted_by CHAR(36) NULL,
           
           FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (access_group_id) REFERENCES access_groups(id) ON DELETE SET NULL,
           
           INDEX idx_title (title),
           INDEX idx_category (category),
@@ -126,10 +220,12 @@ class DatabaseMigrations {
           INDEX idx_author (author_id),
           INDEX idx_status (status),
           INDEX idx_is_public (is_public),
+          INDEX idx_visibility (visibility, access_group_id),
           INDEX idx_featured (featured),
           INDEX idx_created_at (created_at),
           INDEX idx_views (views),
           INDEX idx_published_at (published_at),
+          INDEX idx_deleted_at (deleted_at),
           
           FULLTEXT idx_search (title, description, cultural_context, significance)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -142,6 +238,56 @@ class DatabaseMigrations {
     }
   }
 
+  // Bring the entries.category ENUM in line with config/categories.js
+  async syncEntryCategories() {
+    try {
+      console.log("📝 Syncing entry categories...");
+
+      const { rows } = await this.db.query(
+        `SELECT COLUMN_TYPE AS columnType FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'entries'
+           AND COLUMN_NAME = 'category'`
+      );
+
+      // MySQL reports the column type as enum('A','B',...)
+      const expected = categoryEnumSql()
+        .replace(/^ENUM/, "enum")
+        .replace(/', '/g, "','");
+
+      if (rows[0] && rows[0].columnType === expected) {
+        console.log("✅ Entry categories already up to date");
+        return;
+      }
+
+      // Refuse to drop a category that entries still use
+      const placeholders = CATEGORY_NAMES.map(() => "?").join(", ");
+      const { rows: orphaned } = await this.db.query(
+        `SELECT category, COUNT(*) AS count FROM entries
+         WHERE category NOT IN (${placeholders})
+         GROUP BY category`,
+        CATEGORY_NAMES
+      );
+
+      if (orphaned.length > 0) {
+        throw new Error(
+          `Entries still use removed categories: ${orphaned
+            .map((row) => `${row.category} (${row.count})`)
+            .join(", ")}`
+        );
+      }
+
+      await this.db.query(`
+        ALTER TABLE entries
+        MODIFY COLUMN category ${categoryEnumSql()} DEFAULT '${DEFAULT_CATEGORY}'
+      `);
+
+      console.log("✅ Entry categories synced successfully");
+    } catch (error) {
+      console.error("❌ Error syncing entry categories:", error.message);
+      throw error;
+    }
+  }
+
   // Create Comments table
   async createCommentsTable() {
     try {
@@ -151,12 +297,16 @@ class DatabaseMigrations {
         CREATE TABLE IF NOT EXISTS comments (
           id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
           entry_id CHAR(36) NOT NULL,
-          author_id CHAR(36) NOT NULL,
+          author_id CHAR(36) NULL,
           content TEXT NOT NULL,
           parent_comment_id CHAR(36) NULL,
+          depth TINYINT UNSIGNED NOT NULL DEFAULT 0,
           
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          edited_at TIMESTAMP NULL,
+          deleted_at TIMESTAMP NULL,
+          deleted_by CHAR(36) NULL,
           
           FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
           FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -165,7 +315,8 @@ class DatabaseMigrations {
           INDEX idx_entry (entry_id),
           INDEX idx_author (author_id),
           INDEX idx_parent (parent_comment_id),
-          INDEX idx_created_at (created_at)
+          INDEX idx_created_at (created_at),
+          INDEX idx_deleted_at (deleted_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
@@ -206,6 +357,35 @@ class DatabaseMigrations {
     }
   }
 
+  // Create Comment likes table
+  async createCommentLikesTable() {
+    try {
+      console.log("📝 Creating comment_likes table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS comment_likes (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          comment_id CHAR(36) NOT NULL,
+          user_id CHAR(36) NOT NULL,
+          
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          
+          UNIQUE KEY unique_comment_like (comment_id, user_id),
+          INDEX idx_comment (comment_id),
+          INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Comment likes table created successfully");
+    } catch (error) {
+      console.error("❌ Error creating comment_likes table:", error.message);
+      throw error;
+    }
+  }
+
   // Create Conversations table (for AI chat)
   async createConversationsTable() {
     try {
@@ -217,6 +397,8 @@ class DatabaseMigrations {
           user_id CHAR(36) NOT NULL,
           title VARCHAR(255) NOT NULL,
           messages JSON NOT NULL,
+          summary TEXT NULL,
+          summarized_count INT UNSIGNED NOT NULL DEFAULT 0,
           
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -236,6 +418,114 @@ class DatabaseMigrations {
     }
   }
 
+  // Add a column to an existing table unless it is already there
+  async addColumnIfMissing(table, column, definition) {
+    const { rows } = await this.db.query(
+      `SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+
+    if (Number(rows[0].count) > 0) return false;
+
+    await this.db.query(
+      `ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`
+    );
+    return true;
+  }
+
+  // deleted_at/deleted_by for tables created before soft deletion existed
+  async addSoftDeleteColumns() {
+    try {
+      console.log("📝 Adding soft delete columns...");
+
+      for (const table of ["users", "entries", "comments"]) {
+        const added = await this.addColumnIfMissing(
+          table,
+          "deleted_at",
+          "TIMESTAMP NULL"
+        );
+        await this.addColumnIfMissing(table, "deleted_by", "CHAR(36) NULL");
+        if (added) {
+          await this.db.query(
+            `ALTER TABLE \`${table}\` ADD INDEX idx_deleted_at (deleted_at)`
+          );
+        }
+      }
+
+      console.log("✅ Soft delete columns ready");
+    } catch (error) {
+      console.error("❌ Error adding soft delete columns:", error.message);
+      throw error;
+    }
+  }
+
+  // Reply depth and edit marker for comments created before threading
+  async addCommentThreadColumns() {
+    try {
+      console.log("📝 Adding comment thread columns...");
+
+      const added = await this.addColumnIfMissing(
+        "comments",
+        "depth",
+        "TINYINT UNSIGNED NOT NULL DEFAULT 0"
+      );
+      await this.addColumnIfMissing("comments", "edited_at", "TIMESTAMP NULL");
+
+      // Comments of purged users that still have replies lose their author
+      const { rows } = await this.db.query(
+        `SELECT IS_NULLABLE AS nullable FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'comments'
+           AND COLUMN_NAME = 'author_id'`
+      );
+      if (rows[0]?.nullable === "NO") {
+        await this.db.query(
+          "ALTER TABLE comments MODIFY COLUMN author_id CHAR(36) NULL"
+        );
+      }
+
+      // Existing replies start at depth 0; walk down one level per pass
+      if (added) {
+        let result;
+        do {
+          result = await this.db.query(`
+            UPDATE comments c
+            JOIN comments p ON p.id = c.parent_comment_id
+            SET c.depth = p.depth + 1
+            WHERE c.depth <> p.depth + 1
+          `);
+        } while (result.rows.affectedRows > 0);
+      }
+
+      console.log("✅ Comment thread columns ready");
+    } catch (error) {
+      console.error("❌ Error adding comment thread columns:", error.message);
+      throw error;
+    }
+  }
+
+  // Rolling summary of older turns for conversations created before it existed
+  async addConversationSummaryColumns() {
+    try {
+      console.log("📝 Adding conversation summary columns...");
+
+      await this.addColumnIfMissing("conversations", "summary", "TEXT NULL");
+      await this.addColumnIfMissing(
+        "conversations",
+        "summarized_count",
+        "INT UNSIGNED NOT NULL DEFAULT 0"
+      );
+
+      console.log("✅ Conversation summary columns ready");
+    } catch (error) {
+      console.error(
+        "❌ Error adding conversation summary columns:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
   // Create Media table (for images, audio, video, documents)
   async createMediaTable() {
     try {
@@ -255,6 +545,9 @@ class DatabaseMigrations {
           height INT UNSIGNED,
           duration INT UNSIGNED,
           thumbnail_url VARCHAR(500),
+          storage VARCHAR(20) NOT NULL DEFAULT 'cloudinary',
+          variants JSON,
+          variants_size INT UNSIGNED NOT NULL DEFAULT 0,
           
           uploaded_by CHAR(36) NOT NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -276,6 +569,48 @@ class DatabaseMigrations {
     }
   }
 
+  // Storage driver of each media file. Files uploaded before drivers
+  // existed all live in Cloudinary.
+  async addMediaStorageColumn() {
+    try {
+      console.log("📝 Adding media storage column...");
+
+      await this.addColumnIfMissing(
+        "media",
+        "storage",
+        "VARCHAR(20) NOT NULL DEFAULT 'cloudinary' AFTER thumbnail_url"
+      );
+
+      console.log("✅ Media storage column ready");
+    } catch (error) {
+      console.error("❌ Error adding media storage column:", error.message);
+      throw error;
+    }
+  }
+
+  // Thumbnail and responsive variants of images, generated on upload
+  async addMediaVariantsColumn() {
+    try {
+      console.log("📝 Adding media variants column...");
+
+      await this.addColumnIfMissing(
+        "media",
+        "variants",
+        "JSON NULL AFTER storage"
+      );
+      await this.addColumnIfMissing(
+        "media",
+        "variants_size",
+        "INT UNSIGNED NOT NULL DEFAULT 0 AFTER variants"
+      );
+
+      console.log("✅ Media variants column ready");
+    } catch (error) {
+      console.error("❌ Error adding media variants column:", error.message);
+      throw error;
+    }
+  }
+
   // Create Tags table
   async createTagsTable() {
     try {
@@ -333,6 +668,386 @@ class DatabaseMigrations {
     }
   }
 
+  // Recount tags.usage_count from entry_tags, which older versions never
+  // kept up to date
+  async syncTagUsageCounts() {
+    try {
+      console.log("📝 Syncing tag usage counts...");
+
+      await this.db.query(`
+        UPDATE tags t SET usage_count = (
+          SELECT COUNT(*) FROM entry_tags et
+          JOIN entries e ON e.id = et.entry_id
+          WHERE et.tag_id = t.id AND e.deleted_at IS NULL
+        )
+      `);
+
+      console.log("✅ Tag usage counts up to date");
+    } catch (error) {
+      console.error("❌ Error syncing tag usage counts:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Entry Embeddings table (vector chunks for semantic search)
+  async createEntryEmbeddingsTable() {
+    try {
+      console.log("📝 Creating entry_embeddings table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS entry_embeddings (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          entry_id CHAR(36) NOT NULL,
+          chunk_index SMALLINT UNSIGNED NOT NULL,
+          field VARCHAR(50) NOT NULL,
+          content TEXT NOT NULL,
+          content_hash CHAR(64) NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          model VARCHAR(100) NOT NULL,
+          dimensions SMALLINT UNSIGNED NOT NULL,
+          embedding JSON NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+          
+          UNIQUE KEY unique_entry_chunk (entry_id, provider, model, chunk_index),
+          INDEX idx_provider_model (provider, model)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Entry embeddings table created successfully");
+    } catch (error) {
+      console.error("❌ Error creating entry_embeddings table:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Entry Enhancements table (AI-proposed rewrites awaiting review)
+  async createEntryEnhancementsTable() {
+    try {
+      console.log("📝 Creating entry_enhancements table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS entry_enhancements (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          entry_id CHAR(36) NOT NULL,
+          requested_by CHAR(36) NULL,
+          status ENUM('pending', 'applied', 'partially_applied', 'rejected', 'superseded') DEFAULT 'pending',
+          summary TEXT NULL,
+          changes JSON NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          model VARCHAR(100) NULL,
+          resolved_by CHAR(36) NULL,
+          resolved_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+          FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+          
+          INDEX idx_entry_status (entry_id, status),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Entry enhancements table created successfully");
+    } catch (error) {
+      console.error(
+        "❌ Error creating entry_enhancements table:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  // Create Entry Revisions table (content history of every entry)
+  async createEntryRevisionsTable() {
+    try {
+      console.log("📝 Creating entry_revisions table...");
+
+      // No foreign key on entry_id: history outlives the entry
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS entry_revisions (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          entry_id CHAR(36) NOT NULL,
+          revision_number INT UNSIGNED NOT NULL,
+          action ENUM('create', 'update', 'restore', 'delete') NOT NULL,
+          snapshot JSON NOT NULL,
+          changed_fields JSON NOT NULL,
+          editor_id CHAR(36) NULL,
+          note VARCHAR(255) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL,
+          
+          UNIQUE KEY unique_entry_revision (entry_id, revision_number),
+          INDEX idx_editor (editor_id),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Entry revisions table created successfully");
+    } catch (error) {
+      console.error("❌ Error creating entry_revisions table:", error.message);
+      throw error;
+    }
+  }
+
+  // suspended_until for users tables created before moderation existed
+  async addUserSuspensionColumn() {
+    try {
+      console.log("📝 Adding user suspension column...");
+
+      await this.addColumnIfMissing(
+        "users",
+        "suspended_until",
+        "TIMESTAMP NULL"
+      );
+
+      console.log("✅ User suspension column ready");
+    } catch (error) {
+      console.error("❌ Error adding user suspension column:", error.message);
+      throw error;
+    }
+  }
+
+  // Per-user media storage quota in bytes; NULL falls back to the role's
+  async addUserStorageQuotaColumn() {
+    try {
+      console.log("📝 Adding user storage quota column...");
+
+      await this.addColumnIfMissing(
+        "users",
+        "storage_quota",
+        "BIGINT UNSIGNED NULL"
+      );
+
+      console.log("✅ User storage quota column ready");
+    } catch (error) {
+      console.error(
+        "❌ Error adding user storage quota column:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  // Visibility tiers for entries created when only is_public existed.
+  // Existing entries keep their meaning: public stays public, the rest
+  // become private.
+  async addEntryVisibilityColumns() {
+    try {
+      console.log("📝 Adding entry visibility columns...");
+
+      const added = await this.addColumnIfMissing(
+        "entries",
+        "visibility",
+        "ENUM('public', 'private', 'community', 'initiated', 'seasonal') NOT NULL DEFAULT 'public' AFTER is_public"
+      );
+      if (added) {
+        await this.db.query(
+          "UPDATE entries SET visibility = IF(is_public, 'public', 'private')"
+        );
+      }
+
+      if (
+        await this.addColumnIfMissing(
+          "entries",
+          "access_group_id",
+          "CHAR(36) NULL AFTER visibility"
+        )
+      ) {
+        await this.db.query(
+          `ALTER TABLE entries
+           ADD INDEX idx_visibility (visibility, access_group_id),
+           ADD FOREIGN KEY (access_group_id) REFERENCES access_groups(id) ON DELETE SET NULL`
+        );
+      }
+      await this.addColumnIfMissing(
+        "entries",
+        "season_start",
+        "CHAR(5) NULL AFTER access_group_id"
+      );
+      await this.addColumnIfMissing(
+        "entries",
+        "season_end",
+        "CHAR(5) NULL AFTER season_start"
+      );
+
+      console.log("✅ Entry visibility columns ready");
+    } catch (error) {
+      console.error("❌ Error adding entry visibility columns:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Reports table (user reports of entries and comments)
+  async createReportsTable() {
+    try {
+      console.log("📝 Creating reports table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS reports (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          target_type ENUM('entry', 'comment') NOT NULL,
+          target_id CHAR(36) NOT NULL,
+          reporter_id CHAR(36) NOT NULL,
+          reason ENUM('spam', 'harassment', 'hate_speech', 'misinformation', 'copyright', 'inappropriate', 'other') NOT NULL,
+          details TEXT NULL,
+          status ENUM('open', 'dismissed', 'actioned') DEFAULT 'open',
+          resolution ENUM('dismiss', 'hide', 'warn', 'suspend') NULL,
+          resolution_note TEXT NULL,
+          resolved_by CHAR(36) NULL,
+          resolved_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+          
+          INDEX idx_target (target_type, target_id),
+          INDEX idx_status_created (status, created_at),
+          INDEX idx_reporter (reporter_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Reports table created successfully");
+    } catch (error) {
+      console.error("❌ Error creating reports table:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Moderation Actions table (audit trail). No foreign keys, so the
+  // trail outlives purged users, content and reports.
+  async createModerationActionsTable() {
+    try {
+      console.log("📝 Creating moderation_actions table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS moderation_actions (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          moderator_id CHAR(36) NOT NULL,
+          action ENUM('dismiss', 'hide', 'warn', 'suspend', 'unsuspend', 'approve', 'reject') NOT NULL,
+          target_type ENUM('entry', 'comment', 'user') NOT NULL,
+          target_id CHAR(36) NOT NULL,
+          report_id CHAR(36) NULL,
+          note TEXT NULL,
+          metadata JSON NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          
+          INDEX idx_moderator (moderator_id),
+          INDEX idx_target (target_type, target_id),
+          INDEX idx_action (action),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Moderation actions table created successfully");
+    } catch (error) {
+      console.error(
+        "❌ Error creating moderation_actions table:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  // Replace an ENUM column's values unless they already match. MySQL
+  // reports the column type as enum('a','b',...).
+  async syncEnumColumn(table, column, values, options = "") {
+    const { rows } = await this.db.query(
+      `SELECT COLUMN_TYPE AS columnType FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    const quoted = values.map((value) => `'${value}'`);
+    if (!rows[0] || rows[0].columnType === `enum(${quoted.join(",")})`) {
+      return false;
+    }
+
+    await this.db.query(
+      `ALTER TABLE \`${table}\` MODIFY COLUMN \`${column}\` ENUM(${quoted.join(", ")}) ${options}`
+    );
+    return true;
+  }
+
+  // Status values added after the tables were first created
+  async syncStatusEnums() {
+    try {
+      console.log("📝 Syncing status enums...");
+
+      await this.syncEnumColumn(
+        "entries",
+        "status",
+        ["draft", "pending_review", "published", "archived"],
+        "DEFAULT 'draft'"
+      );
+      await this.syncEnumColumn(
+        "moderation_actions",
+        "action",
+        [
+          "dismiss",
+          "hide",
+          "warn",
+          "suspend",
+          "unsuspend",
+          "approve",
+          "reject",
+        ],
+        "NOT NULL"
+      );
+
+      console.log("✅ Status enums up to date");
+    } catch (error) {
+      console.error("❌ Error syncing status enums:", error.message);
+      throw error;
+    }
+  }
+
+  // Create Sensitivity Reviews table (automated checks run on publish)
+  async createSensitivityReviewsTable() {
+    try {
+      console.log("📝 Creating sensitivity_reviews table...");
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS sensitivity_reviews (
+          id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+          entry_id CHAR(36) NOT NULL,
+          requested_by CHAR(36) NULL,
+          status ENUM('passed', 'flagged', 'approved', 'rejected', 'superseded') NOT NULL,
+          highest_severity ENUM('none', 'low', 'medium', 'high') DEFAULT 'none',
+          summary TEXT NULL,
+          findings JSON NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          model VARCHAR(100) NULL,
+          error TEXT NULL,
+          reviewed_by CHAR(36) NULL,
+          reviewed_at TIMESTAMP NULL,
+          review_note TEXT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+          FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+          
+          INDEX idx_entry_status (entry_id, status),
+          INDEX idx_status_created (status, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      console.log("✅ Sensitivity reviews table created successfully");
+    } catch (error) {
+      console.error(
+        "❌ Error creating sensitivity_reviews table:",
+        error.message
+      );
+      throw error;
+    }
+  }
+
   // Display migration summary
   async displayMigrationSummary() {
     try {
@@ -373,13 +1088,22 @@ class DatabaseMigrations {
 
       // Drop tables in reverse order
       const tables = [
+        "sensitivity_reviews",
+        "moderation_actions",
+        "reports",
+        "entry_revisions",
+        "entry_enhancements",
+        "entry_embeddings",
         "entry_tags",
         "tags",
         "media",
         "conversations",
+        "comment_likes",
         "likes",
         "comments",
         "entries",
+        "access_group_members",
+        "access_groups",
         "users",
       ];
 
@@ -506,6 +1230,24 @@ class DatabaseMigrations {
       throw error;
     }
   }
+
+  // Rebuild semantic search vectors for every entry
+  async rebuildEmbeddings() {
+    try {
+      console.log("🧠 Rebuilding entry embeddings...\n");
+
+      await this.db.connect();
+
+      const entryEmbeddings = require("../../services/embeddings/entryIndex");
+      const { total, indexed } = await entryEmbeddings.reindexAll();
+
+      console.log(`✓ Embedded ${indexed} of ${total} entries`);
+      console.log("\n✅ Embeddings rebuilt successfully!\n");
+    } catch (error) {
+      console.error("❌ Rebuilding embeddings failed:", error.message);
+      throw error;
+    }
+  }
 }
 
 // Export the class and create CLI interface
@@ -531,6 +1273,10 @@ const command = process.argv[2];
         await migrations.seedDatabase();
         break;
 
+      case "embed":
+        await migrations.rebuildEmbeddings();
+        break;
+
       case "fresh":
         await migrations.rollback();
         await migrations.runMigrations();
@@ -551,6 +1297,9 @@ const command = process.argv[2];
         console.log(
           "  node database/migrations/createTables.js fresh    - Rollback + Migrate + Seed"
         );
+        console.log(
+          "  node database/migrations/createTables.js embed    - Rebuild entry embeddings"
+        );
     }
 
     process.exit(0);
@@ -0,0 +1,115 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+// Role hierarchy - a higher role satisfies any lower requirement
+const ROLE_LEVELS = {
+  user: 1,
+  moderator: 2,
+  admin: 3,
+};
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Verify a token issued by AuthController and load the current account.
+// Role and active state come from the database so demotions,
+// deactivations and suspensions take effect before the token expires.
+const resolveUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw error.name === "TokenExpiredError"
+      ? new UnauthorizedError(
+          "Token expired. Please log in again.",
+          "TOKEN_EXPIRED"
+        )
+      : new UnauthorizedError("Invalid token", "INVALID_TOKEN");
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    throw new UnauthorizedError("User no longer exists", "INVALID_TOKEN");
+  }
+
+  if (!user.isActive) {
+    throw new ForbiddenError("Account is deactivated. Please contact support.");
+  }
+
+  if (user.isSuspended()) {
+    throw new ForbiddenError(
+      `Account is suspended until ${new Date(user.suspendedUntil).toISOString()}.`
+    );
+  }
+
+  return {
+    userId: user._id,
+    username: user.username,
+    role: user.role,
+  };
+};
+
+// Require a valid Bearer token
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new UnauthorizedError("Access denied. No token provided.");
+  }
+
+  req.user = await resolveUser(token);
+  next();
+};
+
+// Attach req.user when a valid token is sent, otherwise continue anonymously
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      req.user = await resolveUser(token);
+    } catch (error) {
+      if (!(
+        error instanceof UnauthorizedError || error instanceof ForbiddenError
+      )) {
+        throw error;
+      }
+    }
+  }
+  next();
+};
+
+// Require at least the given role, e.g. requireRole("moderator").
+// Must run after authenticate.
+const requireRole = (role) => {
+  if (!ROLE_LEVELS[role]) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      throw new UnauthorizedError();
+    }
+
+    if ((ROLE_LEVELS[req.user.role] || 0) < ROLE_LEVELS[role]) {
+      throw new ForbiddenError(
+        `Access denied. ${
+          role.charAt(0).toUpperCase() + role.slice(1)
+        } privileges required.`
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  requireRole,
+  ROLE_LEVELS,
+};
@@ -0,0 +1,160 @@
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  QuotaExceededError,
+  UpstreamAIError,
+} = require("../utils/errors");
+
+const columnDetails = (error) => {
+  const column = /column '([^']+)'/.exec(error.sqlMessage || "")?.[1];
+  return column ? { column } : undefined;
+};
+
+// mysql2 error codes we can explain to the client
+const MYSQL_ERRORS = {
+  ER_DUP_ENTRY: (error) => {
+    const key = /for key '([^']+)'/.exec(error.sqlMessage || "")?.[1];
+    return new ConflictError(
+      "A record with the same unique value already exists",
+      key ? { key: key.split(".").pop() } : undefined
+    );
+  },
+  ER_NO_REFERENCED_ROW: () =>
+    new ValidationError("Referenced record does not exist"),
+  ER_NO_REFERENCED_ROW_2: () =>
+    new ValidationError("Referenced record does not exist"),
+  ER_ROW_IS_REFERENCED: () =>
+    new ConflictError("Record is still referenced by other records"),
+  ER_ROW_IS_REFERENCED_2: () =>
+    new ConflictError("Record is still referenced by other records"),
+  ER_DATA_TOO_LONG: (error) =>
+    new ValidationError("Value is too long", columnDetails(error)),
+  ER_BAD_NULL_ERROR: (error) =>
+    new ValidationError("A required value is missing", columnDetails(error)),
+  WARN_DATA_TRUNCATED: (error) =>
+    new ValidationError("Value is not allowed", columnDetails(error)),
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: (error) =>
+    new ValidationError("Value has the wrong type", columnDetails(error)),
+  ER_TRUNCATED_WRONG_VALUE: (error) =>
+    new ValidationError("Value has the wrong type", columnDetails(error)),
+  ER_REGEXP_SYNTAX: () => new ValidationError("Invalid search pattern"),
+  ER_REGEXP_MISSING_CLOSE_PAREN: () =>
+    new ValidationError("Invalid search pattern"),
+  ECONNREFUSED: () =>
+    new AppError("Database is unavailable", {
+      statusCode: 503,
+      code: "DATABASE_UNAVAILABLE",
+    }),
+  PROTOCOL_CONNECTION_LOST: () =>
+    new AppError("Database connection was lost", {
+      statusCode: 503,
+      code: "DATABASE_UNAVAILABLE",
+    }),
+};
+
+// OpenAI, Anthropic and Google SDK errors all carry a numeric HTTP status
+// plus response headers or a status text
+const isAIProviderError = (error) =>
+  typeof error.status === "number" &&
+  (error.headers !== undefined || error.statusText !== undefined);
+
+const fromAIProviderError = (error) => {
+  if (error.code === "insufficient_quota") {
+    return new QuotaExceededError(
+      "AI service quota exceeded. Please try again later.",
+      { statusCode: 503, code: "AI_QUOTA_EXCEEDED" }
+    );
+  }
+
+  if (error.code === "rate_limit_exceeded" || error.status === 429) {
+    return new QuotaExceededError(
+      "Too many requests. Please wait before trying again.",
+      { code: "AI_RATE_LIMITED" }
+    );
+  }
+
+  if (error.code === "context_length_exceeded") {
+    return new ValidationError(
+      "Question or context is too long. Please shorten your input."
+    );
+  }
+
+  return new UpstreamAIError("AI service request failed", {
+    details: { providerStatus: error.status },
+    cause: error,
+  });
+};
+
+// Map anything thrown by a route to an AppError
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // body-parser errors
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("Malformed JSON in request body");
+  }
+  if (error.type === "entity.too.large") {
+    return new AppError("Request body is too large", {
+      statusCode: 413,
+      code: "PAYLOAD_TOO_LARGE",
+    });
+  }
+
+  // multer upload errors
+  if (error.name === "MulterError") {
+    return error.code === "LIMIT_FILE_SIZE"
+      ? new AppError("File is too large", {
+          statusCode: 413,
+          code: "FILE_TOO_LARGE",
+        })
+      : new ValidationError(error.message, { field: error.field });
+  }
+
+  if (error.code && MYSQL_ERRORS[error.code]) {
+    return MYSQL_ERRORS[error.code](error);
+  }
+
+  if (isAIProviderError(error)) {
+    return fromAIProviderError(error);
+  }
+
+  return new AppError("Internal server error");
+};
+
+// 404 for routes nothing else handled
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+// Single error handler - must be registered after all routes
+const errorHandler = (error, req, res, next) => {
+  const appError = normalizeError(error);
+
+  if (appError.statusCode >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(appError.statusCode).json({
+    success: false,
+    message: appError.message,
+    code: appError.code,
+    details: appError.details,
+    // Underlying error message is only exposed while developing
+    error:
+      process.env.NODE_ENV === "development" && error !== appError
+        ? error.message
+        : undefined,
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+  normalizeError,
+};
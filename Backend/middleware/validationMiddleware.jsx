@@ -0,0 +1,512 @@
+const { body, query } = require("express-validator");
+const { CATEGORY_NAMES } = require("../config/categories");
+const { ENHANCEABLE_FIELDS } = require("../services/ai/schemas");
+const Report = require("../models/Report");
+const Entry = require("../models/Entry");
+const Media = require("../models/Media");
+const AccessGroupMember = require("../models/AccessGroupMember");
+
+const ENTRY_STATUSES = ["draft", "published", "archived"];
+
+// Remove HTML tags (and the contents of script/style blocks) from text.
+// Entities are left alone so text like "Tom & Jerry" survives unchanged.
+const stripHtml = (value) => {
+  if (typeof value !== "string") return value;
+  return value
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<\/?[a-z][^>]*>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .trim();
+};
+
+// Optional free-text field: trimmed, HTML-stripped and length-limited
+const optionalText = (field, max, label) =>
+  body(field)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage(`${label} must be text`)
+    .customSanitizer(stripHtml)
+    .isLength({ max })
+    .withMessage(`${label} must be at most ${max} characters`);
+
+// Optional array of short strings (tags, materials, techniques...)
+const stringList = (field, label, { maxItems = 20, maxLength = 100 } = {}) => [
+  body(field)
+    .optional({ values: "null" })
+    .isArray({ max: maxItems })
+    .withMessage(`${label} must be an array of at most ${maxItems} items`),
+  body(`${field}.*`)
+    .isString()
+    .withMessage(`Each item in ${label.toLowerCase()} must be text`)
+    .customSanitizer(stripHtml)
+    .isLength({ min: 1, max: maxLength })
+    .withMessage(
+      `Each item in ${label.toLowerCase()} must be 1-${maxLength} characters`
+    ),
+];
+
+// A source or reference is either a citation string or an object with a
+// title and optional url/author/year/notes
+const citationList = (field, label) => [
+  body(field)
+    .optional({ values: "null" })
+    .isArray({ max: 50 })
+    .withMessage(`${label} must be an array of at most 50 items`),
+  body(`${field}.*`).custom((item) => {
+    if (typeof item === "string") {
+      if (item.trim().length === 0 || item.length > 500) {
+        throw new Error(`${label} entries must be 1-500 characters`);
+      }
+      return true;
+    }
+
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error(`${label} entries must be text or objects`);
+    }
+
+    if (typeof item.title !== "string" || item.title.trim().length === 0) {
+      throw new Error(`${label} entries need a title`);
+    }
+
+    const allowed = ["title", "url", "author", "year", "publisher", "notes"];
+    const unknown = Object.keys(item).filter((key) => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(
+        `${label} entries have unknown fields: ${unknown.join(", ")}`
+      );
+    }
+
+    return true;
+  }),
+  body(`${field}.*`).customSanitizer((item) => {
+    if (typeof item === "string") return stripHtml(item);
+    if (!item || typeof item !== "object") return item;
+    const cleaned = { ...item };
+    ["title", "author", "publisher", "notes"].forEach((key) => {
+      if (typeof cleaned[key] === "string")
+        cleaned[key] = stripHtml(cleaned[key]);
+    });
+    return cleaned;
+  }),
+  body(`${field}.*.url`)
+    .optional({ values: "falsy" })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage(`${label} url must be a valid http(s) URL`),
+  body(`${field}.*.year`)
+    .optional({ values: "null" })
+    .isInt({ min: -10000, max: new Date().getFullYear() })
+    .withMessage(`${label} year must be a valid year`),
+];
+
+// location.coordinates is [longitude, latitude] or empty
+const coordinatesRule = body("location.coordinates")
+  .optional({ values: "null" })
+  .custom((coordinates) => {
+    if (!Array.isArray(coordinates)) {
+      throw new Error("Coordinates must be an array of [longitude, latitude]");
+    }
+    if (coordinates.length === 0) return true;
+
+    const [longitude, latitude] = coordinates;
+    if (
+      coordinates.length !== 2 ||
+      typeof longitude !== "number" ||
+      typeof latitude !== "number"
+    ) {
+      throw new Error("Coordinates must be an array of [longitude, latitude]");
+    }
+    if (longitude < -180 || longitude > 180) {
+      throw new Error("Longitude must be between -180 and 180");
+    }
+    if (latitude < -90 || latitude > 90) {
+      throw new Error("Latitude must be between -90 and 90");
+    }
+    return true;
+  });
+
+const passwordStrength = (field) =>
+  body(field)
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage("Password must be 8-128 characters")
+    .matches(/[a-z]/)
+    .withMessage("Password must contain a lowercase letter")
+    .matches(/[A-Z]/)
+    .withMessage("Password must contain an uppercase letter")
+    .matches(/\d/)
+    .withMessage("Password must contain a number")
+    .matches(/[^A-Za-z0-9]/)
+    .withMessage("Password must contain a special character");
+
+// Auth
+
+const registerValidation = [
+  body("username")
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage("Username must be 3-50 characters")
+    .matches(/^[a-zA-Z0-9_.-]+$/)
+    .withMessage(
+      "Username may only contain letters, numbers, underscores, dots and hyphens"
+    ),
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("A valid email is required")
+    .isLength({ max: 100 })
+    .withMessage("Email must be at most 100 characters")
+    .normalizeEmail({ gmail_remove_dots: false }),
+  passwordStrength("password"),
+];
+
+const loginValidation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("A valid email is required")
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body("password").isString().notEmpty().withMessage("Password is required"),
+];
+
+const changePasswordValidation = [
+  body("currentPassword")
+    .isString()
+    .notEmpty()
+    .withMessage("Current password is required"),
+  passwordStrength("newPassword").custom((newPassword, { req }) => {
+    if (newPassword === req.body.currentPassword) {
+      throw new Error("New password must be different from the current one");
+    }
+    return true;
+  }),
+];
+
+// Entries
+
+// Start or end of a seasonal entry's yearly window, as MM-DD
+const seasonDay = (field) =>
+  body(field)
+    .optional({ values: "null" })
+    .matches(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+    .withMessage(`${field} must be a day of the year as MM-DD`);
+
+// Media is only added through POST /api/entries/:id/media. Creating an
+// entry takes none; updating one takes the ids of the entry's own media
+// in each group, to keep or drop them.
+const mediaIdList = (field, { required }) =>
+  required
+    ? body(field)
+        .not()
+        .exists()
+        .withMessage(
+          `Upload ${field} through POST /api/entries/:id/media after creating the entry`
+        )
+    : [
+        body(field)
+          .optional({ values: "null" })
+          .isArray({ max: 50 })
+          .withMessage(`${field} must be an array of media ids`),
+        body(`${field}.*`)
+          .isUUID()
+          .withMessage(`Each item in ${field} must be a media id`),
+      ];
+
+// Rules shared by create and update; `required` toggles title/description
+const entryRules = ({ required }) => {
+  const presence = (field, label) =>
+    required
+      ? body(field)
+          .exists({ values: "falsy" })
+          .withMessage(`${label} is required`)
+          .bail()
+      : body(field).optional();
+
+  return [
+    presence("title", "Title")
+      .isString()
+      .customSanitizer(stripHtml)
+      .isLength({ min: 3, max: 255 })
+      .withMessage("Title must be 3-255 characters"),
+    presence("description", "Description")
+      .isString()
+      .customSanitizer(stripHtml)
+      .isLength({ min: 10, max: 20000 })
+      .withMessage("Description must be 10-20000 characters"),
+    body("category")
+      .optional({ values: "null" })
+      .isIn(CATEGORY_NAMES)
+      .withMessage(`Category must be one of: ${CATEGORY_NAMES.join(", ")}`),
+    optionalText("culturalContext", 20000, "Cultural context"),
+    optionalText("historicalPeriod", 100, "Historical period"),
+    optionalText("significance", 20000, "Significance"),
+    body("location")
+      .optional({ values: "null" })
+      .isObject()
+      .withMessage("Location must be an object"),
+    optionalText("location.name", 255, "Location name"),
+    optionalText("location.country", 100, "Country"),
+    optionalText("location.region", 100, "Region"),
+    optionalText("location.address", 500, "Address"),
+    coordinatesRule,
+    ...stringList("tags", "Tags", { maxItems: 20, maxLength: 50 }),
+    ...stringList("traditions", "Traditions", { maxItems: 50, maxLength: 500 }),
+    ...stringList("materials", "Materials", { maxItems: 50 }),
+    ...stringList("techniques", "Techniques", { maxItems: 50, maxLength: 500 }),
+    ...citationList("sources", "Sources"),
+    ...citationList("references", "References"),
+    ...Object.keys(Media.groups).flatMap((group) =>
+      mediaIdList(group, { required })
+    ),
+    body("isPublic")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("isPublic must be a boolean"),
+    body("visibility")
+      .optional()
+      .isIn(Entry.visibilities)
+      .withMessage(
+        `Visibility must be one of: ${Entry.visibilities.join(", ")}`
+      ),
+    body("accessGroupId")
+      .optional({ values: "null" })
+      .isUUID()
+      .withMessage("accessGroupId must be a valid id"),
+    seasonDay("seasonStart"),
+    seasonDay("seasonEnd"),
+    body("status")
+      .optional()
+      .isIn(ENTRY_STATUSES)
+      .withMessage(`Status must be one of: ${ENTRY_STATUSES.join(", ")}`),
+  ];
+};
+
+const createEntryValidation = entryRules({ required: true });
+
+const updateEntryValidation = entryRules({ required: false });
+
+const semanticSearchValidation = [
+  query("q")
+    .isString()
+    .withMessage("Search query is required")
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage("Search query must be 2-500 characters"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit must be an integer between 1 and 50")
+    .toInt(),
+];
+
+// Tags
+
+const tagListValidation = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("q must be at most 50 characters"),
+  query("sort")
+    .optional()
+    .isIn(["popular", "name", "recent"])
+    .withMessage("sort must be one of: popular, name, recent"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit must be an integer between 1 and 50"),
+];
+
+const updateTagValidation = [
+  body("name")
+    .optional()
+    .isString()
+    .withMessage("Tag name must be text")
+    .customSanitizer(stripHtml)
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Tag name must be 1-50 characters"),
+  optionalText("description", 1000, "Description"),
+];
+
+const mergeTagValidation = [
+  body("targetId").isUUID().withMessage("targetId must be a valid tag id"),
+];
+
+// Comments
+
+const commentContent = body("content")
+  .isString()
+  .withMessage("Comment content is required")
+  .customSanitizer(stripHtml)
+  .isLength({ min: 1, max: 1000 })
+  .withMessage("Comment must be 1-1000 characters");
+
+const commentValidation = [
+  commentContent,
+  body("parentCommentId")
+    .optional({ values: "null" })
+    .isUUID()
+    .withMessage("parentCommentId must be a valid id"),
+];
+
+const updateCommentValidation = [commentContent];
+
+// Moderation
+
+const reportValidation = [
+  body("targetType")
+    .isIn(Report.targetTypes)
+    .withMessage(`targetType must be one of: ${Report.targetTypes.join(", ")}`),
+  body("targetId").isUUID().withMessage("targetId must be a valid id"),
+  body("reason")
+    .isIn(Report.reasons)
+    .withMessage(`Reason must be one of: ${Report.reasons.join(", ")}`),
+  optionalText("details", 1000, "Details"),
+];
+
+const resolveReportValidation = [
+  body("action")
+    .isIn(Report.resolutions)
+    .withMessage(`Action must be one of: ${Report.resolutions.join(", ")}`),
+  optionalText("note", 1000, "Note"),
+  body("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("days must be an integer between 1 and 365")
+    .toInt(),
+];
+
+const moderationNoteValidation = [optionalText("note", 1000, "Note")];
+
+// Access groups
+
+const accessGroupValidation = ({ required }) => [
+  (required ? body("name") : body("name").optional())
+    .isString()
+    .withMessage("Group name is required")
+    .customSanitizer(stripHtml)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Group name must be 2-100 characters"),
+  optionalText("description", 1000, "Description"),
+];
+
+const createAccessGroupValidation = accessGroupValidation({ required: true });
+
+const updateAccessGroupValidation = accessGroupValidation({ required: false });
+
+const accessGroupMemberValidation = [
+  body("level")
+    .optional()
+    .isIn(AccessGroupMember.levels)
+    .withMessage(
+      `Level must be one of: ${AccessGroupMember.levels.join(", ")}`
+    ),
+];
+
+// AI
+
+const askQuestionValidation = [
+  body("question")
+    .isString()
+    .withMessage("Question is required")
+    .customSanitizer(stripHtml)
+    .isLength({ min: 3, max: 2000 })
+    .withMessage("Question must be 3-2000 characters"),
+  optionalText("context", 5000, "Context"),
+  body("includeEntries")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("includeEntries must be a boolean"),
+  body("conversationId")
+    .optional({ values: "null" })
+    .isUUID()
+    .withMessage("conversationId must be a valid id"),
+  body("temperature")
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage("Temperature must be between 0 and 2")
+    .toFloat(),
+  body("maxTokens")
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage("maxTokens must be an integer between 1 and 4000")
+    .toInt(),
+];
+
+const generateTagsValidation = [
+  body("title")
+    .isString()
+    .withMessage("Title is required")
+    .customSanitizer(stripHtml)
+    .isLength({ min: 3, max: 255 })
+    .withMessage("Title must be 3-255 characters"),
+  body("description")
+    .isString()
+    .withMessage("Description is required")
+    .customSanitizer(stripHtml)
+    .isLength({ min: 10, max: 20000 })
+    .withMessage("Description must be 10-20000 characters"),
+  body("category")
+    .optional({ values: "null" })
+    .isIn(CATEGORY_NAMES)
+    .withMessage(`Category must be one of: ${CATEGORY_NAMES.join(", ")}`),
+  optionalText("culturalContext", 20000, "Cultural context"),
+  optionalText("location.country", 100, "Country"),
+];
+
+// Optional list of entry fields an AI enhancement covers
+const enhancementFields = body("fields")
+  .optional()
+  .isArray({ min: 1 })
+  .withMessage("Fields must be a non-empty array")
+  .bail()
+  .custom((fields) => {
+    const unknown = fields.filter(
+      (field) => !Object.keys(ENHANCEABLE_FIELDS).includes(field)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Fields must be some of: ${Object.keys(ENHANCEABLE_FIELDS).join(", ")}`
+      );
+    }
+    return true;
+  });
+
+const enhanceEntryValidation = [
+  enhancementFields,
+  optionalText("instructions", 1000, "Instructions"),
+];
+
+const enhancementDecisionValidation = [
+  enhancementFields,
+  body("force")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("force must be a boolean"),
+];
+
+module.exports = {
+  stripHtml,
+  registerValidation,
+  loginValidation,
+  changePasswordValidation,
+  createEntryValidation,
+  updateEntryValidation,
+  semanticSearchValidation,
+  tagListValidation,
+  updateTagValidation,
+  mergeTagValidation,
+  commentValidation,
+  updateCommentValidation,
+  reportValidation,
+  resolveReportValidation,
+  moderationNoteValidation,
+  createAccessGroupValidation,
+  updateAccessGroupValidation,
+  accessGroupMemberValidation,
+  askQuestionValidation,
+  generateTagsValidation,
+  enhanceEntryValidation,
+  enhancementDecisionValidation,
+};
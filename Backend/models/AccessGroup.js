@@ -0,0 +1,25 @@
+const Model = require("./Model");
+
+// A named community whose members may see entries shared with it under
+// the community, initiated or seasonal visibility tiers
+class AccessGroup extends Model {
+  static table = "access_groups";
+
+  static fields = {
+    _id: "id",
+    name: "name",
+    slug: "slug",
+    description: "description",
+    createdBy: "created_by",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static refs = { createdBy: "User" };
+
+  static defaults() {
+    return { description: null };
+  }
+}
+
+module.exports = AccessGroup;
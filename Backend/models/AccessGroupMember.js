@@ -0,0 +1,36 @@
+const Model = require("./Model");
+
+// A user's membership of an access group. Levels are ordered: initiated
+// members also see what plain members see, and custodians manage the
+// group's membership.
+class AccessGroupMember extends Model {
+  static table = "access_group_members";
+
+  static fields = {
+    _id: "id",
+    group: "group_id",
+    user: "user_id",
+    level: "level",
+    addedBy: "added_by",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static refs = { group: "AccessGroup", user: "User", addedBy: "User" };
+
+  static levels = ["member", "initiated", "custodian"];
+
+  static defaults() {
+    return { level: "member" };
+  }
+
+  // Whether `level` is at least `required`
+  static atLeast(level, required) {
+    return (
+      AccessGroupMember.levels.indexOf(level) >=
+      AccessGroupMember.levels.indexOf(required)
+    );
+  }
+}
+
+module.exports = AccessGroupMember;
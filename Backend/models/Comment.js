@@ -0,0 +1,48 @@
+const Model = require("./Model");
+
+class Comment extends Model {
+  static table = "comments";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    author: "author_id",
+    content: "content",
+    parentComment: "parent_comment_id",
+    depth: "depth",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    editedAt: "edited_at",
+    deletedAt: "deleted_at",
+    deletedBy: "deleted_by",
+  };
+
+  static refs = { author: "User", entry: "Entry", parentComment: "Comment" };
+  static softDelete = true;
+
+  static computed = {
+    likes:
+      "(SELECT COUNT(*) FROM `comment_likes` WHERE `comment_likes`.`comment_id` = `comments`.`id`)",
+  };
+
+  // Deepest reply level allowed; top-level comments are depth 0
+  static get maxDepth() {
+    return Number(process.env.COMMENT_MAX_DEPTH) || 5;
+  }
+
+  static defaults() {
+    return { parentComment: null, depth: 0, editedAt: null };
+  }
+
+  // hasReplies matches comments with at least one reply that is not deleted
+  static buildFieldCondition(field, value) {
+    if (field === "hasReplies") {
+      const exists = `EXISTS (SELECT 1 FROM \`comments\` r WHERE r.parent_comment_id = \`comments\`.\`id\` AND r.deleted_at IS NULL)`;
+      return { clause: value ? exists : `NOT ${exists}`, params: [] };
+    }
+
+    return super.buildFieldCondition(field, value);
+  }
+}
+
+module.exports = Comment;
@@ -0,0 +1,17 @@
+const Model = require("./Model");
+
+class CommentLike extends Model {
+  static table = "comment_likes";
+
+  static fields = {
+    _id: "id",
+    comment: "comment_id",
+    user: "user_id",
+    createdAt: "created_at",
+  };
+
+  static refs = { user: "User", comment: "Comment" };
+  static timestamps = { createdAt: true, updatedAt: false };
+}
+
+module.exports = CommentLike;
@@ -0,0 +1,26 @@
+const Model = require("./Model");
+
+class Conversation extends Model {
+  static table = "conversations";
+
+  static fields = {
+    _id: "id",
+    userId: "user_id",
+    title: "title",
+    messages: "messages",
+    // Earlier turns folded into a summary, and how many messages it covers
+    summary: "summary",
+    summarizedCount: "summarized_count",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static jsonFields = ["messages"];
+  static refs = { userId: "User" };
+
+  static defaults() {
+    return { messages: [], summary: null, summarizedCount: 0 };
+  }
+}
+
+module.exports = Conversation;
@@ -0,0 +1,348 @@
+const Model = require("./Model");
+const { quote, idOf } = require("./Model");
+const Comment = require("./Comment");
+const Media = require("./Media");
+const Tag = require("./Tag");
+
+class Entry extends Model {
+  static table = "entries";
+
+  static fields = {
+    _id: "id",
+    title: "title",
+    description: "description",
+    category: "category",
+    culturalContext: "cultural_context",
+    historicalPeriod: "historical_period",
+    significance: "significance",
+    traditions: "traditions",
+    materials: "materials",
+    techniques: "techniques",
+    "location.name": "location_name",
+    "location.country": "location_country",
+    "location.region": "location_region",
+    "location.address": "location_address",
+    "location.coordinates": "location_coordinates",
+    sources: "sources",
+    references: "references",
+    author: "author_id",
+    status: "status",
+    isPublic: "is_public",
+    visibility: "visibility",
+    accessGroup: "access_group_id",
+    seasonStart: "season_start",
+    seasonEnd: "season_end",
+    featured: "featured",
+    views: "views",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    publishedAt: "published_at",
+    featuredAt: "featured_at",
+    deletedAt: "deleted_at",
+    deletedBy: "deleted_by",
+  };
+
+  static jsonFields = [
+    "traditions",
+    "materials",
+    "techniques",
+    "location.coordinates",
+    "sources",
+    "references",
+  ];
+
+  static booleanFields = ["isPublic", "featured"];
+  static softDelete = true;
+
+  static refs = {
+    author: "User",
+    accessGroup: "AccessGroup",
+    likes: "User",
+    "comments.author": "User",
+  };
+
+  // tags, likes, comments and media live in their own tables
+  static relationFields = ["tags", "likes", "comments", "media"];
+
+  // Who may see an entry: everyone, only its author, members of its access
+  // group, the group's initiated members, or members during a yearly season
+  static visibilities = [
+    "public",
+    "private",
+    "community",
+    "initiated",
+    "seasonal",
+  ];
+
+  static computed = {
+    likes:
+      "(SELECT COUNT(*) FROM `likes` WHERE `likes`.`entry_id` = `entries`.`id`)",
+    comments:
+      "(SELECT COUNT(*) FROM `comments` WHERE `comments`.`entry_id` = `entries`.`id` AND `comments`.`deleted_at` IS NULL)",
+  };
+
+  static defaults() {
+    return {
+      category: "Other",
+      status: "draft",
+      isPublic: true,
+      visibility: "public",
+      accessGroup: null,
+      seasonStart: null,
+      seasonEnd: null,
+      featured: false,
+      views: 0,
+      traditions: [],
+      materials: [],
+      techniques: [],
+      sources: [],
+      references: [],
+      tags: [],
+      likes: [],
+      comments: [],
+      media: Media.groupByType([]),
+    };
+  }
+
+  constructor(data, options = {}) {
+    super(data, options);
+    // A new entry has nothing in the join tables yet
+    const empty = JSON.stringify([]);
+    Object.defineProperty(this, "$relations", {
+      value:
+        options.isNew === false
+          ? {}
+          : { tags: empty, likes: empty, media: empty },
+      writable: true,
+    });
+  }
+
+  // tags and likes are matched through their join tables; inSeason takes
+  // an "MM-DD" day and matches seasons that contain it, including seasons
+  // that run over the new year
+  static buildFieldCondition(field, value) {
+    if (field === "inSeason") {
+      const start = "`entries`.`season_start`";
+      const end = "`entries`.`season_end`";
+      return {
+        clause: `(${start} <= ${end} AND ? BETWEEN ${start} AND ${end} OR ${start} > ${end} AND (? >= ${start} OR ? <= ${end}))`,
+        params: [value, value, value],
+      };
+    }
+
+    if (field === "tags") {
+      const condition = Model.buildCondition("`t`.`name`", value);
+      return {
+        clause: `EXISTS (SELECT 1 FROM \`entry_tags\` et JOIN \`tags\` t ON t.id = et.tag_id WHERE et.entry_id = \`entries\`.\`id\` AND ${condition.clause})`,
+        params: condition.params,
+      };
+    }
+
+    if (field === "likes") {
+      const condition = Model.buildCondition("`l`.`user_id`", value);
+      return {
+        clause: `EXISTS (SELECT 1 FROM \`likes\` l WHERE l.entry_id = \`entries\`.\`id\` AND ${condition.clause})`,
+        params: condition.params,
+      };
+    }
+
+    return super.buildFieldCondition(field, value);
+  }
+
+  // is_public is kept for older clients and mirrors the visibility tier
+  async persist(connection) {
+    if (this.visibility !== undefined) {
+      this.isPublic = this.visibility === "public";
+    }
+    return super.persist(connection);
+  }
+
+  // Count a view in one statement, without saving the document: a loaded
+  // entry's relations may be incomplete (populate drops trashed users)
+  static async incrementViews(id) {
+    await Entry.run(
+      `UPDATE ${quote(Entry.table)} SET views = views + 1 WHERE id = ?`,
+      [idOf(id)]
+    );
+  }
+
+  // Entries in the trash do not count towards their tags' usage
+  async trash(options) {
+    await super.trash(options);
+    await Tag.refreshUsage(await Tag.idsForEntry(this._id));
+    return this;
+  }
+
+  async restore() {
+    await super.restore();
+    await Tag.refreshUsage(await Tag.idsForEntry(this._id));
+    return this;
+  }
+
+  // Load tags, likes, comments and media for a batch of entries
+  static async hydrate(docs, wantedFields) {
+    if (docs.length === 0) return;
+
+    const wants = (field) => !wantedFields || wantedFields.has(field);
+    const ids = docs.map((doc) => doc._id);
+    const placeholders = ids.map(() => "?").join(", ");
+
+    if (wants("tags")) {
+      const rows = await Entry.run(
+        `SELECT et.entry_id, t.name FROM \`entry_tags\` et
+         JOIN \`tags\` t ON t.id = et.tag_id
+         WHERE et.entry_id IN (${placeholders})
+         ORDER BY et.created_at, t.name`,
+        ids
+      );
+      docs.forEach((doc) => {
+        doc.tags = rows
+          .filter((row) => row.entry_id === doc._id)
+          .map((row) => row.name);
+      });
+    }
+
+    if (wants("likes")) {
+      const rows = await Entry.run(
+        `SELECT entry_id, user_id FROM \`likes\`
+         WHERE entry_id IN (${placeholders})
+         ORDER BY created_at`,
+        ids
+      );
+      docs.forEach((doc) => {
+        doc.likes = rows
+          .filter((row) => row.entry_id === doc._id)
+          .map((row) => row.user_id);
+      });
+    }
+
+    if (wants("comments")) {
+      const comments = await Comment.find({ entry: { $in: ids } })
+        .sort({ createdAt: 1 })
+        .lean();
+      docs.forEach((doc) => {
+        doc.comments = comments.filter((comment) => comment.entry === doc._id);
+      });
+    }
+
+    if (wants("media")) {
+      const items = await Media.find({ entry: { $in: ids } })
+        .sort({ createdAt: 1 })
+        .lean();
+      docs.forEach((doc) => {
+        doc.media = Media.groupByType(
+          items.filter((item) => item.entry === doc._id)
+        );
+      });
+    }
+
+    docs.forEach((doc) => {
+      doc.$relations = doc.relationState();
+    });
+  }
+
+  // Flatten the media groups into rows tagged with their media type
+  mediaItems() {
+    return Object.entries(Media.groups).flatMap(([group, type]) =>
+      (Array.isArray(this.media?.[group]) ? this.media[group] : [])
+        .map((item) => (typeof item === "string" ? { url: item } : item))
+        .filter((item) => item && (item._id || item.url))
+        .map((item) => ({ ...item, mediaType: type }))
+    );
+  }
+
+  // Comparable snapshot of the relation fields that are written on save
+  relationState() {
+    return {
+      tags:
+        this.tags === undefined
+          ? undefined
+          : JSON.stringify(Tag.normalizeNames(this.tags)),
+      likes:
+        this.likes === undefined
+          ? undefined
+          : JSON.stringify(this.likes.map(idOf)),
+      media:
+        this.media === undefined
+          ? undefined
+          : JSON.stringify(
+              this.mediaItems().map((item) => item._id || item.url)
+            ),
+    };
+  }
+
+  async saveRelations(connection) {
+    const state = this.relationState();
+    const previous = this.$relations;
+
+    if (state.tags !== undefined && state.tags !== previous.tags) {
+      const previousIds = await Tag.idsForEntry(this._id, connection);
+      const tagIds = await Tag.idsForNames(this.tags, connection);
+      await Entry.run(
+        "DELETE FROM `entry_tags` WHERE entry_id = ?",
+        [this._id],
+        connection
+      );
+      for (const tagId of tagIds) {
+        await Entry.run(
+          "INSERT INTO `entry_tags` (entry_id, tag_id) VALUES (?, ?)",
+          [this._id, tagId],
+          connection
+        );
+      }
+      await Tag.refreshUsage(
+        [...new Set([...previousIds, ...tagIds])],
+        connection
+      );
+    }
+
+    if (state.likes !== undefined && state.likes !== previous.likes) {
+      const wanted = new Set(this.likes.map(idOf));
+      const existing = new Set(
+        previous.likes ? JSON.parse(previous.likes) : []
+      );
+      const removed = [...existing].filter((userId) => !wanted.has(userId));
+      const added = [...wanted].filter((userId) => !existing.has(userId));
+
+      if (removed.length) {
+        await Entry.run(
+          `DELETE FROM \`likes\` WHERE entry_id = ? AND user_id IN (${removed
+            .map(() => "?")
+            .join(", ")})`,
+          [this._id, ...removed],
+          connection
+        );
+      }
+      for (const userId of added) {
+        await Entry.run(
+          "INSERT IGNORE INTO `likes` (id, entry_id, user_id) VALUES (UUID(), ?, ?)",
+          [this._id, userId],
+          connection
+        );
+      }
+    }
+
+    if (state.media !== undefined && state.media !== previous.media) {
+      const items = this.mediaItems();
+      const keptIds = items.filter((item) => item._id).map((item) => item._id);
+
+      await Entry.run(
+        `DELETE FROM ${quote(Media.table)} WHERE entry_id = ?${
+          keptIds.length
+            ? ` AND id NOT IN (${keptIds.map(() => "?").join(", ")})`
+            : ""
+        }`,
+        [this._id, ...keptIds],
+        connection
+      );
+
+      // Rows are only created by the media upload endpoint, which records
+      // the stored file itself; here an entry can only drop its media
+      this.media = Media.groupByType(items.filter((item) => item._id));
+    }
+
+    this.$relations = this.relationState();
+  }
+}
+
+module.exports = Entry;
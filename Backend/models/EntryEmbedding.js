@@ -0,0 +1,27 @@
+const Model = require("./Model");
+
+// One embedded chunk of an entry's text (see services/embeddings)
+class EntryEmbedding extends Model {
+  static table = "entry_embeddings";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    chunkIndex: "chunk_index",
+    field: "field",
+    content: "content",
+    contentHash: "content_hash",
+    provider: "provider",
+    model: "model",
+    dimensions: "dimensions",
+    embedding: "embedding",
+    createdAt: "created_at",
+  };
+
+  static jsonFields = ["embedding"];
+
+  static refs = { entry: "Entry" };
+  static timestamps = { createdAt: true, updatedAt: false };
+}
+
+module.exports = EntryEmbedding;
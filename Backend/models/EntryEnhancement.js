@@ -0,0 +1,34 @@
+const Model = require("./Model");
+
+// AI-proposed rewrites of an entry's fields, kept until the author accepts
+// or rejects each one. `changes` holds
+// [{ field, current, proposed, reason, status }] where `current` is the
+// field's value when the proposal was made.
+class EntryEnhancement extends Model {
+  static table = "entry_enhancements";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    requestedBy: "requested_by",
+    status: "status",
+    summary: "summary",
+    changes: "changes",
+    provider: "provider",
+    model: "model",
+    resolvedBy: "resolved_by",
+    resolvedAt: "resolved_at",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static jsonFields = ["changes"];
+
+  static refs = { entry: "Entry", requestedBy: "User", resolvedBy: "User" };
+
+  static defaults() {
+    return { status: "pending", changes: [], summary: null };
+  }
+}
+
+module.exports = EntryEnhancement;
@@ -0,0 +1,128 @@
+const Model = require("./Model");
+const { quote, idOf } = require("./Model");
+const database = require("../config/db");
+const { sameValue } = require("../utils/diff");
+
+// One numbered snapshot of an entry's content, written on every create,
+// update, restore and delete. entry_id has no foreign key so a deleted
+// entry keeps its history, ending in a "delete" tombstone.
+class EntryRevision extends Model {
+  static table = "entry_revisions";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    revision: "revision_number",
+    action: "action",
+    snapshot: "snapshot",
+    changedFields: "changed_fields",
+    editor: "editor_id",
+    note: "note",
+    createdAt: "created_at",
+  };
+
+  static jsonFields = ["snapshot", "changedFields"];
+
+  static refs = { editor: "User" };
+  static timestamps = { createdAt: true, updatedAt: false };
+
+  // Entry fields captured in a snapshot; publishing state, media and
+  // counters are not part of an entry's content history
+  static trackedFields = [
+    "title",
+    "description",
+    "category",
+    "culturalContext",
+    "historicalPeriod",
+    "significance",
+    "traditions",
+    "materials",
+    "techniques",
+    "location",
+    "sources",
+    "references",
+    "tags",
+  ];
+
+  static snapshot(entry) {
+    const data = entry instanceof Model ? entry.toObject() : entry;
+    return Object.fromEntries(
+      EntryRevision.trackedFields.map((field) => [
+        field,
+        field === "location"
+          ? { ...(data.location || {}) }
+          : (data[field] ?? null),
+      ])
+    );
+  }
+
+  // Fields that differ between two snapshots
+  static changedBetween(before, after) {
+    return EntryRevision.trackedFields.filter(
+      (field) => !sameValue(before?.[field], after?.[field])
+    );
+  }
+
+  // Append a revision for the entry's current state. Updates that change
+  // nothing tracked are skipped and return null.
+  static async record(
+    entry,
+    { action = "update", editor = null, note = null }
+  ) {
+    const entryId = idOf(entry._id);
+    const snapshot = EntryRevision.snapshot(entry);
+
+    return database.transaction(async (connection) => {
+      const [latest] = await EntryRevision.run(
+        `SELECT revision_number, snapshot FROM ${quote(EntryRevision.table)}
+         WHERE entry_id = ? ORDER BY revision_number DESC LIMIT 1 FOR UPDATE`,
+        [entryId],
+        connection
+      );
+      const previous = latest
+        ? typeof latest.snapshot === "string"
+          ? JSON.parse(latest.snapshot)
+          : latest.snapshot
+        : null;
+
+      let changedFields = [];
+      if (action === "create") {
+        changedFields = EntryRevision.changedBetween({}, snapshot);
+      } else if (action !== "delete") {
+        changedFields = EntryRevision.changedBetween(previous, snapshot);
+        if (action === "update" && previous && changedFields.length === 0) {
+          return null;
+        }
+      }
+
+      const revision = new EntryRevision({
+        entry: entryId,
+        revision: latest ? latest.revision_number + 1 : 1,
+        action,
+        snapshot,
+        changedFields,
+        editor: idOf(editor),
+        note,
+      });
+      await revision.persist(connection);
+      return revision;
+    });
+  }
+
+  // Entries edited before history was kept get their current state saved
+  // as a first revision, so the first tracked edit has something to diff
+  static async ensureBaseline(entry) {
+    const existing = await EntryRevision.findOne({ entry: entry._id })
+      .select("_id")
+      .lean();
+    if (existing) return null;
+
+    return EntryRevision.record(entry, {
+      action: "create",
+      editor: entry.author,
+      note: "Snapshot taken before the first tracked edit",
+    });
+  }
+}
+
+module.exports = EntryRevision;
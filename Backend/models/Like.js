@@ -0,0 +1,17 @@
+const Model = require("./Model");
+
+class Like extends Model {
+  static table = "likes";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    user: "user_id",
+    createdAt: "created_at",
+  };
+
+  static refs = { user: "User", entry: "Entry" };
+  static timestamps = { createdAt: true, updatedAt: false };
+}
+
+module.exports = Like;
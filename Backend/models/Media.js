@@ -0,0 +1,72 @@
+const Model = require("./Model");
+
+// Entry media groups and the media_type stored for each
+const MEDIA_GROUPS = {
+  images: "image",
+  audioFiles: "audio",
+  videoFiles: "video",
+  documents: "document",
+};
+
+class Media extends Model {
+  static table = "media";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    mediaType: "media_type",
+    url: "url",
+    publicId: "public_id",
+    fileName: "file_name",
+    fileSize: "file_size",
+    mimeType: "mime_type",
+    width: "width",
+    height: "height",
+    duration: "duration",
+    thumbnailUrl: "thumbnail_url",
+    storage: "storage",
+    variants: "variants",
+    variantsSize: "variants_size",
+    uploadedBy: "uploaded_by",
+    createdAt: "created_at",
+  };
+
+  static refs = { entry: "Entry", uploadedBy: "User" };
+  static jsonFields = ["variants"];
+  // Bytes a media item takes in storage: the file and its variants
+  static computed = {
+    storedBytes:
+      "(COALESCE(`media`.`file_size`, 0) + COALESCE(`media`.`variants_size`, 0))",
+  };
+  static timestamps = { createdAt: true, updatedAt: false };
+
+  static get groups() {
+    return MEDIA_GROUPS;
+  }
+
+  // `srcset` attribute value of an image: its responsive variants and the
+  // original, by width. Null when no widths are known.
+  static srcset(item) {
+    const candidates = (item.variants || [])
+      .filter((variant) => variant.label !== "thumbnail")
+      .concat(item.width ? { url: item.url, width: item.width } : [])
+      .map((image) => `${image.url} ${image.width}w`);
+    return candidates.length ? candidates.join(", ") : null;
+  }
+
+  // Group media rows into { images, audioFiles, videoFiles, documents }.
+  // Images carry their srcset for responsive <img> tags.
+  static groupByType(items) {
+    const grouped = {};
+    Object.entries(MEDIA_GROUPS).forEach(([group, type]) => {
+      grouped[group] = items.filter((item) => item.mediaType === type);
+    });
+    grouped.images = grouped.images.map((item) => ({
+      ...item,
+      srcset: Media.srcset(item),
+    }));
+    return grouped;
+  }
+}
+
+module.exports = Media;
@@ -0,0 +1,958 @@
+const { v4: uuidv4 } = require("uuid");
+const database = require("../config/db");
+
+// Quote a MySQL identifier (table or column name)
+const quote = (name) => "`" + String(name).replace(/`/g, "``") + "`";
+
+// Read a dotted path ("location.country") from an object
+const getPath = (obj, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+// Write a dotted path onto an object, creating intermediate objects
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] == null || typeof target[key] !== "object")
+      target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+};
+
+// Resolve a reference that may be an id or a populated document
+const idOf = (value) =>
+  value && typeof value === "object" && value._id !== undefined
+    ? value._id
+    : value;
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const toArray = (value) =>
+  Array.isArray(value) ? value : value == null ? [] : [value];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+// Convert a JS value into something mysql2 can bind
+const toParam = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return idOf(value);
+};
+
+const toInteger = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Parse a mongoose-style select string ("title -password +password")
+const parseSelect = (select) => {
+  const projection = { include: [], exclude: [], reveal: [] };
+  if (!select) return projection;
+
+  const tokens = Array.isArray(select) ? select : String(select).split(/\s+/);
+  tokens.filter(Boolean).forEach((token) => {
+    if (token.startsWith("+")) projection.reveal.push(token.slice(1));
+    else if (token.startsWith("-")) projection.exclude.push(token.slice(1));
+    else projection.include.push(token);
+  });
+
+  return projection;
+};
+
+// Build a plain object holding only the selected paths
+const project = (source, projection) => {
+  let result = source;
+
+  if (projection.include.length > 0) {
+    result = { _id: source._id };
+    projection.include.forEach((path) => {
+      const value = getPath(source, path);
+      if (value !== undefined) setPath(result, path, value);
+    });
+  } else {
+    result = { ...source };
+  }
+
+  projection.exclude.forEach((path) => {
+    const keys = path.split(".");
+    const last = keys.pop();
+    const parent = keys.length ? getPath(result, keys.join(".")) : result;
+    if (parent && typeof parent === "object") delete parent[last];
+  });
+
+  return result;
+};
+
+// Chainable, thenable query in the style of mongoose
+class Query {
+  constructor(model, filter = {}, options = {}) {
+    this.model = model;
+    this.filter = filter;
+    this.single = options.single || false;
+    this.update = options.update || null;
+    this.returnNew = options.returnNew !== false;
+    this.projection = parseSelect(null);
+    this.sortSpec = null;
+    this.skipCount = null;
+    this.limitCount = this.single ? 1 : null;
+    this.populates = [];
+    this.isLean = false;
+    this.includeDeleted = false;
+  }
+
+  select(fields) {
+    const projection = parseSelect(fields);
+    this.projection.include.push(...projection.include);
+    this.projection.exclude.push(...projection.exclude);
+    this.projection.reveal.push(...projection.reveal);
+    return this;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = toInteger(count);
+    return this;
+  }
+
+  limit(count) {
+    if (!this.single) this.limitCount = toInteger(count);
+    return this;
+  }
+
+  populate(path, select) {
+    this.populates.push({ path, select });
+    return this;
+  }
+
+  lean() {
+    this.isLean = true;
+    return this;
+  }
+
+  // Include soft-deleted rows (see Model.softDelete)
+  withDeleted() {
+    this.includeDeleted = true;
+    return this;
+  }
+
+  // Top-level fields the caller will see, or null for "everything"
+  wantedFields() {
+    if (this.projection.include.length === 0) return null;
+    return new Set(this.projection.include.map((path) => path.split(".")[0]));
+  }
+
+  // Updates run in a transaction that locks the matched rows first, so
+  // concurrent $push / $inc updates of the same row cannot overwrite each
+  // other
+  async exec() {
+    if (this.update) {
+      return database.transaction((connection) => this.execWith(connection));
+    }
+    return this.execWith(null);
+  }
+
+  async execWith(connection) {
+    const model = this.model;
+    const where = model.buildWhere(
+      model.scope(this.filter, { withDeleted: this.includeDeleted })
+    );
+    const orderBy = model.buildOrderBy(this.sortSpec);
+
+    let sql = `SELECT ${quote(model.table)}.* FROM ${quote(model.table)} WHERE ${where.clause}`;
+    if (orderBy) sql += ` ORDER BY ${orderBy}`;
+    if (this.limitCount !== null) {
+      sql += ` LIMIT ${this.limitCount}`;
+    } else if (this.skipCount) {
+      sql += " LIMIT 18446744073709551615";
+    }
+    if (this.skipCount) sql += ` OFFSET ${this.skipCount}`;
+    if (connection) sql += " FOR UPDATE";
+
+    const rows = await model.run(sql, where.params, connection);
+    const docs = rows.map((row) => model.fromRow(row));
+
+    // Hidden fields (e.g. password) are dropped unless explicitly revealed
+    model.hiddenFields
+      .filter((field) => !this.projection.reveal.includes(field))
+      .forEach((field) => docs.forEach((doc) => delete doc[field]));
+
+    await model.hydrate(docs, this.update ? null : this.wantedFields());
+
+    let results = docs;
+    if (this.update) {
+      results = [];
+      for (const doc of docs) {
+        const previous = doc.toObject();
+        doc.applyUpdate(this.update);
+        await doc.saveWith(connection);
+        results.push(this.returnNew ? doc : model.fromObject(previous));
+      }
+    }
+
+    if (this.projection.include.length || this.projection.exclude.length) {
+      results = results.map((doc) => {
+        const projected = project(doc.toObject(), this.projection);
+        return this.isLean ? projected : doc.replaceWith(projected);
+      });
+    }
+
+    for (const { path, select } of this.populates) {
+      await model.populateDocs(results, path, select);
+    }
+
+    if (this.isLean) {
+      results = results.map((doc) =>
+        doc instanceof Model ? doc.toObject() : doc
+      );
+    }
+
+    return this.single ? results[0] || null : results;
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+// Base class for MySQL-backed models exposing a mongoose-like API
+class Model {
+  // Table name and field -> column mapping, provided by subclasses
+  static table = "";
+  static fields = {};
+  static jsonFields = [];
+  static booleanFields = [];
+  static hiddenFields = [];
+  // Populate targets: path -> model name in this directory
+  static refs = {};
+  // SQL expressions usable in sorts and aggregations (e.g. like counts)
+  static computed = {};
+  static timestamps = { createdAt: true, updatedAt: true };
+  // Relation fields stored outside the model's own table
+  static relationFields = [];
+  // Soft-deletable models have deletedAt/deletedBy fields; deleting stamps
+  // them and every query skips stamped rows unless told otherwise
+  static softDelete = false;
+
+  static defaults() {
+    return {};
+  }
+
+  constructor(data = {}, { isNew = true } = {}) {
+    Object.defineProperty(this, "$isNew", { value: isNew, writable: true });
+    Object.defineProperty(this, "$snapshot", { value: {}, writable: true });
+    // Pending $inc amounts by column, written as `column = column + ?`
+    Object.defineProperty(this, "$increments", { value: {}, writable: true });
+
+    const initial = isNew ? { ...this.constructor.defaults(), ...data } : data;
+    Object.assign(this, initial);
+
+    if (isNew && !this._id) this._id = uuidv4();
+  }
+
+  // Execute SQL on the pool, or on a transaction connection when given
+  static async run(sql, params = [], connection = null) {
+    if (connection) {
+      const [rows] = await connection.execute(sql, params);
+      return rows;
+    }
+    const { rows } = await database.query(sql, params);
+    return rows;
+  }
+
+  // Add the "not deleted" condition to a filter, unless the model is not
+  // soft-deletable, deleted rows were asked for, or the filter already
+  // says something about deletedAt (e.g. a trash listing), also inside
+  // $or / $and
+  static scope(filter = {}, { withDeleted = false } = {}) {
+    const mentionsDeleted = (part) =>
+      hasOwn(part || {}, "deletedAt") ||
+      ["$or", "$and"].some((key) => toArray(part?.[key]).some(mentionsDeleted));
+
+    if (!this.softDelete || withDeleted || mentionsDeleted(filter)) {
+      return filter;
+    }
+    return { ...filter, deletedAt: null };
+  }
+
+  static column(field) {
+    const column = hasOwn(this.fields, field) ? this.fields[field] : null;
+    return column ? `${quote(this.table)}.${quote(column)}` : null;
+  }
+
+  // Translate a mongo-style filter into a SQL WHERE clause
+  static buildWhere(filter = {}) {
+    const clauses = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(filter || {})) {
+      if (value === undefined) continue;
+
+      let condition;
+      if (key === "$or" || key === "$and") {
+        const parts = toArray(value).map((sub) => this.buildWhere(sub));
+        if (parts.length === 0) continue;
+        condition = {
+          clause: `(${parts
+            .map((part) => part.clause)
+            .join(key === "$or" ? " OR " : " AND ")})`,
+          params: parts.flatMap((part) => part.params),
+        };
+      } else {
+        condition = this.buildFieldCondition(key, value);
+      }
+
+      clauses.push(condition.clause);
+      params.push(...condition.params);
+    }
+
+    return {
+      clause: clauses.length ? clauses.join(" AND ") : "1 = 1",
+      params,
+    };
+  }
+
+  // Condition for a single field; subclasses override for virtual fields
+  static buildFieldCondition(field, value) {
+    const column = this.column(field);
+    if (!column) {
+      throw new Error(`Unknown field "${field}" on ${this.name}`);
+    }
+    return Model.buildCondition(column, value);
+  }
+
+  // Condition for a SQL column against a value or operator object
+  static buildCondition(column, value) {
+    if (value instanceof RegExp) {
+      return {
+        clause: `REGEXP_LIKE(${column}, ?, ?)`,
+        params: [value.source, value.flags.includes("i") ? "i" : "c"],
+      };
+    }
+
+    if (value === null) {
+      return { clause: `${column} IS NULL`, params: [] };
+    }
+
+    if (!isOperatorObject(value)) {
+      return { clause: `${column} = ?`, params: [toParam(value)] };
+    }
+
+    const clauses = [];
+    const params = [];
+
+    for (const [operator, operand] of Object.entries(value)) {
+      switch (operator) {
+        case "$eq":
+          {
+            const part = Model.buildCondition(column, operand);
+            clauses.push(part.clause);
+            params.push(...part.params);
+          }
+          break;
+
+        case "$ne":
+          if (operand === null) {
+            clauses.push(`${column} IS NOT NULL`);
+          } else {
+            clauses.push(`(${column} <> ? OR ${column} IS NULL)`);
+            params.push(toParam(operand));
+          }
+          break;
+
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte": {
+          const sign = { $gt: ">", $gte: ">=", $lt: "<", $lte: "<=" }[operator];
+          clauses.push(`${column} ${sign} ?`);
+          params.push(toParam(operand));
+          break;
+        }
+
+        case "$in":
+        case "$nin": {
+          const values = toArray(operand);
+          const literals = values.filter((item) => !(item instanceof RegExp));
+          const parts = [];
+
+          if (literals.length) {
+            parts.push(`${column} IN (${literals.map(() => "?").join(", ")})`);
+            params.push(...literals.map(toParam));
+          }
+          values
+            .filter((item) => item instanceof RegExp)
+            .forEach((regex) => {
+              const part = Model.buildCondition(column, regex);
+              parts.push(part.clause);
+              params.push(...part.params);
+            });
+
+          if (operator === "$in") {
+            clauses.push(parts.length ? `(${parts.join(" OR ")})` : "1 = 0");
+          } else {
+            clauses.push(
+              parts.length ? `NOT (${parts.join(" OR ")})` : "1 = 1"
+            );
+          }
+          break;
+        }
+
+        case "$regex": {
+          const regex =
+            operand instanceof RegExp
+              ? operand
+              : new RegExp(operand, value.$options || "");
+          const part = Model.buildCondition(column, regex);
+          clauses.push(part.clause);
+          params.push(...part.params);
+          break;
+        }
+
+        case "$options":
+          break;
+
+        case "$exists":
+          clauses.push(`${column} ${operand ? "IS NOT NULL" : "IS NULL"}`);
+          break;
+
+        default:
+          throw new Error(`Unsupported query operator "${operator}"`);
+      }
+    }
+
+    return { clause: clauses.join(" AND ") || "1 = 1", params };
+  }
+
+  // SQL expression for a "$field" reference in sorts and aggregations
+  static resolveExpression(reference) {
+    const field = String(reference).replace(/^\$/, "");
+    return hasOwn(this.computed, field)
+      ? this.computed[field]
+      : this.column(field);
+  }
+
+  // Translate a sort spec ({ views: -1 } or "-createdAt") into ORDER BY
+  static buildOrderBy(spec) {
+    if (!spec) return "";
+
+    const entries =
+      typeof spec === "string"
+        ? spec
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((token) =>
+              token.startsWith("-") ? [token.slice(1), -1] : [token, 1]
+            )
+        : Object.entries(spec);
+
+    return entries
+      .map(([field, direction]) => {
+        // Unknown fields are ignored so user-supplied sort keys stay safe
+        const expression = this.resolveExpression(field);
+        if (!expression) return null;
+        const descending =
+          direction === -1 || direction === "desc" || direction === "-1";
+        return `${expression} ${descending ? "DESC" : "ASC"}`;
+      })
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  static find(filter = {}) {
+    return new Query(this, filter);
+  }
+
+  static findOne(filter = {}) {
+    return new Query(this, filter, { single: true });
+  }
+
+  static findById(id) {
+    return new Query(this, { _id: idOf(id) }, { single: true });
+  }
+
+  static findByIdAndUpdate(id, update, options = {}) {
+    return new Query(
+      this,
+      { _id: idOf(id) },
+      {
+        single: true,
+        update,
+        returnNew: options.new === true,
+      }
+    );
+  }
+
+  static findOneAndUpdate(filter, update, options = {}) {
+    return new Query(this, filter, {
+      single: true,
+      update,
+      returnNew: options.new === true,
+    });
+  }
+
+  static async findByIdAndDelete(id) {
+    return this.findOneAndDelete({ _id: idOf(id) });
+  }
+
+  static async findOneAndDelete(filter) {
+    const doc = await this.findOne(filter);
+    if (doc) await doc.deleteOne();
+    return doc;
+  }
+
+  static async create(data) {
+    return new this(data).save();
+  }
+
+  static async countDocuments(filter = {}) {
+    const where = this.buildWhere(this.scope(filter));
+    const rows = await this.run(
+      `SELECT COUNT(*) AS count FROM ${quote(this.table)} WHERE ${where.clause}`,
+      where.params
+    );
+    return Number(rows[0].count);
+  }
+
+  static async distinct(field, filter = {}) {
+    const column = this.column(field);
+    if (!column) throw new Error(`Unknown field "${field}" on ${this.name}`);
+
+    const where = this.buildWhere(this.scope(filter));
+    const rows = await this.run(
+      `SELECT DISTINCT ${column} AS value FROM ${quote(this.table)} WHERE ${where.clause} AND ${column} IS NOT NULL`,
+      where.params
+    );
+    return rows.map((row) => row.value);
+  }
+
+  static async deleteMany(filter = {}) {
+    const where = this.buildWhere(filter);
+    const result = await this.run(
+      `DELETE FROM ${quote(this.table)} WHERE ${where.clause}`,
+      where.params
+    );
+    return { deletedCount: result.affectedRows };
+  }
+
+  static async updateMany(filter, update) {
+    const docs = await new Query(this, filter, { update });
+    return { modifiedCount: docs.length };
+  }
+
+  // Run a $match / $group / $sort / $limit pipeline as a GROUP BY query
+  static async aggregate(pipeline) {
+    const matches = [];
+    let group = null;
+    let sortSpec = null;
+    let limit = null;
+
+    for (const stage of pipeline) {
+      const [operator, spec] = Object.entries(stage)[0];
+      switch (operator) {
+        case "$match":
+          matches.push(spec);
+          break;
+        case "$group":
+          group = spec;
+          break;
+        case "$sort":
+          sortSpec = spec;
+          break;
+        case "$limit":
+          limit = toInteger(spec);
+          break;
+        default:
+          throw new Error(`Unsupported aggregation stage "${operator}"`);
+      }
+    }
+
+    if (!group) throw new Error("Aggregation requires a $group stage");
+
+    const where = this.buildWhere(
+      this.scope(matches.length ? { $and: matches } : {})
+    );
+    const selects = [];
+    const params = [];
+    let groupBy = "";
+
+    if (group._id === null || group._id === undefined) {
+      selects.push("NULL AS `_id`");
+    } else {
+      const expression = this.resolveExpression(group._id);
+      if (!expression) throw new Error(`Unknown group key "${group._id}"`);
+      selects.push(`${expression} AS \`_id\``);
+      groupBy = ` GROUP BY ${expression}`;
+    }
+
+    for (const [alias, accumulator] of Object.entries(group)) {
+      if (alias === "_id") continue;
+      const built = this.buildAccumulator(accumulator);
+      selects.push(`${built.sql} AS ${quote(alias)}`);
+      params.push(...built.params);
+    }
+
+    let sql = `SELECT ${selects.join(", ")} FROM ${quote(this.table)} WHERE ${where.clause}${groupBy}`;
+    if (sortSpec) {
+      const order = Object.entries(sortSpec)
+        .map(
+          ([key, direction]) =>
+            `${quote(key)} ${direction === -1 ? "DESC" : "ASC"}`
+        )
+        .join(", ");
+      sql += ` ORDER BY ${order}`;
+    }
+    if (limit !== null) sql += ` LIMIT ${limit}`;
+
+    const rows = await this.run(sql, [...params, ...where.params]);
+
+    // SUM() comes back from mysql2 as a DECIMAL string
+    return rows.map((row) => {
+      const result = { _id: row._id };
+      Object.keys(group)
+        .filter((alias) => alias !== "_id")
+        .forEach((alias) => {
+          result[alias] = row[alias] === null ? 0 : Number(row[alias]);
+        });
+      return result;
+    });
+  }
+
+  static buildAccumulator(accumulator) {
+    const [operator, operand] = Object.entries(accumulator)[0];
+    const fn = { $sum: "SUM", $avg: "AVG", $min: "MIN", $max: "MAX" }[operator];
+    if (!fn) throw new Error(`Unsupported accumulator "${operator}"`);
+
+    if (operator === "$sum" && operand === 1) {
+      return { sql: "COUNT(*)", params: [] };
+    }
+
+    const value = this.buildValueExpression(operand);
+    return { sql: `${fn}(${value.sql})`, params: value.params };
+  }
+
+  static buildValueExpression(operand) {
+    if (typeof operand === "number") return { sql: "?", params: [operand] };
+
+    if (typeof operand === "string" && operand.startsWith("$")) {
+      const expression = this.resolveExpression(operand);
+      if (!expression) throw new Error(`Unknown field "${operand}"`);
+      return { sql: expression, params: [] };
+    }
+
+    if (isPlainObject(operand) && operand.$size) {
+      return this.buildValueExpression(operand.$size);
+    }
+
+    if (isPlainObject(operand) && operand.$cond) {
+      const [condition, whenTrue, whenFalse] = operand.$cond;
+      const [comparator, [left, right]] = Object.entries(condition)[0];
+      const sign = {
+        $eq: "=",
+        $ne: "<>",
+        $gt: ">",
+        $gte: ">=",
+        $lt: "<",
+        $lte: "<=",
+      }[comparator];
+      if (!sign) throw new Error(`Unsupported condition "${comparator}"`);
+
+      const leftValue = this.buildValueExpression(left);
+      const trueValue = this.buildValueExpression(whenTrue);
+      const falseValue = this.buildValueExpression(whenFalse);
+      return {
+        sql: `CASE WHEN ${leftValue.sql} ${sign} ? THEN ${trueValue.sql} ELSE ${falseValue.sql} END`,
+        params: [
+          ...leftValue.params,
+          toParam(right),
+          ...trueValue.params,
+          ...falseValue.params,
+        ],
+      };
+    }
+
+    throw new Error("Unsupported aggregation expression");
+  }
+
+  // Build a document from a database row
+  static fromRow(row) {
+    const data = {};
+    for (const [field, column] of Object.entries(this.fields)) {
+      if (!(column in row)) continue;
+
+      let value = row[column];
+      if (value !== null && this.booleanFields.includes(field)) {
+        value = Boolean(value);
+      }
+      if (typeof value === "string" && this.jsonFields.includes(field)) {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          // Leave non-JSON strings as they are
+        }
+      }
+      setPath(data, field, value);
+    }
+
+    const doc = new this(data, { isNew: false });
+    doc.$snapshot = doc.toRow();
+    return doc;
+  }
+
+  // Rebuild a persisted document from a plain object
+  static fromObject(data) {
+    const doc = new this({ ...data }, { isNew: false });
+    doc.$snapshot = doc.toRow();
+    return doc;
+  }
+
+  // Load relation fields for freshly fetched documents
+  static async hydrate(docs, wantedFields) {}
+
+  static refModel(path) {
+    const name = this.refs[path];
+    if (!name) throw new Error(`Cannot populate "${path}" on ${this.name}`);
+    return require(`./${name}`);
+  }
+
+  // Replace ids at `path` with referenced documents
+  static async populateDocs(docs, path, select) {
+    const Ref = this.refModel(path);
+    const keys = path.split(".");
+    const leaf = keys.pop();
+
+    let holders = docs.filter(Boolean);
+    for (const key of keys) {
+      holders = holders
+        .flatMap((holder) => toArray(holder[key]))
+        .filter((item) => item && typeof item === "object");
+    }
+
+    const ids = new Set();
+    holders.forEach((holder) =>
+      toArray(holder[leaf]).forEach((value) => {
+        if (value != null) ids.add(idOf(value));
+      })
+    );
+    if (ids.size === 0) return;
+
+    const refs = await Ref.find({ _id: { $in: [...ids] } })
+      .select(select)
+      .lean();
+    const byId = new Map(refs.map((ref) => [ref._id, ref]));
+
+    holders.forEach((holder) => {
+      const value = holder[leaf];
+      if (Array.isArray(value)) {
+        holder[leaf] = value
+          .map((item) => byId.get(idOf(item)))
+          .filter(Boolean);
+      } else if (value != null) {
+        holder[leaf] = byId.get(idOf(value)) || null;
+      }
+    });
+  }
+
+  // Serialize mapped fields into a column -> value row
+  toRow() {
+    const model = this.constructor;
+    const row = {};
+
+    for (const [field, column] of Object.entries(model.fields)) {
+      let value = getPath(this, field);
+      if (value === undefined) continue;
+
+      if (model.jsonFields.includes(field)) {
+        value = value === null ? null : JSON.stringify(value);
+      } else {
+        value = toParam(value);
+      }
+      row[column] = value;
+    }
+
+    return row;
+  }
+
+  // Apply plain assignments and $set / $push / $inc / $unset operators
+  applyUpdate(update = {}) {
+    const model = this.constructor;
+    const isKnown = (path) =>
+      hasOwn(model.fields, path) ||
+      Object.keys(model.fields).some((field) => field.startsWith(`${path}.`)) ||
+      model.relationFields.includes(path);
+
+    for (const [key, value] of Object.entries(update)) {
+      switch (key) {
+        case "$set":
+          Object.entries(value).forEach(([path, item]) => {
+            if (isKnown(path.split(".")[0])) setPath(this, path, item);
+          });
+          break;
+
+        case "$unset":
+          Object.keys(value).forEach((path) => setPath(this, path, null));
+          break;
+
+        case "$inc":
+          Object.entries(value).forEach(([path, amount]) => {
+            setPath(this, path, (Number(getPath(this, path)) || 0) + amount);
+            if (hasOwn(model.fields, path)) {
+              const column = model.fields[path];
+              this.$increments[column] =
+                (this.$increments[column] || 0) + amount;
+            }
+          });
+          break;
+
+        case "$push":
+          Object.entries(value).forEach(([path, item]) => {
+            const items = item && item.$each ? item.$each : [item];
+            setPath(this, path, [...toArray(getPath(this, path)), ...items]);
+          });
+          break;
+
+        default:
+          if (!key.startsWith("$") && isKnown(key)) setPath(this, key, value);
+      }
+    }
+
+    return this;
+  }
+
+  async save() {
+    await database.transaction((connection) => this.saveWith(connection));
+    return this;
+  }
+
+  // save() on a connection inside an open transaction
+  async saveWith(connection) {
+    await this.persist(connection);
+    await this.saveRelations(connection);
+    this.$isNew = false;
+    this.$snapshot = this.toRow();
+    this.$increments = {};
+    return this;
+  }
+
+  async persist(connection) {
+    const model = this.constructor;
+    const now = new Date();
+
+    if (this.$isNew) {
+      if (model.timestamps.createdAt && !this.createdAt) this.createdAt = now;
+      if (model.timestamps.updatedAt) this.updatedAt = now;
+
+      const row = this.toRow();
+      const columns = Object.keys(row);
+      await model.run(
+        `INSERT INTO ${quote(model.table)} (${columns.map(quote).join(", ")}) VALUES (${columns
+          .map(() => "?")
+          .join(", ")})`,
+        Object.values(row),
+        connection
+      );
+      return;
+    }
+
+    const changedColumns = () =>
+      Object.entries(this.toRow()).filter(
+        ([column, value]) =>
+          column !== "id" &&
+          JSON.stringify(value) !== JSON.stringify(this.$snapshot[column])
+      );
+
+    if (changedColumns().length === 0) return;
+    if (model.timestamps.updatedAt) this.updatedAt = now;
+
+    // Incremented columns add to the stored value instead of replacing it
+    const updates = changedColumns().map(([column, value]) =>
+      hasOwn(this.$increments, column)
+        ? [`${quote(column)} = ${quote(column)} + ?`, this.$increments[column]]
+        : [`${quote(column)} = ?`, value]
+    );
+    await model.run(
+      `UPDATE ${quote(model.table)} SET ${updates
+        .map(([assignment]) => assignment)
+        .join(", ")} WHERE ${quote("id")} = ?`,
+      [...updates.map(([, value]) => value), this._id],
+      connection
+    );
+  }
+
+  // Persist relation fields; subclasses with join tables override this
+  async saveRelations(connection) {}
+
+  // Soft-delete: stamp deletedAt/deletedBy and keep the row
+  async trash({ deletedBy = null, at = new Date() } = {}) {
+    if (!this.constructor.softDelete) {
+      throw new Error(`${this.constructor.name} is not soft-deletable`);
+    }
+    this.deletedAt = at;
+    this.deletedBy = idOf(deletedBy);
+    return this.save();
+  }
+
+  // Undo trash()
+  async restore() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  }
+
+  async deleteOne() {
+    const model = this.constructor;
+    await model.run(
+      `DELETE FROM ${quote(model.table)} WHERE ${quote("id")} = ?`,
+      [this._id]
+    );
+    return this;
+  }
+
+  async populate(path, select) {
+    await this.constructor.populateDocs([this], path, select);
+    return this;
+  }
+
+  // Swap the document's fields for a projected copy
+  replaceWith(data) {
+    Object.keys(this).forEach((key) => delete this[key]);
+    Object.assign(this, data);
+    return this;
+  }
+
+  toObject() {
+    return { ...this };
+  }
+
+  toJSON() {
+    const data = this.toObject();
+    this.constructor.hiddenFields.forEach((field) => delete data[field]);
+    return data;
+  }
+}
+
+module.exports = Model;
+module.exports.Query = Query;
+module.exports.quote = quote;
+module.exports.idOf = idOf;
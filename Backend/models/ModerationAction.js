@@ -0,0 +1,40 @@
+const Model = require("./Model");
+
+// Audit trail entry for something a moderator did: resolving a report,
+// hiding content, warning or suspending a user. Rows are never updated.
+class ModerationAction extends Model {
+  static table = "moderation_actions";
+
+  static fields = {
+    _id: "id",
+    moderator: "moderator_id",
+    action: "action",
+    targetType: "target_type",
+    target: "target_id",
+    report: "report_id",
+    note: "note",
+    metadata: "metadata",
+    createdAt: "created_at",
+  };
+
+  static jsonFields = ["metadata"];
+
+  static refs = { moderator: "User", report: "Report" };
+  static timestamps = { createdAt: true, updatedAt: false };
+
+  static actions = [
+    "dismiss",
+    "hide",
+    "warn",
+    "suspend",
+    "unsuspend",
+    "approve",
+    "reject",
+  ];
+
+  static defaults() {
+    return { report: null, note: null, metadata: null };
+  }
+}
+
+module.exports = ModerationAction;
@@ -0,0 +1,44 @@
+const Model = require("./Model");
+
+// A user's report of an entry or comment, open until a moderator resolves
+// it. Resolving one report resolves every open report on the same target.
+class Report extends Model {
+  static table = "reports";
+
+  static fields = {
+    _id: "id",
+    targetType: "target_type",
+    target: "target_id",
+    reporter: "reporter_id",
+    reason: "reason",
+    details: "details",
+    status: "status",
+    resolution: "resolution",
+    resolutionNote: "resolution_note",
+    resolvedBy: "resolved_by",
+    resolvedAt: "resolved_at",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static refs = { reporter: "User", resolvedBy: "User" };
+
+  static targetTypes = ["entry", "comment"];
+  static reasons = [
+    "spam",
+    "harassment",
+    "hate_speech",
+    "misinformation",
+    "copyright",
+    "inappropriate",
+    "other",
+  ];
+  static statuses = ["open", "dismissed", "actioned"];
+  static resolutions = ["dismiss", "hide", "warn", "suspend"];
+
+  static defaults() {
+    return { status: "open", details: null, resolution: null };
+  }
+}
+
+module.exports = Report;
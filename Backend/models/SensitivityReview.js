@@ -0,0 +1,40 @@
+const Model = require("./Model");
+
+// Result of the automated sensitivity check run when an entry is
+// published. "passed" reviews let the entry through; "flagged" ones hold it
+// in pending_review until a moderator approves or rejects it. `findings`
+// holds [{ category, severity, field, excerpt, explanation, suggestion,
+// source }].
+class SensitivityReview extends Model {
+  static table = "sensitivity_reviews";
+
+  static fields = {
+    _id: "id",
+    entry: "entry_id",
+    requestedBy: "requested_by",
+    status: "status",
+    highestSeverity: "highest_severity",
+    summary: "summary",
+    findings: "findings",
+    provider: "provider",
+    model: "model",
+    error: "error",
+    reviewedBy: "reviewed_by",
+    reviewedAt: "reviewed_at",
+    reviewNote: "review_note",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static jsonFields = ["findings"];
+
+  static refs = { entry: "Entry", requestedBy: "User", reviewedBy: "User" };
+
+  static statuses = ["passed", "flagged", "approved", "rejected", "superseded"];
+
+  static defaults() {
+    return { findings: [], highestSeverity: "none", error: null };
+  }
+}
+
+module.exports = SensitivityReview;
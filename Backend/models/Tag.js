@@ -0,0 +1,122 @@
+const Model = require("./Model");
+const { quote } = require("./Model");
+const database = require("../config/db");
+
+class Tag extends Model {
+  static table = "tags";
+
+  static fields = {
+    _id: "id",
+    name: "name",
+    slug: "slug",
+    description: "description",
+    usageCount: "usage_count",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  };
+
+  static defaults() {
+    return { usageCount: 0 };
+  }
+
+  // Build a URL-safe slug from a tag name
+  static slugify(name) {
+    return String(name)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .trim()
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 50);
+  }
+
+  // Trim, de-duplicate (by slug) and drop empty tag names
+  static normalizeNames(names) {
+    const seen = new Set();
+    return (Array.isArray(names) ? names : [])
+      .map((name) => String(name).trim().substring(0, 50))
+      .filter((name) => {
+        const slug = Tag.slugify(name);
+        if (!slug || seen.has(slug)) return false;
+        seen.add(slug);
+        return true;
+      });
+  }
+
+  // Find or create tags by name and return their ids, in input order
+  static async idsForNames(names, connection = null) {
+    const normalized = Tag.normalizeNames(names);
+    if (normalized.length === 0) return [];
+
+    for (const name of normalized) {
+      await Tag.run(
+        `INSERT INTO ${quote(Tag.table)} (id, name, slug) VALUES (UUID(), ?, ?)
+         ON DUPLICATE KEY UPDATE id = id`,
+        [name, Tag.slugify(name)],
+        connection
+      );
+    }
+
+    const slugs = normalized.map((name) => Tag.slugify(name));
+    const rows = await Tag.run(
+      `SELECT id, slug FROM ${quote(Tag.table)} WHERE slug IN (${slugs
+        .map(() => "?")
+        .join(", ")})`,
+      slugs,
+      connection
+    );
+    const bySlug = new Map(rows.map((row) => [row.slug, row.id]));
+    return slugs.map((slug) => bySlug.get(slug)).filter(Boolean);
+  }
+
+  // Ids of the tags on an entry
+  static async idsForEntry(entryId, connection = null) {
+    const rows = await Tag.run(
+      "SELECT tag_id FROM `entry_tags` WHERE entry_id = ?",
+      [entryId],
+      connection
+    );
+    return rows.map((row) => row.tag_id);
+  }
+
+  // Recount usage_count (entries using the tag that are not in the trash)
+  // for the given tags, or for every tag when no ids are passed
+  static async refreshUsage(tagIds = null, connection = null) {
+    if (tagIds && tagIds.length === 0) return;
+
+    await Tag.run(
+      `UPDATE ${quote(Tag.table)} t SET usage_count = (
+         SELECT COUNT(*) FROM \`entry_tags\` et
+         JOIN \`entries\` e ON e.id = et.entry_id
+         WHERE et.tag_id = t.id AND e.deleted_at IS NULL
+       )${tagIds ? ` WHERE t.id IN (${tagIds.map(() => "?").join(", ")})` : ""}`,
+      tagIds || [],
+      connection
+    );
+  }
+
+  // Move every entry of `source` to `target` and delete `source`. Entries
+  // that already had both keep a single association. Returns how many
+  // entries were moved.
+  static async merge(source, target) {
+    return database.transaction(async (connection) => {
+      const moved = await Tag.run(
+        `INSERT IGNORE INTO \`entry_tags\` (entry_id, tag_id, created_at)
+         SELECT entry_id, ?, created_at FROM \`entry_tags\` WHERE tag_id = ?`,
+        [target._id, source._id],
+        connection
+      );
+      await Tag.run(
+        `DELETE FROM ${quote(Tag.table)} WHERE id = ?`,
+        [source._id],
+        connection
+      );
+      await Tag.refreshUsage([target._id], connection);
+      return moved.affectedRows;
+    });
+  }
+}
+
+module.exports = Tag;
@@ -0,0 +1,45 @@
+const Model = require("./Model");
+
+class User extends Model {
+  static table = "users";
+
+  static fields = {
+    _id: "id",
+    username: "username",
+    email: "email",
+    password: "password",
+    role: "role",
+    profilePicture: "profile_picture",
+    bio: "bio",
+    location: "location",
+    website: "website",
+    socialLinks: "social_links",
+    isActive: "is_active",
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    lastLogin: "last_login",
+    suspendedUntil: "suspended_until",
+    storageQuota: "storage_quota",
+    deletedAt: "deleted_at",
+    deletedBy: "deleted_by",
+  };
+
+  static jsonFields = ["socialLinks"];
+  static booleanFields = ["isActive"];
+  static hiddenFields = ["password"];
+  static softDelete = true;
+
+  static defaults() {
+    return {
+      role: "user",
+      isActive: true,
+    };
+  }
+
+  // Suspended by a moderator and the suspension has not run out yet
+  isSuspended(now = new Date()) {
+    return Boolean(this.suspendedUntil) && new Date(this.suspendedUntil) > now;
+  }
+}
+
+module.exports = User;
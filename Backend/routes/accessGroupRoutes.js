@@ -0,0 +1,49 @@
+const express = require("express");
+const accessGroupController = require("../controllers/accessGroupController.jsx");
+const {
+  authenticate,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+const {
+  createAccessGroupValidation,
+  updateAccessGroupValidation,
+  accessGroupMemberValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", accessGroupController.getGroups.bind(accessGroupController));
+router.post(
+  "/",
+  requireRole("admin"),
+  createAccessGroupValidation,
+  accessGroupController.createGroup.bind(accessGroupController)
+);
+router.get("/:id", accessGroupController.getGroup.bind(accessGroupController));
+router.patch(
+  "/:id",
+  updateAccessGroupValidation,
+  accessGroupController.updateGroup.bind(accessGroupController)
+);
+router.delete(
+  "/:id",
+  requireRole("admin"),
+  accessGroupController.deleteGroup.bind(accessGroupController)
+);
+router.get(
+  "/:id/members",
+  accessGroupController.getMembers.bind(accessGroupController)
+);
+router.put(
+  "/:id/members/:userId",
+  accessGroupMemberValidation,
+  accessGroupController.setMember.bind(accessGroupController)
+);
+router.delete(
+  "/:id/members/:userId",
+  accessGroupController.removeMember.bind(accessGroupController)
+);
+
+module.exports = router;
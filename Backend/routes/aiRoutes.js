@@ -0,0 +1,76 @@
+const express = require("express");
+const aiController = require("../controllers/aiController.jsx");
+const { authenticate } = require("../middleware/authMiddleware.jsx");
+const {
+  askQuestionValidation,
+  generateTagsValidation,
+  enhanceEntryValidation,
+  enhancementDecisionValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+router.get("/status", aiController.getServiceStatus.bind(aiController));
+
+// Everything else needs a signed-in user
+router.use(authenticate);
+
+router.post(
+  "/ask",
+  askQuestionValidation,
+  aiController.askQuestion.bind(aiController)
+);
+router.post(
+  "/ask/stream",
+  askQuestionValidation,
+  aiController.askQuestionStream.bind(aiController)
+);
+router.post(
+  "/tags",
+  generateTagsValidation,
+  aiController.generateTags.bind(aiController)
+);
+router.get(
+  "/entries/:id/suggestions",
+  aiController.getEntrySuggestions.bind(aiController)
+);
+router.get(
+  "/entries/:id/analysis",
+  aiController.analyzeCulturalSignificance.bind(aiController)
+);
+
+router.post(
+  "/entries/:id/enhance",
+  enhanceEntryValidation,
+  aiController.enhanceEntry.bind(aiController)
+);
+router.get(
+  "/entries/:id/enhancements",
+  aiController.getEntryEnhancements.bind(aiController)
+);
+router.get(
+  "/enhancements/:enhancementId",
+  aiController.getEnhancement.bind(aiController)
+);
+router.post(
+  "/enhancements/:enhancementId/accept",
+  enhancementDecisionValidation,
+  aiController.acceptEnhancement.bind(aiController)
+);
+router.post(
+  "/enhancements/:enhancementId/reject",
+  enhancementDecisionValidation,
+  aiController.rejectEnhancement.bind(aiController)
+);
+
+router.get("/conversations", aiController.getConversations.bind(aiController));
+router.get(
+  "/conversations/:id",
+  aiController.getConversationById.bind(aiController)
+);
+router.delete(
+  "/conversations/:id",
+  aiController.deleteConversation.bind(aiController)
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const authController = require("../controllers/authController.jsx");
+const { authenticate } = require("../middleware/authMiddleware.jsx");
+const {
+  registerValidation,
+  loginValidation,
+  changePasswordValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+router.post(
+  "/register",
+  registerValidation,
+  authController.register.bind(authController)
+);
+router.post(
+  "/login",
+  loginValidation,
+  authController.login.bind(authController)
+);
+router.post(
+  "/logout",
+  authenticate,
+  authController.logout.bind(authController)
+);
+router.post("/refresh-token", authController.refreshToken.bind(authController));
+router.get(
+  "/profile",
+  authenticate,
+  authController.getProfile.bind(authController)
+);
+router.put(
+  "/change-password",
+  authenticate,
+  changePasswordValidation,
+  authController.changePassword.bind(authController)
+);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const categoryController = require("../controllers/categoryController.jsx");
+
+const router = express.Router();
+
+router.get("/", categoryController.getCategories.bind(categoryController));
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const commentController = require("../controllers/commentController.jsx");
+const {
+  authenticate,
+  optionalAuth,
+} = require("../middleware/authMiddleware.jsx");
+const {
+  updateCommentValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+// Listing and posting live under /api/entries/:id/comments
+router.get(
+  "/:id/replies",
+  optionalAuth,
+  commentController.getReplies.bind(commentController)
+);
+router.patch(
+  "/:id",
+  authenticate,
+  updateCommentValidation,
+  commentController.updateComment.bind(commentController)
+);
+router.delete(
+  "/:id",
+  authenticate,
+  commentController.deleteComment.bind(commentController)
+);
+router.post(
+  "/:id/like",
+  authenticate,
+  commentController.toggleLike.bind(commentController)
+);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const entryController = require("../controllers/entryController.jsx");
+const revisionController = require("../controllers/revisionController.jsx");
+const commentController = require("../controllers/commentController.jsx");
+const mediaController = require("../controllers/mediaController.jsx");
+const {
+  authenticate,
+  optionalAuth,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+const {
+  createEntryValidation,
+  updateEntryValidation,
+  semanticSearchValidation,
+  commentValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+// Collection-level routes come before "/:id" so they are not captured by it
+router.get(
+  "/",
+  optionalAuth,
+  entryController.getAllEntries.bind(entryController)
+);
+router.post(
+  "/",
+  authenticate,
+  createEntryValidation,
+  entryController.createEntry.bind(entryController)
+);
+router.get(
+  "/featured",
+  optionalAuth,
+  entryController.getFeaturedEntries.bind(entryController)
+);
+router.get(
+  "/trending",
+  optionalAuth,
+  entryController.getTrendingEntries.bind(entryController)
+);
+router.get(
+  "/semantic-search",
+  optionalAuth,
+  semanticSearchValidation,
+  entryController.semanticSearch.bind(entryController)
+);
+router.get(
+  "/stats",
+  authenticate,
+  entryController.getEntryStats.bind(entryController)
+);
+router.get(
+  "/mine",
+  authenticate,
+  entryController.getUserEntries.bind(entryController)
+);
+router.post(
+  "/bulk-delete",
+  authenticate,
+  requireRole("admin"),
+  entryController.bulkDelete.bind(entryController)
+);
+
+router.get(
+  "/:id",
+  optionalAuth,
+  entryController.getEntryById.bind(entryController)
+);
+router.put(
+  "/:id",
+  authenticate,
+  updateEntryValidation,
+  entryController.updateEntry.bind(entryController)
+);
+router.delete(
+  "/:id",
+  authenticate,
+  entryController.deleteEntry.bind(entryController)
+);
+router.patch(
+  "/:id/status",
+  authenticate,
+  entryController.togglePublishStatus.bind(entryController)
+);
+router.get(
+  "/:id/sensitivity-reviews",
+  authenticate,
+  entryController.getSensitivityReviews.bind(entryController)
+);
+router.patch(
+  "/:id/featured",
+  authenticate,
+  requireRole("admin"),
+  entryController.toggleFeatured.bind(entryController)
+);
+router.post(
+  "/:id/like",
+  authenticate,
+  entryController.toggleLike.bind(entryController)
+);
+router.get(
+  "/:id/comments",
+  optionalAuth,
+  commentController.getEntryComments.bind(commentController)
+);
+router.post(
+  "/:id/comments",
+  authenticate,
+  commentValidation,
+  commentController.addComment.bind(commentController)
+);
+router.delete(
+  "/:id/comments/:commentId",
+  authenticate,
+  commentController.deleteComment.bind(commentController)
+);
+router.post(
+  "/:id/media",
+  authenticate,
+  mediaController.prepareUpload.bind(mediaController),
+  mediaController.upload.bind(mediaController),
+  mediaController.addMedia.bind(mediaController)
+);
+router.delete(
+  "/:id/media/:mediaId",
+  authenticate,
+  mediaController.deleteMedia.bind(mediaController)
+);
+router.get(
+  "/:id/revisions",
+  authenticate,
+  revisionController.getRevisions.bind(revisionController)
+);
+router.get(
+  "/:id/revisions/diff",
+  authenticate,
+  revisionController.diffRevisions.bind(revisionController)
+);
+router.get(
+  "/:id/revisions/:revision",
+  authenticate,
+  revisionController.getRevision.bind(revisionController)
+);
+router.post(
+  "/:id/revisions/:revision/restore",
+  authenticate,
+  revisionController.restoreRevision.bind(revisionController)
+);
+router.get(
+  "/:id/export",
+  authenticate,
+  entryController.exportEntry.bind(entryController)
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const mediaController = require("../controllers/mediaController.jsx");
+const {
+  authenticate,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+
+const router = express.Router();
+
+// Storage maintenance (Admin only); entry uploads live under /api/entries
+router.use(authenticate, requireRole("admin"));
+
+router.get("/orphans", mediaController.getOrphans.bind(mediaController));
+router.post(
+  "/orphans/collect",
+  mediaController.collectOrphans.bind(mediaController)
+);
+
+module.exports = router;
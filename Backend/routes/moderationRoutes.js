@@ -0,0 +1,58 @@
+const express = require("express");
+const moderationController = require("../controllers/moderationController.jsx");
+const {
+  authenticate,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+const {
+  resolveReportValidation,
+  moderationNoteValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+// Moderators and admins only
+router.use(authenticate, requireRole("moderator"));
+
+router.get(
+  "/reports",
+  moderationController.getReportQueue.bind(moderationController)
+);
+router.get(
+  "/reports/:id",
+  moderationController.getReport.bind(moderationController)
+);
+router.post(
+  "/reports/:id/resolve",
+  resolveReportValidation,
+  moderationController.resolveReport.bind(moderationController)
+);
+router.post(
+  "/users/:id/unsuspend",
+  moderationNoteValidation,
+  moderationController.unsuspendUser.bind(moderationController)
+);
+router.get(
+  "/reviews",
+  moderationController.getReviewQueue.bind(moderationController)
+);
+router.get(
+  "/reviews/:id",
+  moderationController.getSensitivityReview.bind(moderationController)
+);
+router.post(
+  "/reviews/:id/approve",
+  moderationNoteValidation,
+  moderationController.approveReview.bind(moderationController)
+);
+router.post(
+  "/reviews/:id/reject",
+  moderationNoteValidation,
+  moderationController.rejectReview.bind(moderationController)
+);
+router.get(
+  "/actions",
+  moderationController.getActions.bind(moderationController)
+);
+
+module.exports = router;
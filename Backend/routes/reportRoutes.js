@@ -0,0 +1,15 @@
+const express = require("express");
+const moderationController = require("../controllers/moderationController.jsx");
+const { authenticate } = require("../middleware/authMiddleware.jsx");
+const { reportValidation } = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+router.post(
+  "/",
+  authenticate,
+  reportValidation,
+  moderationController.createReport.bind(moderationController)
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const tagController = require("../controllers/tagController.jsx");
+const {
+  authenticate,
+  optionalAuth,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+const {
+  tagListValidation,
+  updateTagValidation,
+  mergeTagValidation,
+} = require("../middleware/validationMiddleware.jsx");
+
+const router = express.Router();
+
+router.get("/", tagListValidation, tagController.getTags.bind(tagController));
+router.get("/:slug", optionalAuth, tagController.getTag.bind(tagController));
+router.patch(
+  "/:id",
+  authenticate,
+  requireRole("admin"),
+  updateTagValidation,
+  tagController.updateTag.bind(tagController)
+);
+router.post(
+  "/:id/merge",
+  authenticate,
+  requireRole("admin"),
+  mergeTagValidation,
+  tagController.mergeTag.bind(tagController)
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const trashController = require("../controllers/trashController.jsx");
+const {
+  authenticate,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", trashController.getTrash.bind(trashController));
+router.post(
+  "/entries/:id/restore",
+  trashController.restoreEntry.bind(trashController)
+);
+router.post(
+  "/comments/:id/restore",
+  trashController.restoreComment.bind(trashController)
+);
+router.post(
+  "/users/:id/restore",
+  requireRole("admin"),
+  trashController.restoreUser.bind(trashController)
+);
+router.post(
+  "/purge",
+  requireRole("admin"),
+  trashController.purgeTrash.bind(trashController)
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const userController = require("../controllers/userController.jsx");
+const {
+  authenticate,
+  requireRole,
+} = require("../middleware/authMiddleware.jsx");
+
+const router = express.Router();
+
+// The signed-in user's own account
+router.get(
+  "/me/storage",
+  authenticate,
+  userController.getMyStorage.bind(userController)
+);
+
+// User management is admin-only
+router.use(authenticate, requireRole("admin"));
+
+router.get("/", userController.getAllUsers.bind(userController));
+router.get("/storage", userController.getStorageOverview.bind(userController));
+router.get("/:id", userController.getUserById.bind(userController));
+router.patch("/:id/role", userController.updateUserRole.bind(userController));
+router.patch(
+  "/:id/status",
+  userController.updateUserStatus.bind(userController)
+);
+router.patch(
+  "/:id/storage-quota",
+  userController.updateStorageQuota.bind(userController)
+);
+router.delete("/:id", userController.deleteUser.bind(userController));
+
+module.exports = router;
@@ -0,0 +1,125 @@
+require("dotenv").config();
+
+const express = require("express");
+const cors = require("cors");
+const database = require("./config/db");
+
+const authRoutes = require("./routes/authRoutes");
+const entryRoutes = require("./routes/entryRoutes");
+const aiRoutes = require("./routes/aiRoutes");
+const userRoutes = require("./routes/userRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const commentRoutes = require("./routes/commentRoutes");
+const trashRoutes = require("./routes/trashRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const moderationRoutes = require("./routes/moderationRoutes");
+const accessGroupRoutes = require("./routes/accessGroupRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const mediaRoutes = require("./routes/mediaRoutes");
+const scheduler = require("./utils/scheduler");
+const trash = require("./services/trash");
+const mediaService = require("./services/media");
+const orphanedMedia = require("./services/orphanedMedia");
+const { notFound, errorHandler } = require("./middleware/errorMiddleware.jsx");
+
+const app = express();
+
+// CORS - comma-separated CORS_ORIGIN, or allow all origins when unset
+const allowedOrigins = process.env.CORS_ORIGIN
+  ? process.env.CORS_ORIGIN.split(",").map((origin) => origin.trim())
+  : null;
+
+app.use(
+  cors({
+    origin: allowedOrigins || true,
+    credentials: true,
+  })
+);
+
+// Body parsing
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "1mb" }));
+app.use(express.urlencoded({ extended: true }));
+
+// Stored media, when the storage driver keeps files on this server
+const storageRoute = mediaService.driver?.staticRoute();
+if (storageRoute) {
+  app.use(storageRoute.path, storageRoute.handler);
+}
+
+// Health check - aggregates database and media storage status
+app.get("/health", async (req, res) => {
+  const [databaseHealth, storageHealth] = await Promise.all([
+    database.healthCheck(),
+    mediaService.healthCheck(),
+  ]);
+
+  // Media storage is optional, so only a failing connection marks us
+  // unhealthy
+  const healthy =
+    databaseHealth.status === "healthy" && storageHealth.status !== "unhealthy";
+
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    status: healthy ? "healthy" : "degraded",
+    timestamp: new Date(),
+    uptime: process.uptime(),
+    services: {
+      database: databaseHealth,
+      storage: storageHealth,
+    },
+  });
+});
+
+// API routes
+app.use("/api/auth", authRoutes);
+app.use("/api/entries", entryRoutes);
+app.use("/api/ai", aiRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/access-groups", accessGroupRoutes);
+app.use("/api/media", mediaRoutes);
+
+// Unknown routes and centralized error responses
+app.use(notFound);
+app.use(errorHandler);
+
+// Connect to the database, then start listening
+const startServer = async () => {
+  try {
+    await database.connect();
+
+    // Permanently remove trash older than TRASH_RETENTION_DAYS
+    const purgeHours = Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24;
+    scheduler.every("trash-purge", purgeHours * 60 * 60 * 1000, () =>
+      trash.purge()
+    );
+
+    // Delete stored media files no media row points to
+    if (mediaService.driver?.isReady()) {
+      const gcHours = Number(process.env.MEDIA_GC_INTERVAL_HOURS) || 24;
+      scheduler.every("media-gc", gcHours * 60 * 60 * 1000, () =>
+        orphanedMedia.run()
+      );
+    }
+
+    const port = parseInt(process.env.PORT) || 5000;
+    app.listen(port, () => {
+      console.log(`🚀 Server running on port ${port}`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
+    });
+  } catch (error) {
+    console.error("❌ Failed to start server:", error.message);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
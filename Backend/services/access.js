@@ -0,0 +1,125 @@
+const AccessGroupMember = require("../models/AccessGroupMember");
+const { idOf } = require("../models/Model");
+const { ROLE_LEVELS } = require("../middleware/authMiddleware.jsx");
+
+// Tiers governed by an access group's protocol. Entries in these tiers are
+// never sent to AI providers, embedded or used as retrieval context.
+const PROTOCOL_TIERS = ["community", "initiated", "seasonal"];
+
+// Entry-level access protocols: who may see an entry given its status,
+// visibility tier, access group and season, both as a check on a loaded entry and as
+// an Entry filter for listings.
+class EntryAccess {
+  // "MM-DD" of a date, the format seasons are stored in
+  monthDay(date = new Date()) {
+    return date.toISOString().slice(5, 10);
+  }
+
+  // Whether a day falls inside an entry's season. A season whose start is
+  // after its end runs over the new year.
+  inSeason(entry, day) {
+    const { seasonStart: start, seasonEnd: end } = entry;
+    if (!start || !end) return false;
+    return start <= end
+      ? day >= start && day <= end
+      : day >= start || day <= end;
+  }
+
+  isProtocolTier(entry) {
+    return PROTOCOL_TIERS.includes(entry.visibility);
+  }
+
+  // The requesting user with the access groups they belong to, by level.
+  // Anonymous visitors get an empty viewer.
+  async viewerFor(user) {
+    const viewer = {
+      userId: user?.userId || null,
+      isAdmin: user?.role === "admin",
+      isModerator: (ROLE_LEVELS[user?.role] || 0) >= ROLE_LEVELS.moderator,
+      groups: new Map(),
+    };
+    if (!viewer.userId || viewer.isAdmin) return viewer;
+
+    const memberships = await AccessGroupMember.find({ user: viewer.userId })
+      .select("group level")
+      .lean();
+    memberships.forEach((membership) =>
+      viewer.groups.set(membership.group, membership.level)
+    );
+    return viewer;
+  }
+
+  // Ids of the viewer's groups where they hold at least `level`
+  groupIds(viewer, level) {
+    return [...viewer.groups.entries()]
+      .filter(([, held]) => AccessGroupMember.atLeast(held, level))
+      .map(([groupId]) => groupId);
+  }
+
+  canView(entry, viewer, now = new Date()) {
+    if (viewer.isAdmin) return true;
+    if (viewer.userId && idOf(entry.author) === viewer.userId) return true;
+    // Drafts, archived entries and entries held for moderator review are
+    // only for their author and moderators
+    if (entry.status !== "published" && !viewer.isModerator) return false;
+
+    const level = viewer.groups.get(idOf(entry.accessGroup));
+    const holds = (required) =>
+      Boolean(level) && AccessGroupMember.atLeast(level, required);
+
+    switch (entry.visibility) {
+      case "public":
+        return true;
+      case "community":
+        return holds("member");
+      case "initiated":
+        return holds("initiated");
+      case "seasonal":
+        return (
+          holds("custodian") ||
+          (this.inSeason(entry, this.monthDay(now)) &&
+            (!entry.accessGroup || holds("member")))
+        );
+      default:
+        return false;
+    }
+  }
+
+  // Entry filter matching what canView() allows, apart from the viewer's
+  // own entries and the status, which listings filter on themselves.
+  // Admins get no restriction.
+  filter(viewer, now = new Date()) {
+    if (viewer.isAdmin) return {};
+
+    const member = this.groupIds(viewer, "member");
+    const initiated = this.groupIds(viewer, "initiated");
+    const custodian = this.groupIds(viewer, "custodian");
+    const inGroups = (ids) => ({ accessGroup: { $in: ids } });
+
+    const allowed = [
+      { visibility: "public" },
+      {
+        visibility: "seasonal",
+        inSeason: this.monthDay(now),
+        $or: [{ accessGroup: null }].concat(
+          member.length ? inGroups(member) : []
+        ),
+      },
+    ];
+    if (member.length) {
+      allowed.push({ visibility: "community", ...inGroups(member) });
+    }
+    if (initiated.length) {
+      allowed.push({ visibility: "initiated", ...inGroups(initiated) });
+    }
+    if (custodian.length) {
+      allowed.push({ visibility: "seasonal", ...inGroups(custodian) });
+    }
+
+    return { $or: allowed };
+  }
+}
+
+module.exports = new EntryAccess();
+module.exports.EntryAccess = EntryAccess;
+module.exports.PROTOCOL_TIERS = PROTOCOL_TIERS;
@@ -0,0 +1,65 @@
+// Base class for AI providers. Every AI feature talks to a provider through
+// complete(), so controllers never touch an SDK directly. Adapters live in
+// ./providers and are picked up by name (see ./index.js).
+class AIProvider {
+  static id = "base";
+
+  static defaultModel = null;
+
+  constructor({ model } = {}) {
+    this.model = model || this.constructor.defaultModel;
+  }
+
+  // Provider id, e.g. "openai"
+  get name() {
+    return this.constructor.id;
+  }
+
+  // Send a system prompt plus chat messages and return
+  // { text, provider, model, usage: { inputTokens, outputTokens } }.
+  // `json: true` is a hint that the reply must be JSON; providers with a
+  // JSON mode turn it on, the rest rely on the prompt.
+  async complete({
+    system,
+    messages,
+    maxTokens,
+    temperature,
+    signal,
+    json,
+  } = {}) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  // Yield the completion as text deltas. Providers without native
+  // streaming send the whole answer as a single delta. Aborting `signal`
+  // cancels the upstream request.
+  async *stream(options = {}) {
+    const { text } = await this.complete(options);
+    if (text) yield text;
+  }
+
+  // Messages as { role: "user" | "assistant", content: string }; system
+  // messages are not allowed here and go in the `system` option instead
+  normalizeMessages(messages = []) {
+    return messages
+      .filter((message) => message && message.content)
+      .map((message) => ({
+        role: message.role === "assistant" ? "assistant" : "user",
+        content: String(message.content),
+      }));
+  }
+
+  result(text, usage = {}) {
+    return {
+      text: text || "",
+      provider: this.name,
+      model: this.model,
+      usage: {
+        inputTokens: usage.inputTokens ?? null,
+        outputTokens: usage.outputTokens ?? null,
+      },
+    };
+  }
+}
+
+module.exports = AIProvider;
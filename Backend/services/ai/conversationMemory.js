@@ -0,0 +1,179 @@
+const Conversation = require("../../models/Conversation");
+const LRUCache = require("../../utils/lruCache");
+const {
+  estimateTokens,
+  estimateMessageTokens,
+  contextWindowFor,
+} = require("./tokens");
+
+// Tokens kept free for formatting differences between our estimate and the
+// provider's tokenizer
+const SAFETY_MARGIN_TOKENS = 200;
+
+const SUMMARY_SYSTEM_PROMPT =
+  "You maintain a running summary of a conversation about cultural heritage. Merge the previous summary with the new messages into one concise summary. Keep names, places, dates, open questions and anything the user asked to remember. Reply with the summary only.";
+
+// Conversation history for multi-turn Q&A. Recent turns are sent to the
+// provider as real chat messages, as many as fit the model's token budget;
+// turns that no longer fit are folded into a rolling summary stored on the
+// conversation row (summary + summarized_count). Conversations are cached
+// in an LRU so follow-up questions skip the database read.
+class ConversationMemory {
+  constructor({
+    cache = new LRUCache({ maxSize: 200, ttlMs: 30 * 60 * 1000 }),
+    maxHistoryTokens = Number(process.env.CONVERSATION_HISTORY_TOKENS) || 3000,
+    summaryMaxTokens = 400,
+  } = {}) {
+    this.cache = cache;
+    this.maxHistoryTokens = maxHistoryTokens;
+    this.summaryMaxTokens = summaryMaxTokens;
+  }
+
+  // The user's conversation, from the cache when possible
+  async load(conversationId, userId) {
+    const cached = this.cache.get(conversationId);
+    if (cached) return cached.userId === userId ? cached : null;
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      userId,
+    }).lean();
+    if (conversation) this.cache.set(conversationId, conversation);
+    return conversation;
+  }
+
+  forget(conversationId) {
+    this.cache.delete(conversationId);
+  }
+
+  // Tokens left for history once the prompt and the answer are accounted for
+  historyBudget(model, { system, prompt, maxTokens }) {
+    const available =
+      contextWindowFor(model) -
+      maxTokens -
+      estimateTokens(system) -
+      estimateTokens(prompt) -
+      SAFETY_MARGIN_TOKENS;
+    return Math.max(0, Math.min(this.maxHistoryTokens, available));
+  }
+
+  // Split the not-yet-summarized messages into the newest ones that fit the
+  // budget (history) and the older ones that do not (overflow)
+  selectHistory(conversation, budget) {
+    const pending = conversation.messages.slice(
+      conversation.summarizedCount || 0
+    );
+
+    // Leave room for the summary those older turns will be folded into
+    let used = this.summaryMaxTokens;
+    let start = pending.length;
+    while (start > 0) {
+      const cost = estimateMessageTokens(pending[start - 1]);
+      if (used + cost > budget) break;
+      used += cost;
+      start -= 1;
+    }
+
+    // History has to open with a user turn for the providers to accept it
+    while (start < pending.length && pending[start].role !== "user") {
+      start += 1;
+    }
+
+    return { overflow: pending.slice(0, start), history: pending.slice(start) };
+  }
+
+  // Chat history and summary to send with the next question
+  async buildContext(conversation, provider, { budget }) {
+    if (!conversation) return { history: [], summary: null };
+
+    const { overflow, history } = this.selectHistory(conversation, budget);
+    let summary = conversation.summary || null;
+
+    if (overflow.length > 0) {
+      try {
+        summary = await this.summarize(provider, summary, overflow);
+        await this.saveSummary(
+          conversation,
+          summary,
+          (conversation.summarizedCount || 0) + overflow.length
+        );
+      } catch (error) {
+        // The overflow is left out of this request and retried next time
+        console.warn("Failed to summarize conversation:", error.message);
+      }
+    }
+
+    return {
+      history: history.map(({ role, content }) => ({ role, content })),
+      summary,
+    };
+  }
+
+  async summarize(provider, previousSummary, messages) {
+    const transcript = messages
+      .map((message) => `${message.role}: ${message.content}`)
+      .join("\n\n");
+
+    const { text } = await provider.complete({
+      system: SUMMARY_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content: `Previous summary:\n${previousSummary || "None"}\n\nNew messages:\n${transcript}`,
+        },
+      ],
+      maxTokens: this.summaryMaxTokens,
+      temperature: 0.2,
+    });
+
+    return text.trim();
+  }
+
+  async saveSummary(conversation, summary, summarizedCount) {
+    await Conversation.findByIdAndUpdate(conversation._id, {
+      $set: { summary, summarizedCount },
+    });
+    this.cache.set(conversation._id, {
+      ...conversation,
+      summary,
+      summarizedCount,
+    });
+  }
+
+  // Append a question and answer to the conversation, starting a new one
+  // when there is none yet; returns the conversation id
+  async recordExchange(conversation, userId, question, answer) {
+    const exchange = [
+      { role: "user", content: question },
+      { role: "assistant", content: answer },
+    ];
+
+    if (!conversation) {
+      const newConversation = new Conversation({
+        userId,
+        title: question.substring(0, 100),
+        messages: exchange,
+      });
+      const savedConversation = await newConversation.save();
+      this.cache.set(savedConversation._id, savedConversation.toObject());
+      return savedConversation._id;
+    }
+
+    const updatedAt = new Date();
+    await Conversation.findByIdAndUpdate(conversation._id, {
+      $push: { messages: { $each: exchange } },
+      $set: { updatedAt },
+    });
+
+    // Re-read the cached copy: a summary may have been saved meanwhile
+    const current = this.cache.get(conversation._id) || conversation;
+    this.cache.set(conversation._id, {
+      ...current,
+      messages: current.messages.concat(exchange),
+      updatedAt,
+    });
+    return conversation._id;
+  }
+}
+
+module.exports = ConversationMemory;
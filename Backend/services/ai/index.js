@@ -0,0 +1,39 @@
+const fs = require("fs");
+const path = require("path");
+const AIProvider = require("./AIProvider");
+
+const PROVIDERS_DIR = path.join(__dirname, "providers");
+
+// Every file in ./providers is a provider named after the file
+const availableProviders = () =>
+  fs
+    .readdirSync(PROVIDERS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => path.basename(file, ".js"))
+    .sort();
+
+const getProviderClass = (name) => {
+  const id = String(name || "").toLowerCase();
+  if (!availableProviders().includes(id)) {
+    throw new Error(
+      `Unsupported AI provider "${name}". Available: ${availableProviders().join(", ")}`
+    );
+  }
+  return require(path.join(PROVIDERS_DIR, id));
+};
+
+// Build the provider named by AI_PROVIDER (default "openai")
+const createAIProvider = (
+  name = process.env.AI_PROVIDER || "openai",
+  options = {}
+) => {
+  const Provider = getProviderClass(name);
+  return new Provider(options);
+};
+
+module.exports = {
+  AIProvider,
+  availableProviders,
+  getProviderClass,
+  createAIProvider,
+};
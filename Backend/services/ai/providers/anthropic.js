@@ -0,0 +1,60 @@
+const AIProvider = require("../AIProvider");
+
+class AnthropicProvider extends AIProvider {
+  static id = "anthropic";
+
+  static defaultModel = "claude-3-sonnet-20240229";
+
+  constructor({
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    model = process.env.ANTHROPIC_MODEL,
+  } = {}) {
+    super({ model });
+    const { Anthropic } = require("@anthropic-ai/sdk");
+    this.client = new Anthropic({ apiKey });
+  }
+
+  request({ system, messages, maxTokens = 1000, temperature = 0.7 }) {
+    return {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      messages: this.normalizeMessages(messages),
+    };
+  }
+
+  async complete(options) {
+    const message = await this.client.messages.create(this.request(options), {
+      signal: options.signal,
+    });
+
+    const text = message.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+
+    return this.result(text, {
+      inputTokens: message.usage?.input_tokens,
+      outputTokens: message.usage?.output_tokens,
+    });
+  }
+
+  async *stream(options) {
+    const stream = await this.client.messages.create(
+      { ...this.request(options), stream: true },
+      { signal: options.signal }
+    );
+
+    for await (const event of stream) {
+      if (
+        event.type === "content_block_delta" &&
+        event.delta?.type === "text_delta"
+      ) {
+        yield event.delta.text;
+      }
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
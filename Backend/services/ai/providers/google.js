@@ -0,0 +1,62 @@
+const AIProvider = require("../AIProvider");
+
+class GoogleProvider extends AIProvider {
+  static id = "google";
+
+  static defaultModel = "gemini-pro";
+
+  constructor({
+    apiKey = process.env.GOOGLE_AI_API_KEY,
+    model = process.env.GOOGLE_MODEL,
+  } = {}) {
+    super({ model });
+    if (!apiKey) {
+      throw new Error("GOOGLE_AI_API_KEY is not set");
+    }
+    const { GoogleGenerativeAI } = require("@google/generative-ai");
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  // The generative model plus the request body for a completion
+  request({ system, messages, maxTokens = 1000, temperature = 0.7 }) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig: { maxOutputTokens: maxTokens, temperature },
+    });
+
+    // Gemini calls the assistant role "model"
+    const contents = this.normalizeMessages(messages).map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }],
+    }));
+
+    return { model, body: { contents } };
+  }
+
+  async complete(options) {
+    const { model, body } = this.request(options);
+    const result = await model.generateContent(body, {
+      signal: options.signal,
+    });
+
+    return this.result(result.response.text(), {
+      inputTokens: result.response.usageMetadata?.promptTokenCount,
+      outputTokens: result.response.usageMetadata?.candidatesTokenCount,
+    });
+  }
+
+  async *stream(options) {
+    const { model, body } = this.request(options);
+    const result = await model.generateContentStream(body, {
+      signal: options.signal,
+    });
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,93 @@
+const AIProvider = require("../AIProvider");
+const { tokenize } = require("../text");
+
+const abortError = () => {
+  const error = new Error("Request was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+// Offline provider for development and tests. It never calls out and
+// always gives the same answer for the same input: by default the most
+// frequent keywords of the last user message as a comma-separated list,
+// or as { tags: [{ name, confidence }] } when JSON is requested, which is
+// also a valid answer to the tag prompt.
+class MockProvider extends AIProvider {
+  static id = "mock";
+
+  static defaultModel = "mock-1";
+
+  constructor({ model = process.env.MOCK_AI_MODEL, responder } = {}) {
+    super({ model });
+    this.responder = responder || MockProvider.keywordResponder;
+    this.calls = [];
+  }
+
+  static keywordResponder({ messages, json }) {
+    const lastUser = [...messages]
+      .reverse()
+      .find((message) => message.role === "user");
+    const counts = new Map();
+    tokenize(lastUser?.content).forEach((word) =>
+      counts.set(word, (counts.get(word) || 0) + 1)
+    );
+
+    const keywords = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 10);
+
+    if (json) {
+      const top = keywords[0]?.[1] || 1;
+      return JSON.stringify({
+        tags: keywords.map(([word, count]) => ({
+          name: word,
+          confidence: Number((count / top).toFixed(2)),
+        })),
+      });
+    }
+    return keywords.map(([word]) => word).join(", ");
+  }
+
+  async complete({
+    system,
+    messages,
+    maxTokens = 1000,
+    temperature = 0.7,
+    signal,
+    json = false,
+  }) {
+    if (signal?.aborted) throw abortError();
+
+    const request = {
+      system,
+      messages: this.normalizeMessages(messages),
+      maxTokens,
+      temperature,
+      json,
+    };
+    // Keep the last few requests around for tests to inspect
+    this.calls = [...this.calls.slice(-49), request];
+
+    const text = await this.responder(request);
+    const prompt = [system, ...request.messages.map((m) => m.content)].join(
+      "\n"
+    );
+
+    return this.result(text, {
+      inputTokens: Math.ceil(prompt.length / 4),
+      outputTokens: Math.ceil(String(text || "").length / 4),
+    });
+  }
+
+  // Streams the same answer as complete(), one word at a time
+  async *stream(options) {
+    const { text } = await this.complete(options);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (options.signal?.aborted) throw abortError();
+      yield piece;
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,55 @@
+const AIProvider = require("../AIProvider");
+
+class OpenAIProvider extends AIProvider {
+  static id = "openai";
+
+  static defaultModel = "gpt-3.5-turbo";
+
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL,
+  } = {}) {
+    super({ model });
+    const { OpenAI } = require("openai");
+    this.client = new OpenAI({ apiKey });
+  }
+
+  request({ system, messages, maxTokens = 1000, temperature = 0.7, json }) {
+    return {
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+      model: this.model,
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...this.normalizeMessages(messages),
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    };
+  }
+
+  async complete(options) {
+    const completion = await this.client.chat.completions.create(
+      this.request(options),
+      { signal: options.signal }
+    );
+
+    return this.result(completion.choices[0]?.message?.content, {
+      inputTokens: completion.usage?.prompt_tokens,
+      outputTokens: completion.usage?.completion_tokens,
+    });
+  }
+
+  async *stream(options) {
+    const stream = await this.client.chat.completions.create(
+      { ...this.request(options), stream: true },
+      { signal: options.signal }
+    );
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
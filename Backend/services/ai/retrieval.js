@@ -0,0 +1,196 @@
+const Entry = require("../../models/Entry");
+const Tag = require("../../models/Tag");
+const { tokenize, chunkText } = require("./text");
+
+const SEARCH_COLUMNS = "title, description, cultural_context, significance";
+
+// Only these entries are ever used to ground an answer. Entries under an
+// access protocol stay out of prompts even for users who may read them.
+const PUBLIC_ENTRY =
+  "e.visibility = 'public' AND e.status = 'published' AND e.deleted_at IS NULL";
+
+// Entry fields that are split into chunks, with their prompt labels
+const CHUNK_FIELDS = [
+  ["description", "Description"],
+  ["culturalContext", "Cultural context"],
+  ["significance", "Significance"],
+];
+
+// Retrieval-augmented generation over the public knowledge base: finds the
+// entries most relevant to a question (FULLTEXT idx_search + tag matches),
+// ranks their text chunks and formats the best ones as numbered sources.
+class KnowledgeRetriever {
+  constructor({
+    topK = 6,
+    candidateLimit = 20,
+    chunksPerEntry = 2,
+    chunkSize = 600,
+  } = {}) {
+    this.topK = topK;
+    this.candidateLimit = candidateLimit;
+    this.chunksPerEntry = chunksPerEntry;
+    this.chunkSize = chunkSize;
+  }
+
+  // Entries whose text matches the question, scored by MySQL FULLTEXT
+  async searchFulltext(question, limit) {
+    const rows = await Entry.run(
+      `SELECT e.id, MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE) AS score
+       FROM \`entries\` e
+       WHERE ${PUBLIC_ENTRY}
+         AND MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)
+       ORDER BY score DESC
+       LIMIT ${Number(limit)}`,
+      [question, question]
+    );
+    return rows.map((row) => ({ id: row.id, score: Number(row.score) }));
+  }
+
+  // Entries tagged with words (or two-word phrases) from the question
+  async searchTags(terms, limit) {
+    const slugs = [
+      ...new Set(
+        terms
+          .concat(terms.slice(1).map((term, i) => `${terms[i]} ${term}`))
+          .map((term) => Tag.slugify(term))
+          .filter(Boolean)
+      ),
+    ];
+    if (slugs.length === 0) return [];
+
+    const rows = await Entry.run(
+      `SELECT et.entry_id AS id, COUNT(*) AS matches
+       FROM \`entry_tags\` et
+       JOIN \`tags\` t ON t.id = et.tag_id
+       JOIN \`entries\` e ON e.id = et.entry_id
+       WHERE ${PUBLIC_ENTRY} AND t.slug IN (${slugs.map(() => "?").join(", ")})
+       GROUP BY et.entry_id
+       ORDER BY matches DESC
+       LIMIT ${Number(limit)}`,
+      slugs
+    );
+    return rows.map((row) => ({ id: row.id, matches: Number(row.matches) }));
+  }
+
+  // Combine both searches into one score per entry id
+  async rankEntries(question, terms) {
+    const [textHits, tagHits] = await Promise.all([
+      this.searchFulltext(question, this.candidateLimit),
+      this.searchTags(terms, this.candidateLimit),
+    ]);
+
+    const maxText = Math.max(0, ...textHits.map((hit) => hit.score)) || 1;
+    const scores = new Map();
+    textHits.forEach((hit) => scores.set(hit.id, hit.score / maxText));
+    tagHits.forEach((hit) =>
+      scores.set(
+        hit.id,
+        (scores.get(hit.id) || 0) + Math.min(1, hit.matches * 0.5)
+      )
+    );
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.candidateLimit);
+  }
+
+  // Split an entry into labelled chunks and score each against the terms
+  chunkEntry(entry, entryScore, terms) {
+    const header = [
+      entry.category,
+      entry.historicalPeriod,
+      entry.location?.country,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    return CHUNK_FIELDS.flatMap(([field, label]) =>
+      chunkText(entry[field], this.chunkSize).map((text) => {
+        const words = new Set(tokenize(`${entry.title} ${text}`));
+        const overlap = terms.length
+          ? terms.filter((term) => words.has(term)).length / terms.length
+          : 0;
+        return {
+          entryId: entry._id,
+          title: entry.title,
+          header,
+          field: label,
+          text,
+          score: entryScore * (0.4 + 0.6 * overlap),
+        };
+      })
+    );
+  }
+
+  // Top-k chunks for a question, plus the entries they came from
+  async retrieve(question, { topK = this.topK } = {}) {
+    const terms = [...new Set(tokenize(question))];
+    const ranked = await this.rankEntries(question, terms);
+    if (ranked.length === 0) return { chunks: [], sources: [] };
+
+    const entries = await Entry.find({ _id: { $in: ranked.map((r) => r.id) } })
+      .select(
+        "title description category culturalContext significance historicalPeriod location"
+      )
+      .lean();
+    const entryById = new Map(entries.map((entry) => [entry._id, entry]));
+
+    const chunks = ranked
+      .filter((hit) => entryById.has(hit.id))
+      .flatMap((hit) =>
+        this.chunkEntry(entryById.get(hit.id), hit.score, terms)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, this.chunksPerEntry)
+      )
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    // Number sources in order of first appearance so [n] markers are stable
+    const sources = [];
+    chunks.forEach((chunk) => {
+      let source = sources.find((s) => s.entryId === chunk.entryId);
+      if (!source) {
+        source = {
+          index: sources.length + 1,
+          entryId: chunk.entryId,
+          title: chunk.title,
+          score: Number(chunk.score.toFixed(4)),
+        };
+        sources.push(source);
+      }
+      chunk.sourceIndex = source.index;
+    });
+
+    return { chunks, sources };
+  }
+
+  // Prompt block listing the retrieved chunks under their source numbers
+  formatContext(chunks) {
+    if (chunks.length === 0) return "";
+
+    const body = chunks
+      .map(
+        (chunk) =>
+          `[${chunk.sourceIndex}] ${chunk.title}${
+            chunk.header ? ` (${chunk.header})` : ""
+          }\n${chunk.field}: ${chunk.text}`
+      )
+      .join("\n\n");
+
+    return `Knowledge base excerpts (cite them as [1], [2], ...):\n\n${body}`;
+  }
+
+  // Sources the answer actually referenced with [n] markers
+  citedSources(answer, sources) {
+    const cited = new Set(
+      [...String(answer || "").matchAll(/\[(\d+)\]/g)].map((match) =>
+        Number(match[1])
+      )
+    );
+    return sources.filter((source) => cited.has(source.index));
+  }
+}
+
+module.exports = new KnowledgeRetriever();
+module.exports.KnowledgeRetriever = KnowledgeRetriever;
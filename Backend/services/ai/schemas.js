@@ -0,0 +1,167 @@
+const { CATEGORY_NAMES } = require("../../config/categories");
+
+// JSON Schemas for structured AI replies (see ./structured.js)
+
+const text = (maxLength) => ({ type: "string", minLength: 1, maxLength });
+
+const tagName = { type: "string", minLength: 1, maxLength: 50 };
+
+const TAGS_SCHEMA = {
+  type: "object",
+  required: ["tags"],
+  additionalProperties: false,
+  properties: {
+    tags: {
+      type: "array",
+      minItems: 1,
+      maxItems: 15,
+      items: {
+        type: "object",
+        required: ["name", "confidence"],
+        additionalProperties: false,
+        properties: {
+          name: tagName,
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+        },
+      },
+    },
+  },
+};
+
+// A rewrite of one text field: what is wrong with it and a replacement
+const fieldSuggestion = {
+  type: "object",
+  required: ["issues", "proposedText"],
+  additionalProperties: false,
+  properties: {
+    issues: { type: "array", maxItems: 8, items: text(300) },
+    proposedText: text(5000),
+  },
+};
+
+const SUGGESTIONS_SCHEMA = {
+  type: "object",
+  required: [
+    "description",
+    "culturalContext",
+    "recommendedTags",
+    "researchQuestions",
+    "relatedTopics",
+  ],
+  additionalProperties: false,
+  properties: {
+    description: fieldSuggestion,
+    culturalContext: fieldSuggestion,
+    recommendedTags: {
+      type: "array",
+      maxItems: 10,
+      items: {
+        type: "object",
+        required: ["name", "reason"],
+        additionalProperties: false,
+        properties: { name: tagName, reason: text(300) },
+      },
+    },
+    researchQuestions: { type: "array", maxItems: 8, items: text(300) },
+    relatedTopics: {
+      type: "array",
+      maxItems: 8,
+      items: {
+        type: "object",
+        required: ["title", "reason"],
+        additionalProperties: false,
+        properties: { title: text(200), reason: text(300) },
+      },
+    },
+    category: {
+      type: "object",
+      required: ["suggested", "reason"],
+      additionalProperties: false,
+      properties: {
+        suggested: { type: "string", enum: CATEGORY_NAMES },
+        reason: text(300),
+      },
+    },
+  },
+};
+
+// Entry fields the enhance endpoint may rewrite, with the limits of the
+// entry validation rules
+const ENHANCEABLE_FIELDS = {
+  description: { type: "string", minLength: 10, maxLength: 20000 },
+  culturalContext: { type: "string", minLength: 1, maxLength: 20000 },
+  significance: { type: "string", minLength: 1, maxLength: 20000 },
+  traditions: { type: "array", maxItems: 50, items: text(500) },
+  materials: { type: "array", maxItems: 50, items: text(100) },
+  techniques: { type: "array", maxItems: 50, items: text(500) },
+};
+
+// Rewrites keyed by field; fields that need no change are left out
+const ENHANCEMENT_SCHEMA = {
+  type: "object",
+  required: ["summary", "fields"],
+  additionalProperties: false,
+  properties: {
+    summary: text(1000),
+    fields: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(ENHANCEABLE_FIELDS).map(([field, proposed]) => [
+          field,
+          {
+            type: "object",
+            required: ["proposed", "reason"],
+            additionalProperties: false,
+            properties: { proposed, reason: text(500) },
+          },
+        ])
+      ),
+    },
+  },
+};
+
+// Concerns the sensitivity review looks for, and how serious a finding is
+const SENSITIVITY_CATEGORIES = [
+  "disrespectful_language",
+  "sacred_or_restricted_knowledge",
+  "missing_sources",
+  "stereotyping",
+];
+const SEVERITIES = ["low", "medium", "high"];
+
+const SENSITIVITY_SCHEMA = {
+  type: "object",
+  required: ["summary", "findings"],
+  additionalProperties: false,
+  properties: {
+    summary: text(1000),
+    findings: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["category", "severity", "explanation"],
+        additionalProperties: false,
+        properties: {
+          category: { type: "string", enum: SENSITIVITY_CATEGORIES },
+          severity: { type: "string", enum: SEVERITIES },
+          field: text(50),
+          excerpt: text(300),
+          explanation: text(500),
+          suggestion: text(500),
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  TAGS_SCHEMA,
+  SUGGESTIONS_SCHEMA,
+  ENHANCEABLE_FIELDS,
+  ENHANCEMENT_SCHEMA,
+  SENSITIVITY_CATEGORIES,
+  SEVERITIES,
+  SENSITIVITY_SCHEMA,
+};
@@ -0,0 +1,179 @@
+const { createAIProvider } = require("./index");
+const { completeJSON } = require("./structured");
+const { SENSITIVITY_SCHEMA, SEVERITIES } = require("./schemas");
+const entryAccess = require("../access");
+
+// Entry text the review reads
+const REVIEWED_FIELDS = [
+  "title",
+  "description",
+  "culturalContext",
+  "significance",
+  "traditions",
+  "materials",
+  "techniques",
+];
+
+const SYSTEM_PROMPT = `You review user-submitted cultural heritage entries before they are published. Be respectful of all cultures and flag only real problems:
+- disrespectful_language: derogatory, demeaning or outdated terms for a people, belief or practice
+- sacred_or_restricted_knowledge: ceremonies, objects, songs, names or places that the community restricts to initiated members, a gender, a family or a season, or that indigenous communities own and have not chosen to share
+- missing_sources: claims that need a source (especially about a community's beliefs or history) with none given
+- stereotyping: generalizations, exoticizing or "primitive"/"vanishing" framing of a culture
+Use severity "high" only for content that should not be published without a moderator's review: slurs, disclosure of restricted sacred knowledge, or demeaning stereotypes. Use "medium" for problems the author should fix and "low" for minor suggestions. Return no findings for an entry that is fine.`;
+
+// Highest severity among findings, or "none"
+const highestSeverity = (findings) =>
+  findings.reduce(
+    (highest, finding) =>
+      SEVERITIES.indexOf(finding.severity) > SEVERITIES.indexOf(highest)
+        ? finding.severity
+        : highest,
+    "none"
+  );
+
+// Automated cultural sensitivity and appropriation check run when an entry
+// is published. Combines the AI provider's findings with simple rules that
+// do not need a model (an entry with no sources at all).
+class SensitivityReviewer {
+  constructor({ blockingSeverity = "high" } = {}) {
+    this.blockingSeverity = blockingSeverity;
+    this._provider = undefined;
+  }
+
+  // Provider named by AI_PROVIDER, created on first use
+  get provider() {
+    if (this._provider === undefined) {
+      try {
+        this._provider = createAIProvider();
+      } catch (error) {
+        console.error("Sensitivity review has no AI provider:", error.message);
+        this._provider = null;
+      }
+    }
+    return this._provider;
+  }
+
+  set provider(provider) {
+    this._provider = provider;
+  }
+
+  // SENSITIVITY_REVIEW=false turns the check off
+  get enabled() {
+    return process.env.SENSITIVITY_REVIEW !== "false";
+  }
+
+  // Whether findings of this severity hold an entry for moderator review
+  isBlocking(severity) {
+    return (
+      SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(this.blockingSeverity)
+    );
+  }
+
+  ruleFindings(entry) {
+    const findings = [];
+    if (!entry.sources?.length && !entry.references?.length) {
+      findings.push({
+        category: "missing_sources",
+        severity: "medium",
+        field: "sources",
+        explanation: "The entry does not cite any sources or references.",
+        suggestion:
+          "Add where this knowledge comes from: community members, publications, archives or recordings.",
+        source: "rule",
+      });
+    }
+    return findings;
+  }
+
+  buildPrompt(entry) {
+    const fields = REVIEWED_FIELDS.filter((field) => {
+      const value = entry[field];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    })
+      .map((field) => `${field}: ${JSON.stringify(entry[field])}`)
+      .join("\n");
+
+    return `Review this entry.
+
+Category: ${entry.category}
+Location: ${entry.location?.name || "Not provided"}, ${
+      entry.location?.country || "Unknown"
+    }
+Sources given: ${(entry.sources?.length || 0) + (entry.references?.length || 0)}
+
+${fields}
+
+Return a JSON object with:
+- summary: one or two sentences on the overall result
+- findings: one object per problem with category, severity, the field it is in, a short excerpt of the problematic text, an explanation and a suggestion for the author`;
+  }
+
+  // Review an entry. Returns { summary, findings, highestSeverity, blocking,
+  // provider, model, error }, or null when the check is off or no AI
+  // provider is configured. A failed AI call is reported in `error` and
+  // treated as blocking so a person looks at the entry instead. Entries
+  // under an access protocol only get the rule checks.
+  async review(entry) {
+    if (!this.enabled || !this.provider) return null;
+
+    let findings = this.ruleFindings(entry);
+    let summary = null;
+    let error = null;
+    let model = null;
+
+    if (entryAccess.isProtocolTier(entry)) {
+      const highest = highestSeverity(findings);
+      return {
+        summary:
+          "Rule checks only: the entry's access protocol keeps it from AI review.",
+        findings,
+        highestSeverity: highest,
+        blocking: this.isBlocking(highest),
+        provider: "rules",
+        model: null,
+        error: null,
+      };
+    }
+
+    try {
+      const result = await completeJSON(this.provider, {
+        system: SYSTEM_PROMPT,
+        messages: [{ role: "user", content: this.buildPrompt(entry) }],
+        schema: SENSITIVITY_SCHEMA,
+        maxTokens: 2000,
+        temperature: 0.2,
+      });
+      summary = result.data.summary;
+      model = result.model;
+
+      const aiFindings = result.data.findings.map((finding) => ({
+        ...finding,
+        source: "ai",
+      }));
+      // The model's own missing-sources finding is more specific than the rule's
+      if (
+        aiFindings.some((finding) => finding.category === "missing_sources")
+      ) {
+        findings = [];
+      }
+      findings = [...findings, ...aiFindings];
+    } catch (reviewError) {
+      console.warn("Sensitivity review failed:", reviewError.message);
+      error = reviewError.message;
+    }
+
+    const highest = highestSeverity(findings);
+    return {
+      summary,
+      findings,
+      highestSeverity: highest,
+      blocking: Boolean(error) || this.isBlocking(highest),
+      provider: this.provider.name,
+      model,
+      error,
+    };
+  }
+}
+
+module.exports = new SensitivityReviewer();
+module.exports.SensitivityReviewer = SensitivityReviewer;
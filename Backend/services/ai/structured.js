@@ -0,0 +1,192 @@
+const { UpstreamAIError } = require("../../utils/errors");
+
+// Validate a value against a small JSON Schema subset: type, properties,
+// required, additionalProperties, items, enum, minimum/maximum,
+// minLength/maxLength and minItems/maxItems. Returns a list of problems.
+const validateSchema = (value, schema, path = "$") => {
+  const errors = [];
+  const type = Array.isArray(value)
+    ? "array"
+    : value === null
+      ? "null"
+      : typeof value;
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0) {
+    const matches = types.some(
+      (expected) =>
+        expected === type || (expected === "integer" && Number.isInteger(value))
+    );
+    if (!matches) {
+      errors.push(`${path} should be ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (type === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(
+        `${path} should have at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+      );
+    }
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(child, properties[key], `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Pull the JSON document out of a model reply: drop code fences and any
+// prose around the outermost object or array
+const extractJSON = (text) => {
+  const unfenced = String(text || "")
+    .replace(/```(?:json)?/gi, "")
+    .trim();
+  const start = unfenced.search(/[[{]/);
+  if (start === -1) return unfenced;
+
+  const close = unfenced[start] === "{" ? "}" : "]";
+  const end = unfenced.lastIndexOf(close);
+  return end > start ? unfenced.slice(start, end + 1) : unfenced.slice(start);
+};
+
+// Fix the mistakes models commonly make in JSON: smart quotes, trailing
+// commas, unquoted or single-quoted keys, single-quoted values and
+// unterminated brackets
+const repairJSON = (text) => {
+  let repaired = text
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/,\s*([}\]])/g, "$1")
+    .replace(/([{,]\s*)'([^'"\n]+?)'\s*:/g, '$1"$2":')
+    .replace(/([{,]\s*)([A-Za-z_][\w]*)\s*:/g, '$1"$2":')
+    .replace(/:\s*'([^'"\n]*)'(\s*[,}\]])/g, ': "$1"$2');
+
+  // Close anything left open by a truncated reply
+  const stack = [];
+  let inString = false;
+  for (let i = 0; i < repaired.length; i++) {
+    const char = repaired[i];
+    if (inString) {
+      if (char === "\\") i += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') inString = true;
+    else if (char === "{") stack.push("}");
+    else if (char === "[") stack.push("]");
+    else if (char === "}" || char === "]") stack.pop();
+  }
+  if (inString) repaired += '"';
+  return repaired.replace(/,\s*$/, "") + stack.reverse().join("");
+};
+
+// Parse a reply, trying a repaired version if the raw one is not JSON
+const parseJSON = (text) => {
+  const candidate = extractJSON(text);
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    try {
+      return { value: JSON.parse(repairJSON(candidate)), repaired: true };
+    } catch (repairError) {
+      return { error: `Reply is not valid JSON: ${error.message}` };
+    }
+  }
+};
+
+// Ask the provider for JSON matching `schema`. Replies that do not parse or
+// validate are sent back with the problems for another attempt; after
+// `retries` failed retries an UpstreamAIError is thrown.
+const completeJSON = async (
+  provider,
+  { system, messages, schema, retries = 2, ...options }
+) => {
+  const instructions = `${system}
+
+Respond with a single JSON value and nothing else - no markdown, no comments. It must match this JSON Schema:
+${JSON.stringify(schema)}`;
+
+  const conversation = [...messages];
+  let problems = [];
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const completion = await provider.complete({
+      ...options,
+      system: instructions,
+      messages: conversation,
+      json: true,
+    });
+
+    const { value, error } = parseJSON(completion.text);
+    problems = error ? [error] : validateSchema(value, schema);
+    if (problems.length === 0) {
+      return { ...completion, data: value, attempts: attempt + 1 };
+    }
+
+    conversation.push(
+      { role: "assistant", content: completion.text || "(empty reply)" },
+      {
+        role: "user",
+        content: `That reply was invalid:\n- ${problems
+          .slice(0, 10)
+          .join("\n- ")}\nReply again with corrected JSON only.`,
+      }
+    );
+  }
+
+  throw new UpstreamAIError("AI service returned invalid structured output", {
+    code: "AI_INVALID_OUTPUT",
+    details: problems.slice(0, 10),
+  });
+};
+
+module.exports = {
+  validateSchema,
+  extractJSON,
+  repairJSON,
+  parseJSON,
+  completeJSON,
+};
@@ -0,0 +1,60 @@
+// Small text helpers shared by the retrieval, embedding and mock AI code
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can could did do does for from had has " +
+    "have how i if in into is it its me my no not of on or our so than " +
+    "that the their them then there these they this those to too was we " +
+    "were what when where which who whom why will with would you your " +
+    "about also any been being each more most other over some such only " +
+    "please provide return tell explain describe"
+  ).split(" ")
+);
+
+// Lower-cased word tokens of at least `minLength` letters/digits
+const tokenize = (text, { minLength = 3, keepStopWords = false } = {}) =>
+  (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter(
+    (word) =>
+      word.length >= minLength && (keepStopWords || !STOP_WORDS.has(word))
+  );
+
+// Split text into chunks of at most `maxChars`, breaking on paragraphs
+// first and sentences second so a chunk reads on its own
+const chunkText = (text, maxChars = 600) => {
+  const clean = String(text || "").trim();
+  if (!clean) return [];
+
+  const pieces = clean
+    .split(/\n\s*\n/)
+    .flatMap((paragraph) =>
+      paragraph.length <= maxChars
+        ? [paragraph]
+        : paragraph.match(/[^.!?]+(?:[.!?]+|$)/g) || [paragraph]
+    )
+    .map((piece) => piece.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = "";
+  pieces.forEach((piece) => {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      current = "";
+    }
+    // A single sentence longer than the limit is hard-wrapped
+    while (piece.length > maxChars) {
+      chunks.push(piece.slice(0, maxChars));
+      piece = piece.slice(maxChars);
+    }
+    current = current ? `${current} ${piece}` : piece;
+  });
+  if (current) chunks.push(current);
+
+  return chunks;
+};
+
+module.exports = { STOP_WORDS, tokenize, chunkText };
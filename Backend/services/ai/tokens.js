@@ -0,0 +1,39 @@
+// Rough token accounting. Providers tokenize differently, so this uses the
+// common ~4 characters per token estimate plus a small per-message overhead.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Context window sizes by model name prefix; first match wins
+const CONTEXT_WINDOWS = [
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo|^gpt-4-\d{4}-preview/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/^claude/, 200000],
+  [/^gemini-1\.5/, 1000000],
+  [/^gemini/, 32760],
+  [/^mock/, 4096],
+];
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const estimateTokens = (text) =>
+  Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+
+const estimateMessageTokens = (message) =>
+  MESSAGE_OVERHEAD_TOKENS + estimateTokens(message?.content);
+
+const contextWindowFor = (model) => {
+  const match = CONTEXT_WINDOWS.find(([pattern]) =>
+    pattern.test(String(model || ""))
+  );
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+};
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens,
+  contextWindowFor,
+};
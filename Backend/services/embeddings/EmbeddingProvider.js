@@ -0,0 +1,29 @@
+// Base class for embedding providers. embed() turns a batch of texts into
+// vectors of `dimensions` numbers; adapters live in ./providers and are
+// picked up by name (see ./index.js).
+class EmbeddingProvider {
+  static id = "base";
+
+  static defaultModel = null;
+
+  constructor({ model, dimensions } = {}) {
+    this.model = model || this.constructor.defaultModel;
+    this.dimensions = dimensions || null;
+  }
+
+  // Provider id, e.g. "local"
+  get name() {
+    return this.constructor.id;
+  }
+
+  async embed(texts) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+}
+
+module.exports = EmbeddingProvider;
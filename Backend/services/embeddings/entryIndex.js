@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const database = require("../../config/db");
+const Entry = require("../../models/Entry");
+const EntryEmbedding = require("../../models/EntryEmbedding");
+const entryAccess = require("../access");
+const { chunkText } = require("../ai/text");
+const { createEmbeddingProvider, cosineSimilarity } = require("./index");
+
+// Entry fields that are chunked and embedded
+const EMBEDDED_FIELDS = ["description", "culturalContext", "significance"];
+
+const parseVector = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+// Keeps entry_embeddings in sync with entries and answers similarity
+// queries. Vectors are compared in memory, which is fine for a knowledge
+// base of a few thousand entries; swap loadChunks() for a vector store if
+// it grows past that.
+class EntryEmbeddingIndex {
+  constructor({ chunkSize = 800 } = {}) {
+    this.chunkSize = chunkSize;
+    this._provider = undefined;
+  }
+
+  // Provider named by EMBEDDING_PROVIDER, created on first use
+  get provider() {
+    if (this._provider === undefined) {
+      try {
+        this._provider = createEmbeddingProvider();
+      } catch (error) {
+        console.error("Failed to initialize embeddings:", error.message);
+        this._provider = null;
+      }
+    }
+    return this._provider;
+  }
+
+  set provider(provider) {
+    this._provider = provider;
+  }
+
+  requireProvider() {
+    if (!this.provider) {
+      throw new Error("Embedding provider not available");
+    }
+    return this.provider;
+  }
+
+  // The texts embedded for an entry: a summary chunk (title, category and
+  // tags) followed by chunks of each long-form field
+  buildChunks(entry) {
+    const summary = [
+      entry.title,
+      entry.category,
+      entry.location?.country,
+      (entry.tags || []).join(", "),
+    ]
+      .filter(Boolean)
+      .join(". ");
+
+    return [{ field: "summary", content: summary }].concat(
+      EMBEDDED_FIELDS.flatMap((field) =>
+        chunkText(entry[field], this.chunkSize).map((content) => ({
+          field,
+          content,
+        }))
+      )
+    );
+  }
+
+  // (Re-)embed one entry; skipped when its text has not changed. Only
+  // public, published entries are sent to the embedding provider, the same
+  // ones retrieval reads; any other entry loses the chunks it had.
+  async indexEntry(entry, { force = false } = {}) {
+    if (entry.visibility !== "public" || entry.status !== "published") {
+      await EntryEmbedding.run(
+        "DELETE FROM `entry_embeddings` WHERE entry_id = ?",
+        [entry._id]
+      );
+      return { indexed: false, chunks: 0 };
+    }
+
+    const provider = this.requireProvider();
+    const chunks = this.buildChunks(entry);
+    const contentHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(chunks))
+      .digest("hex");
+
+    if (!force) {
+      const existing = await EntryEmbedding.findOne({
+        entry: entry._id,
+        provider: provider.name,
+        model: provider.model,
+      })
+        .select("contentHash")
+        .lean();
+      if (existing && existing.contentHash === contentHash) {
+        return { indexed: false, chunks: chunks.length };
+      }
+    }
+
+    const vectors = await provider.embed(chunks.map((chunk) => chunk.content));
+
+    await database.transaction(async (connection) => {
+      await EntryEmbedding.run(
+        "DELETE FROM `entry_embeddings` WHERE entry_id = ?",
+        [entry._id],
+        connection
+      );
+      for (const [chunkIndex, chunk] of chunks.entries()) {
+        const row = new EntryEmbedding({
+          entry: entry._id,
+          chunkIndex,
+          field: chunk.field,
+          content: chunk.content,
+          contentHash,
+          provider: provider.name,
+          model: provider.model,
+          dimensions: vectors[chunkIndex].length,
+          embedding: vectors[chunkIndex],
+        });
+        await row.persist(connection);
+      }
+    });
+
+    return { indexed: true, chunks: chunks.length };
+  }
+
+  // Embedded chunks of public, published entries for the current model
+  async loadChunks({ excludeEntryId = null } = {}) {
+    const provider = this.requireProvider();
+    const rows = await EntryEmbedding.run(
+      `SELECT ee.entry_id, ee.field, ee.content, ee.embedding
+       FROM \`entry_embeddings\` ee
+       JOIN \`entries\` e ON e.id = ee.entry_id
+       WHERE ee.provider = ? AND ee.model = ?
+         AND e.visibility = 'public' AND e.status = 'published' AND e.deleted_at IS NULL
+         ${excludeEntryId ? "AND ee.entry_id <> ?" : ""}`,
+      [provider.name, provider.model].concat(
+        excludeEntryId ? [excludeEntryId] : []
+      )
+    );
+    return rows.map((row) => ({
+      entryId: row.entry_id,
+      field: row.field,
+      content: row.content,
+      vector: parseVector(row.embedding),
+    }));
+  }
+
+  // Best-matching chunk per entry, highest similarity first
+  rank(queryVector, chunks, limit) {
+    const best = new Map();
+    chunks.forEach((chunk) => {
+      if (chunk.vector.length !== queryVector.length) return;
+      const score = cosineSimilarity(queryVector, chunk.vector);
+      const current = best.get(chunk.entryId);
+      if (!current || score > current.score) {
+        best.set(chunk.entryId, {
+          entryId: chunk.entryId,
+          score: Number(score.toFixed(4)),
+          field: chunk.field,
+          content: chunk.content,
+        });
+      }
+    });
+
+    return [...best.values()]
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Public entries most similar to a free-text query
+  async search(query, { limit = 10 } = {}) {
+    const queryVector = await this.requireProvider().embedOne(query);
+    return this.rank(queryVector, await this.loadChunks(), limit);
+  }
+
+  // Public entries most similar to an entry, using the mean of its vectors
+  async related(entryId, { limit = 4 } = {}) {
+    const provider = this.requireProvider();
+    const own = await EntryEmbedding.find({
+      entry: entryId,
+      provider: provider.name,
+      model: provider.model,
+    })
+      .select("embedding")
+      .lean();
+    if (own.length === 0) return [];
+
+    const vectors = own.map((row) => parseVector(row.embedding));
+    const mean = vectors[0].map(
+      (_, i) =>
+        vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length
+    );
+
+    return this.rank(
+      mean,
+      await this.loadChunks({ excludeEntryId: entryId }),
+      limit
+    );
+  }
+
+  // Re-embed every entry, e.g. after switching provider or model
+  async reindexAll({ force = true } = {}) {
+    const entries = await Entry.find({})
+      .select(
+        "title category location tags description culturalContext significance visibility status"
+      )
+      .lean();
+    let indexed = 0;
+    for (const entry of entries) {
+      const result = await this.indexEntry(entry, { force });
+      if (result.indexed) indexed += 1;
+    }
+    return { total: entries.length, indexed };
+  }
+}
+
+module.exports = new EntryEmbeddingIndex();
+module.exports.EntryEmbeddingIndex = EntryEmbeddingIndex;
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const EmbeddingProvider = require("./EmbeddingProvider");
+
+const PROVIDERS_DIR = path.join(__dirname, "providers");
+
+// Every file in ./providers is a provider named after the file
+const availableProviders = () =>
+  fs
+    .readdirSync(PROVIDERS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => path.basename(file, ".js"))
+    .sort();
+
+// Build the provider named by EMBEDDING_PROVIDER (default "local")
+const createEmbeddingProvider = (
+  name = process.env.EMBEDDING_PROVIDER || "local",
+  options = {}
+) => {
+  const id = String(name || "").toLowerCase();
+  if (!availableProviders().includes(id)) {
+    throw new Error(
+      `Unsupported embedding provider "${name}". Available: ${availableProviders().join(", ")}`
+    );
+  }
+  const Provider = require(path.join(PROVIDERS_DIR, id));
+  return new Provider(options);
+};
+
+// Cosine similarity of two equal-length vectors
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+  EmbeddingProvider,
+  availableProviders,
+  createEmbeddingProvider,
+  cosineSimilarity,
+};
@@ -0,0 +1,60 @@
+const EmbeddingProvider = require("../EmbeddingProvider");
+const { tokenize } = require("../../ai/text");
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Offline embedder using the hashing trick: words and word pairs are hashed
+// into a fixed number of buckets, weighted by sublinear term frequency and
+// L2-normalised. Deterministic and dependency-free, so it works in tests
+// and without an API key; texts that share vocabulary end up close.
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  static id = "local";
+
+  static defaultModel = "hashing-tf-v1";
+
+  constructor({
+    model,
+    dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || 384,
+  } = {}) {
+    super({ model, dimensions });
+  }
+
+  vectorize(text) {
+    const words = tokenize(text);
+    const features = words.concat(
+      words.slice(1).map((word, i) => `${words[i]} ${word}`)
+    );
+
+    const counts = new Map();
+    features.forEach((feature) =>
+      counts.set(feature, (counts.get(feature) || 0) + 1)
+    );
+
+    const vector = new Array(this.dimensions).fill(0);
+    counts.forEach((count, feature) => {
+      const h = hash(feature);
+      // The top bit picks the sign so collisions tend to cancel out
+      const sign = h & 0x80000000 ? -1 : 1;
+      // Word pairs count half as much as single words
+      const weight = (1 + Math.log(count)) * (feature.includes(" ") ? 0.5 : 1);
+      vector[h % this.dimensions] += sign * weight;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm ? vector.map((x) => Number((x / norm).toFixed(6))) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map((text) => this.vectorize(text));
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,33 @@
+const EmbeddingProvider = require("../EmbeddingProvider");
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  static id = "openai";
+
+  static defaultModel = "text-embedding-3-small";
+
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_EMBEDDING_MODEL,
+    dimensions = Number(process.env.EMBEDDING_DIMENSIONS) || 1536,
+  } = {}) {
+    super({ model, dimensions });
+    const { OpenAI } = require("openai");
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async embed(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      dimensions: this.dimensions,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
@@ -0,0 +1,95 @@
+const sharp = require("sharp");
+
+// Widths of the responsive variants generated for images wider than them
+const RESPONSIVE_WIDTHS = [320, 640, 960, 1280];
+const THUMBNAIL_SIZE = 200;
+
+// Encoder options of the formats originals are re-encoded in
+const ENCODERS = {
+  jpeg: { quality: 90, mozjpeg: true },
+  png: {},
+  webp: { quality: 90 },
+  gif: {},
+};
+
+// Server-side image pipeline. Every uploaded original is re-encoded
+// upright and without metadata (EXIF camera details and GPS position,
+// XMP, IPTC) before it is stored, whatever the storage driver. For drivers
+// that cannot transform images on the fly it also renders a square
+// thumbnail and WebP variants at the responsive widths.
+class ImageProcessor {
+  // Responsive widths worth generating for an image `width` pixels wide
+  widthsFor(width) {
+    return width ? RESPONSIVE_WIDTHS.filter((size) => size < width) : [];
+  }
+
+  // Height of an image scaled down to `width`
+  scaledHeight(image, width) {
+    return image.width && image.height
+      ? Math.round((image.height * width) / image.width)
+      : null;
+  }
+
+  // The original re-encoded in its own format without metadata:
+  // { buffer, width, height, format }. Animated GIF and WebP keep their
+  // frames; they carry no orientation to apply.
+  async strip(input) {
+    const { format, pages = 1 } = await sharp(input).metadata();
+    if (!ENCODERS[format]) {
+      throw new Error(`Unsupported image format "${format}"`);
+    }
+
+    const animated = pages > 1;
+    // rotate() applies the EXIF orientation; sharp writes no metadata
+    // unless asked to
+    const image = animated ? sharp(input, { animated }) : sharp(input).rotate();
+    const { data, info } = await image
+      .toFormat(format, ENCODERS[format])
+      .toBuffer({ resolveWithObject: true });
+    await this.assertStripped(data);
+
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.pageHeight || info.height,
+      format,
+    };
+  }
+
+  // Refuse to store an image that still carries metadata
+  async assertStripped(buffer) {
+    const { exif, xmp, iptc } = await sharp(buffer).metadata();
+    if (exif || xmp || iptc) {
+      throw new Error("Image metadata could not be removed");
+    }
+  }
+
+  async process(input) {
+    const original = await this.strip(input);
+
+    const thumbnail = await this.render(original.buffer, {
+      width: THUMBNAIL_SIZE,
+      height: THUMBNAIL_SIZE,
+      fit: "cover",
+      position: "attention",
+    });
+    const variants = [];
+    for (const width of this.widthsFor(original.width)) {
+      variants.push(await this.render(original.buffer, { width }));
+    }
+
+    return { original, thumbnail, variants };
+  }
+
+  async render(input, resize) {
+    const { data, info } = await sharp(input)
+      .resize(resize)
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  }
+}
+
+module.exports = new ImageProcessor();
+module.exports.ImageProcessor = ImageProcessor;
+module.exports.RESPONSIVE_WIDTHS = RESPONSIVE_WIDTHS;
@@ -0,0 +1,198 @@
+const Media = require("../models/Media");
+const { createStorageDriver, MEDIA_TYPES } = require("./storage");
+const imageProcessor = require("./images");
+const { AppError, ValidationError } = require("../utils/errors");
+
+// Public id of a generated image next to its original, e.g.
+// "entries/images/entry_tea_1.jpg" -> "entries/images/entry_tea_1_640w.webp"
+const variantId = (publicId, label) =>
+  `${publicId.replace(/\.[^./]+$/, "")}_${label}.webp`;
+
+// Uploads entry media through the configured storage driver, turns
+// uploaded files into media rows and removes the files again when their
+// rows go away.
+class MediaService {
+  constructor() {
+    this.uploaders = new Map();
+    this.drivers = new Map();
+    this._driver = undefined;
+  }
+
+  // Storage driver named by STORAGE_DRIVER, or null when it cannot be built
+  get driver() {
+    if (this._driver === undefined) {
+      try {
+        this._driver = createStorageDriver();
+      } catch (error) {
+        console.error("❌ Media storage unavailable:", error.message);
+        this._driver = null;
+      }
+    }
+    return this._driver;
+  }
+
+  set driver(driver) {
+    this._driver = driver;
+    this.uploaders.clear();
+  }
+
+  // Driver that stored a media row. Rows keep the driver's name, so files
+  // stay removable after switching drivers.
+  driverFor(name) {
+    if (!name || name === this.driver?.name) return this.driver;
+    if (!this.drivers.has(name)) {
+      this.drivers.set(name, createStorageDriver(name));
+    }
+    return this.drivers.get(name);
+  }
+
+  get types() {
+    return Object.keys(MEDIA_TYPES);
+  }
+
+  // Multer middleware storing a single `file` field for a media type
+  uploader(mediaType) {
+    if (!this.uploaders.has(mediaType)) {
+      const upload = this.driver.uploader(mediaType);
+      this.uploaders.set(mediaType, upload.single("file"));
+    }
+    return this.uploaders.get(mediaType);
+  }
+
+  assertReady() {
+    if (!this.driver?.isReady()) {
+      throw new AppError(
+        "Media storage is not available. Please check configuration.",
+        { statusCode: 503, code: "STORAGE_UNAVAILABLE" }
+      );
+    }
+  }
+
+  // Media row fields for a file multer stored through the driver. Images
+  // also get their dimensions and variants; an image that cannot be
+  // processed is removed again and refused.
+  async describe(file, mediaType) {
+    const fields = {
+      mediaType,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      ...(await this.driver.describe(file, mediaType)),
+      storage: this.driver.name,
+    };
+    if (mediaType !== "image") return fields;
+
+    try {
+      return { ...fields, ...(await this.processImage(fields)) };
+    } catch (error) {
+      console.warn(
+        `Could not process image ${fields.publicId}:`,
+        error.message
+      );
+      await this.removeAssets([fields]);
+      throw new ValidationError("The uploaded image could not be processed");
+    }
+  }
+
+  // Thumbnail and responsive variants of a stored image. Drivers that
+  // transform images get variant URLs for the widths below the image's
+  // own; for the others the image is processed here: the original is
+  // replaced by an EXIF-stripped copy and the generated files are written
+  // next to it.
+  async processImage(fields) {
+    const { publicId } = fields;
+
+    if (this.driver.transformsImages) {
+      return {
+        variants: imageProcessor.widthsFor(fields.width).map((width) => ({
+          label: `${width}w`,
+          width,
+          height: imageProcessor.scaledHeight(fields, width),
+          url: this.driver.variantUrl(publicId, width),
+        })),
+      };
+    }
+
+    const { original, thumbnail, variants } = await imageProcessor.process(
+      await this.driver.read(publicId)
+    );
+    await this.driver.write(publicId, original.buffer);
+
+    const generated = [];
+    for (const [label, image] of [["thumbnail", thumbnail]].concat(
+      variants.map((variant) => [`${variant.width}w`, variant])
+    )) {
+      const id = variantId(publicId, label);
+      await this.driver.write(id, image.buffer);
+      generated.push({
+        label,
+        width: image.width,
+        height: image.height,
+        bytes: image.buffer.length,
+        url: this.driver.url(id),
+        publicId: id,
+      });
+    }
+
+    return {
+      fileSize: original.buffer.length,
+      width: original.width,
+      height: original.height,
+      thumbnailUrl: generated[0].url,
+      variants: generated,
+      variantsSize: generated.reduce((sum, image) => sum + image.bytes, 0),
+    };
+  }
+
+  // Delete the stored files behind media rows, generated variants
+  // included. Failures are logged and skipped so a missing file never
+  // blocks removing the row. Returns the number of media items removed.
+  async removeAssets(items) {
+    let removed = 0;
+    for (const item of items) {
+      if (!item.publicId) continue;
+      const publicIds = [item.publicId].concat(
+        (item.variants || []).map((variant) => variant.publicId).filter(Boolean)
+      );
+      try {
+        const driver = this.driverFor(item.storage);
+        for (const publicId of publicIds) {
+          await driver.delete(publicId, item.mediaType);
+        }
+        removed += 1;
+      } catch (error) {
+        console.warn(
+          `Failed to delete media asset ${item.publicId}:`,
+          error.message
+        );
+      }
+    }
+    return removed;
+  }
+
+  // Media rows that will disappear with the given entries, or that were
+  // uploaded by the given users
+  async findForRemoval({ entryIds = [], userIds = [] }) {
+    const conditions = [];
+    if (entryIds.length) conditions.push({ entry: { $in: entryIds } });
+    if (userIds.length) conditions.push({ uploadedBy: { $in: userIds } });
+    if (conditions.length === 0) return [];
+
+    return Media.find({ $or: conditions })
+      .select("publicId mediaType storage variants")
+      .lean();
+  }
+
+  async healthCheck() {
+    if (!this.driver) {
+      return {
+        status: "unhealthy",
+        message: "Storage driver could not be created",
+        driver: process.env.STORAGE_DRIVER || "cloudinary",
+      };
+    }
+    return this.driver.healthCheck();
+  }
+}
+
+module.exports = new MediaService();
+module.exports.MediaService = MediaService;
@@ -0,0 +1,101 @@
+const Media = require("../models/Media");
+const mediaService = require("./media");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reconciles stored media files with the media table. Files no row points
+// to - left behind by failed uploads, rows removed outside the media
+// endpoints or entries deleted before media cleanup existed - are
+// reported and deleted in batches. Files younger than the grace period
+// are left alone: an upload stores its file before its row is written.
+class OrphanedMediaCollector {
+  constructor({
+    graceHours = Number(process.env.MEDIA_GC_GRACE_HOURS) || 24,
+    batchSize = 100,
+  } = {}) {
+    this.graceHours = graceHours;
+    this.batchSize = batchSize;
+  }
+
+  // Public ids of every file the media rows of a driver point to,
+  // generated image variants included
+  async referencedIds(driver) {
+    const rows = await Media.find({ storage: driver.name })
+      .select("publicId variants")
+      .lean();
+    const ids = new Set();
+    rows.forEach((row) => {
+      ids.add(row.publicId);
+      (row.variants || []).forEach((variant) => {
+        if (variant.publicId) ids.add(variant.publicId);
+      });
+    });
+    return ids;
+  }
+
+  // Scan every media folder of the active storage driver. With `dryRun`
+  // orphans are only reported.
+  async run({ dryRun = false, now = new Date() } = {}) {
+    mediaService.assertReady();
+    const driver = mediaService.driver;
+    const cutoff = new Date(now.getTime() - this.graceHours * HOUR_MS);
+    const referenced = await this.referencedIds(driver);
+
+    const counts = {
+      scanned: 0,
+      orphaned: 0,
+      withinGracePeriod: 0,
+      deleted: 0,
+    };
+    const orphans = [];
+    for (const mediaType of mediaService.types) {
+      const found = [];
+      let cursor = null;
+      do {
+        const page = await driver.list(mediaType, {
+          cursor,
+          limit: this.batchSize,
+        });
+        counts.scanned += page.files.length;
+        page.files
+          .filter((file) => !referenced.has(file.publicId))
+          .forEach((file) => {
+            if (new Date(file.createdAt) > cutoff) {
+              counts.withinGracePeriod += 1;
+            } else {
+              found.push({ ...file, mediaType });
+            }
+          });
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      counts.orphaned += found.length;
+      orphans.push(...found);
+      if (dryRun) continue;
+
+      for (let i = 0; i < found.length; i += this.batchSize) {
+        counts.deleted += await driver.deleteMany(
+          found.slice(i, i + this.batchSize).map((file) => file.publicId),
+          mediaType
+        );
+      }
+    }
+
+    if (counts.deleted) {
+      console.log(
+        `🗑️  Deleted ${counts.deleted} orphaned media files from ${driver.name} storage`
+      );
+    }
+    return {
+      storage: driver.name,
+      cutoff,
+      dryRun,
+      graceHours: this.graceHours,
+      counts,
+      orphans,
+    };
+  }
+}
+
+module.exports = new OrphanedMediaCollector();
+module.exports.OrphanedMediaCollector = OrphanedMediaCollector;
@@ -0,0 +1,88 @@
+// Base class for media storage drivers. A driver provides the multer
+// middleware that stores an uploaded file, describes the stored file for
+// the media table, and lists, deletes and links to stored files by the
+// `publicId` it assigned. Drivers live in ./drivers and are picked up by
+// name (see ./index.js).
+class StorageDriver {
+  static id = "base";
+
+  // Driver id, e.g. "local"
+  get name() {
+    return this.constructor.id;
+  }
+
+  // Whether the driver is configured well enough to store files
+  isReady() {
+    return true;
+  }
+
+  // Whether the driver derives resized images from URLs. Such drivers
+  // implement variantUrl(); for the others the image pipeline generates
+  // thumbnails and responsive variants on upload and write()s them.
+  get transformsImages() {
+    return false;
+  }
+
+  // multer instance storing uploads of a media type
+  uploader(mediaType) {
+    throw new Error(`${this.constructor.name} does not implement uploader()`);
+  }
+
+  // { url, publicId, fileSize, width, height, duration, thumbnailUrl } for
+  // a file the uploader stored
+  async describe(file, mediaType) {
+    throw new Error(`${this.constructor.name} does not implement describe()`);
+  }
+
+  // Public URL of a stored file
+  url(publicId) {
+    throw new Error(`${this.constructor.name} does not implement url()`);
+  }
+
+  // Contents of a stored file as a Buffer
+  async read(publicId) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  // Store generated contents under a public id
+  async write(publicId, buffer) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  async delete(publicId, mediaType) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  // Delete several files of a media type; returns how many were deleted
+  async deleteMany(publicIds, mediaType) {
+    let deleted = 0;
+    for (const publicId of publicIds) {
+      const result = await this.delete(publicId, mediaType);
+      if (result?.success !== false) deleted += 1;
+    }
+    return deleted;
+  }
+
+  // Stored files of a media type, a page at a time:
+  // { files: [{ publicId, url, size, createdAt }], nextCursor }
+  async list(mediaType, { cursor = null, limit = 100 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  // URL of a small preview, or null when the media type has none
+  thumbnailUrl(publicId, mediaType, { width = 200, height = 200 } = {}) {
+    return null;
+  }
+
+  // { path, handler } serving stored files from this server, for drivers
+  // that keep files locally; null when files are served elsewhere
+  staticRoute() {
+    return null;
+  }
+
+  async healthCheck() {
+    return { status: "healthy", driver: this.name };
+  }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,188 @@
+const path = require("path");
+const multer = require("multer");
+const cloudinaryConfig = require("../../../config/cloudinary");
+const imageProcessor = require("../../images");
+const StorageDriver = require("../StorageDriver");
+const { MEDIA_TYPES, fileFilter } = require("../mediaTypes");
+const { ValidationError } = require("../../../utils/errors");
+
+// Upload middleware and resource type of each media type in Cloudinary,
+// which files audio under "video" and documents under "raw". Images have
+// no middleware of their own; see uploadImage().
+const CLOUDINARY_TYPES = {
+  image: { resourceType: "image" },
+  audio: { uploader: "getAudioUpload", resourceType: "video" },
+  video: { uploader: "getVideoUpload", resourceType: "video" },
+  document: { uploader: "getDocumentUpload", resourceType: "raw" },
+};
+
+const resourceType = (mediaType) =>
+  CLOUDINARY_TYPES[mediaType]?.resourceType || "image";
+
+// Stores media in Cloudinary through config/cloudinary. Files get the
+// Cloudinary public_id and secure URL; thumbnails and responsive variants
+// are URL transformations. Images are held in memory and stripped of
+// their metadata before they are uploaded, so Cloudinary never receives
+// the EXIF block.
+class CloudinaryStorageDriver extends StorageDriver {
+  static id = "cloudinary";
+
+  constructor() {
+    super();
+    if (!this.isReady()) {
+      console.error(
+        "❌ STORAGE_DRIVER is cloudinary but CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are not all set. Media uploads will be refused; set STORAGE_DRIVER=local to store files on disk instead."
+      );
+    }
+  }
+
+  isReady() {
+    return cloudinaryConfig.isReady();
+  }
+
+  // Resized images are Cloudinary transformation URLs
+  get transformsImages() {
+    return true;
+  }
+
+  uploader(mediaType) {
+    if (mediaType === "image") {
+      return multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MEDIA_TYPES.image.maxSize },
+        fileFilter: fileFilter("image"),
+      });
+    }
+    return cloudinaryConfig[CLOUDINARY_TYPES[mediaType].uploader]();
+  }
+
+  // Upload a held image once its metadata is gone, limited to 1200x800
+  // like the other entry images
+  async uploadImage(file) {
+    let image;
+    try {
+      image = await imageProcessor.strip(file.buffer);
+    } catch (error) {
+      console.warn(
+        `Could not process image ${file.originalname}:`,
+        error.message
+      );
+      throw new ValidationError("The uploaded image could not be processed");
+    }
+
+    const name = path.parse(file.originalname).name;
+    const result = await cloudinaryConfig.uploadBuffer(image.buffer, {
+      folder: `contextbase/${MEDIA_TYPES.image.folder}`,
+      public_id: `${MEDIA_TYPES.image.prefix}_${name}_${Date.now()}`,
+      transformation: [
+        { width: 1200, height: 800, crop: "limit" },
+        { quality: "auto:good" },
+      ],
+    });
+
+    return {
+      url: result.url,
+      publicId: result.publicId,
+      fileSize: result.bytes,
+      width: result.width || null,
+      height: result.height || null,
+      duration: null,
+      thumbnailUrl: this.thumbnailUrl(result.publicId, "image"),
+    };
+  }
+
+  // Dimensions and duration are looked up afterwards; the file is still
+  // described if that lookup fails
+  async describe(file, mediaType) {
+    if (mediaType === "image") return this.uploadImage(file);
+
+    let details = {};
+    if (mediaType !== "document") {
+      try {
+        details = await cloudinaryConfig.getFileDetails(
+          file.filename,
+          resourceType(mediaType)
+        );
+      } catch (error) {
+        console.warn("Could not read media details:", error.message);
+      }
+    }
+
+    return {
+      url: file.path,
+      publicId: file.filename,
+      fileSize: file.size ?? details.bytes ?? null,
+      width: details.width || null,
+      height: details.height || null,
+      duration: details.duration ? Math.round(details.duration) : null,
+      thumbnailUrl: this.thumbnailUrl(file.filename, mediaType),
+    };
+  }
+
+  url(publicId, mediaType) {
+    return cloudinaryConfig.getTransformedUrl(publicId, {
+      resource_type: resourceType(mediaType),
+    });
+  }
+
+  // An image scaled down to `width` pixels
+  variantUrl(publicId, width) {
+    return cloudinaryConfig.getOptimizedImageUrl(publicId, width);
+  }
+
+  async delete(publicId, mediaType) {
+    return cloudinaryConfig.deleteFile(publicId, resourceType(mediaType));
+  }
+
+  // Cloudinary deletes up to 100 files per request
+  async deleteMany(publicIds, mediaType) {
+    let deleted = 0;
+    for (let i = 0; i < publicIds.length; i += 100) {
+      const result = await cloudinaryConfig.deleteFiles(
+        publicIds.slice(i, i + 100),
+        resourceType(mediaType)
+      );
+      deleted += Object.values(result.deleted).filter(
+        (status) => status === "deleted"
+      ).length;
+    }
+    return deleted;
+  }
+
+  async list(mediaType, { cursor = null, limit = 100 } = {}) {
+    const result = await cloudinaryConfig.listFiles(
+      `contextbase/${MEDIA_TYPES[mediaType].folder}/`,
+      {
+        resource_type: resourceType(mediaType),
+        max_results: limit,
+        ...(cursor && { next_cursor: cursor }),
+      }
+    );
+
+    return {
+      files: result.resources.map((resource) => ({
+        publicId: resource.public_id,
+        url: resource.secure_url,
+        size: resource.bytes,
+        createdAt: new Date(resource.created_at),
+      })),
+      nextCursor: result.nextCursor || null,
+    };
+  }
+
+  thumbnailUrl(publicId, mediaType, { width, height } = {}) {
+    if (mediaType === "image") {
+      return cloudinaryConfig.getThumbnailUrl(publicId, width, height);
+    }
+    if (mediaType === "video") {
+      return cloudinaryConfig.getVideoThumbnailUrl(publicId, width, height);
+    }
+    return null;
+  }
+
+  async healthCheck() {
+    return { ...(await cloudinaryConfig.healthCheck()), driver: this.name };
+  }
+}
+
+module.exports = CloudinaryStorageDriver;
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const multer = require("multer");
+const StorageDriver = require("../StorageDriver");
+const { MEDIA_TYPES, fileFilter } = require("../mediaTypes");
+
+const BACKEND_DIR = path.join(__dirname, "..", "..", "..");
+
+// File name part of an upload: lowercase letters, digits and dashes only
+const safeName = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "file";
+
+// Stores media on the server's disk under LOCAL_STORAGE_DIR (default
+// Backend/uploads), one folder per media type, and serves it back from
+// LOCAL_STORAGE_URL. For self-hosted setups and test environments that
+// have no Cloudinary account. Image thumbnails and responsive variants are
+// generated on upload (see services/images); until then an image is its
+// own thumbnail.
+class LocalStorageDriver extends StorageDriver {
+  static id = "local";
+
+  constructor({
+    root = process.env.LOCAL_STORAGE_DIR || "uploads",
+    baseUrl = process.env.LOCAL_STORAGE_URL || "/uploads",
+  } = {}) {
+    super();
+    this.root = path.resolve(BACKEND_DIR, root);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  // Absolute path of a stored file. Public ids are relative paths inside
+  // the storage root; anything pointing outside it is refused.
+  pathOf(publicId) {
+    const fullPath = path.resolve(this.root, String(publicId));
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage path: ${publicId}`);
+    }
+    return fullPath;
+  }
+
+  url(publicId) {
+    return `${this.baseUrl}/${publicId}`;
+  }
+
+  uploader(mediaType) {
+    const rules = MEDIA_TYPES[mediaType];
+    const folder = path.join(this.root, rules.folder);
+
+    return multer({
+      storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+          fs.promises
+            .mkdir(folder, { recursive: true })
+            .then(() => cb(null, folder), cb);
+        },
+        filename: (req, file, cb) => {
+          const { name, ext } = path.parse(file.originalname);
+          const suffix = `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+          cb(
+            null,
+            `${rules.prefix}_${safeName(name)}_${suffix}${ext.toLowerCase()}`
+          );
+        },
+      }),
+      limits: { fileSize: rules.maxSize },
+      fileFilter: fileFilter(mediaType),
+    });
+  }
+
+  async describe(file, mediaType) {
+    const publicId = `${MEDIA_TYPES[mediaType].folder}/${file.filename}`;
+    return {
+      url: this.url(publicId),
+      publicId,
+      fileSize: file.size ?? null,
+      width: null,
+      height: null,
+      duration: null,
+      thumbnailUrl: this.thumbnailUrl(publicId, mediaType),
+    };
+  }
+
+  async read(publicId) {
+    return fs.promises.readFile(this.pathOf(publicId));
+  }
+
+  async write(publicId, buffer) {
+    const fullPath = this.pathOf(publicId);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  }
+
+  async delete(publicId) {
+    try {
+      await fs.promises.unlink(this.pathOf(publicId));
+      return { success: true, message: "File deleted successfully" };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { success: false, message: "File not found" };
+      }
+      throw error;
+    }
+  }
+
+  // Files are listed by name, so the cursor is the last name returned
+  async list(mediaType, { cursor = null, limit = 100 } = {}) {
+    const folder = MEDIA_TYPES[mediaType].folder;
+    let names;
+    try {
+      names = (await fs.promises.readdir(path.join(this.root, folder)))
+        .filter((name) => !name.startsWith("."))
+        .sort();
+    } catch (error) {
+      if (error.code === "ENOENT") return { files: [], nextCursor: null };
+      throw error;
+    }
+
+    const remaining = cursor ? names.filter((name) => name > cursor) : names;
+    const page = remaining.slice(0, limit);
+    const files = await Promise.all(
+      page.map(async (name) => {
+        const publicId = `${folder}/${name}`;
+        const stats = await fs.promises.stat(this.pathOf(publicId));
+        return {
+          publicId,
+          url: this.url(publicId),
+          size: stats.size,
+          createdAt: stats.mtime,
+        };
+      })
+    );
+
+    return {
+      files,
+      nextCursor: remaining.length > limit ? page[page.length - 1] : null,
+    };
+  }
+
+  thumbnailUrl(publicId, mediaType) {
+    return mediaType === "image" ? this.url(publicId) : null;
+  }
+
+  // Serve stored files at the path of LOCAL_STORAGE_URL. Uploads are user
+  // content, so browsers must not sniff them into something executable.
+  staticRoute() {
+    return {
+      path: new URL(this.baseUrl, "http://localhost").pathname,
+      handler: express.static(this.root, {
+        dotfiles: "deny",
+        index: false,
+        setHeaders: (res) => {
+          res.setHeader("X-Content-Type-Options", "nosniff");
+        },
+      }),
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await fs.promises.mkdir(this.root, { recursive: true });
+      await fs.promises.access(this.root, fs.constants.W_OK);
+      return {
+        status: "healthy",
+        message: "Local media storage is writable",
+        driver: this.name,
+      };
+    } catch (error) {
+      return {
+        status: "unhealthy",
+        message: "Local media storage is not writable",
+        error: error.message,
+        driver: this.name,
+      };
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const StorageDriver = require("./StorageDriver");
+const { MEDIA_TYPES, fileFilter } = require("./mediaTypes");
+
+const DRIVERS_DIR = path.join(__dirname, "drivers");
+
+// Every file in ./drivers is a driver named after the file
+const availableDrivers = () =>
+  fs
+    .readdirSync(DRIVERS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => path.basename(file, ".js"))
+    .sort();
+
+// Build the driver named by STORAGE_DRIVER (default "cloudinary")
+const createStorageDriver = (
+  name = process.env.STORAGE_DRIVER || "cloudinary",
+  options = {}
+) => {
+  const id = String(name || "").toLowerCase();
+  if (!availableDrivers().includes(id)) {
+    throw new Error(
+      `Unsupported storage driver "${name}". Available: ${availableDrivers().join(", ")}`
+    );
+  }
+  const Driver = require(path.join(DRIVERS_DIR, id));
+  return new Driver(options);
+};
+
+module.exports = {
+  StorageDriver,
+  MEDIA_TYPES,
+  fileFilter,
+  availableDrivers,
+  createStorageDriver,
+};
@@ -0,0 +1,58 @@
+const path = require("path");
+const { ValidationError } = require("../../utils/errors");
+
+const MB = 1024 * 1024;
+
+// Upload rules for each media type: where files go, what may be uploaded
+// and how large it may be. Shared by the storage drivers.
+const MEDIA_TYPES = {
+  image: {
+    folder: "entries/images",
+    prefix: "entry",
+    extensions: ["jpg", "jpeg", "png", "gif", "webp"],
+    mimeType: /^image\//,
+    maxSize: 10 * MB,
+    label: "image files (JPEG, PNG, GIF, WebP)",
+  },
+  audio: {
+    folder: "entries/audio",
+    prefix: "audio",
+    extensions: ["mp3", "wav", "ogg", "m4a"],
+    mimeType: /^audio\//,
+    maxSize: 25 * MB,
+    label: "audio files (MP3, WAV, OGG, M4A)",
+  },
+  video: {
+    folder: "entries/videos",
+    prefix: "video",
+    extensions: ["mp4", "mov", "avi", "webm"],
+    mimeType: /^video\//,
+    maxSize: 100 * MB,
+    label: "video files (MP4, MOV, AVI, WebM)",
+  },
+  document: {
+    folder: "entries/documents",
+    prefix: "document",
+    extensions: ["pdf", "doc", "docx", "txt", "xls", "xlsx", "ppt", "pptx"],
+    mimeType: null,
+    maxSize: 10 * MB,
+    label: "document files (PDF, DOC, DOCX, TXT, XLS, XLSX, PPT, PPTX)",
+  },
+};
+
+// multer fileFilter accepting only the extensions and MIME types of a
+// media type
+const fileFilter = (mediaType) => {
+  const rules = MEDIA_TYPES[mediaType];
+  return (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    const allowed =
+      rules.extensions.includes(extension) &&
+      (!rules.mimeType || rules.mimeType.test(file.mimetype));
+
+    if (allowed) return cb(null, true);
+    cb(new ValidationError(`Only ${rules.label} are allowed!`));
+  };
+};
+
+module.exports = { MEDIA_TYPES, fileFilter };
@@ -0,0 +1,142 @@
+const Media = require("../models/Media");
+const User = require("../models/User");
+const { NotFoundError, QuotaExceededError } = require("../utils/errors");
+
+const MB = 1024 * 1024;
+
+// Role quota in bytes from STORAGE_QUOTA_<ROLE>_MB; 0 means unlimited
+const roleQuota = (role, defaultMb) => {
+  const value = process.env[`STORAGE_QUOTA_${role.toUpperCase()}_MB`];
+  const mb = value === undefined || value === "" ? defaultMb : Number(value);
+  return mb > 0 ? Math.round(mb * MB) : null;
+};
+
+// Per-user media storage quotas. Usage is the space the media a user
+// uploaded takes, generated image variants included, whatever entry it is
+// attached to. Media rows are only created by the upload endpoint, so the
+// sizes summed here are always the ones measured from the stored files.
+// The quota is the user's own storage_quota when an admin set one,
+// otherwise their role's. A null quota is unlimited.
+class StorageQuota {
+  constructor() {
+    this.roleQuotas = {
+      user: roleQuota("user", 500),
+      moderator: roleQuota("moderator", 2048),
+      admin: roleQuota("admin", 0),
+    };
+  }
+
+  quotaFor(user) {
+    if (user.storageQuota != null) return Number(user.storageQuota);
+    return this.roleQuotas[user.role] ?? this.roleQuotas.user;
+  }
+
+  // Bytes and file counts a user has stored, in total and per media type
+  async usageOf(userId) {
+    const rows = await Media.aggregate([
+      { $match: { uploadedBy: userId } },
+      {
+        $group: {
+          _id: "$mediaType",
+          bytes: { $sum: "$storedBytes" },
+          files: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const byType = {};
+    rows.forEach((row) => {
+      byType[row._id] = { bytes: row.bytes, files: row.files };
+    });
+    return {
+      used: rows.reduce((sum, row) => sum + row.bytes, 0),
+      files: rows.reduce((sum, row) => sum + row.files, 0),
+      byType,
+    };
+  }
+
+  async loadUser(userId) {
+    const user = await User.findById(userId)
+      .select("_id username role storageQuota")
+      .lean();
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  // Quota, usage and what is left for a user
+  async summary(userId) {
+    const user = await this.loadUser(userId);
+    const quota = this.quotaFor(user);
+    const usage = await this.usageOf(user._id);
+
+    return {
+      quota,
+      ...usage,
+      remaining: quota === null ? null : Math.max(0, quota - usage.used),
+      customQuota: user.storageQuota != null,
+    };
+  }
+
+  // Refuse an upload of `bytes` that would take the user over their quota
+  async assertCanUpload(userId, bytes = 0) {
+    const { quota, used, remaining } = await this.summary(userId);
+    if (quota === null || used + bytes <= quota) return;
+
+    throw new QuotaExceededError(
+      remaining > 0
+        ? "This file is larger than your remaining storage."
+        : "Storage quota reached. Delete some media to upload more.",
+      {
+        statusCode: 413,
+        code: "STORAGE_QUOTA_EXCEEDED",
+        details: { quota, used, remaining, requested: bytes },
+      }
+    );
+  }
+
+  // Users storing the most bytes, with their quotas
+  async topConsumers({ limit = 10 } = {}) {
+    const rows = await Media.aggregate([
+      {
+        $group: {
+          _id: "$uploadedBy",
+          used: { $sum: "$storedBytes" },
+          files: { $sum: 1 },
+        },
+      },
+      { $sort: { used: -1 } },
+      { $limit: limit },
+    ]);
+
+    const users = await User.find({ _id: { $in: rows.map((row) => row._id) } })
+      .select("_id username email role storageQuota")
+      .lean();
+    const byId = new Map(users.map((user) => [user._id, user]));
+
+    return rows
+      .filter((row) => byId.has(row._id))
+      .map((row) => {
+        const user = byId.get(row._id);
+        const quota = this.quotaFor(user);
+        return {
+          user: {
+            _id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+          },
+          used: row.used,
+          files: row.files,
+          quota,
+          percentUsed: quota
+            ? Math.round((row.used / quota) * 1000) / 10
+            : null,
+        };
+      });
+  }
+}
+
+module.exports = new StorageQuota();
+module.exports.StorageQuota = StorageQuota;
@@ -0,0 +1,144 @@
+const database = require("../config/db");
+const { quote } = require("../models/Model");
+const User = require("../models/User");
+const Entry = require("../models/Entry");
+const Comment = require("../models/Comment");
+const Tag = require("../models/Tag");
+const mediaService = require("./media");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Soft-deleted entries, comments and users: cascading a user's deletion to
+// their content, restoring it, and purging rows for good once they have
+// been in the trash longer than the retention period.
+class TrashService {
+  constructor({
+    retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  } = {}) {
+    this.retentionDays = retentionDays;
+  }
+
+  // When a row trashed at `deletedAt` will be purged
+  purgeDate(deletedAt) {
+    return new Date(
+      new Date(deletedAt).getTime() + this.retentionDays * DAY_MS
+    );
+  }
+
+  // Trash a user together with their entries and comments. Everything gets
+  // the same timestamp so restoreUser() brings back exactly those rows and
+  // not content that was already in the trash.
+  async trashUser(user, deletedBy) {
+    // TIMESTAMP columns have whole seconds; keep the stamps comparable
+    const deletedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+    await database.transaction(async (connection) => {
+      for (const model of [Comment, Entry]) {
+        await model.run(
+          `UPDATE ${quote(model.table)} SET deleted_at = ?, deleted_by = ?
+           WHERE author_id = ? AND deleted_at IS NULL`,
+          [deletedAt, deletedBy, user._id],
+          connection
+        );
+      }
+      await User.run(
+        `UPDATE ${quote(User.table)} SET deleted_at = ?, deleted_by = ? WHERE id = ?`,
+        [deletedAt, deletedBy, user._id],
+        connection
+      );
+      await Tag.refreshUsage(null, connection);
+    });
+
+    return deletedAt;
+  }
+
+  // Undo trashUser()
+  async restoreUser(user) {
+    await database.transaction(async (connection) => {
+      for (const model of [Comment, Entry]) {
+        await model.run(
+          `UPDATE ${quote(model.table)} SET deleted_at = NULL, deleted_by = NULL
+           WHERE author_id = ? AND deleted_at = ?`,
+          [user._id, user.deletedAt],
+          connection
+        );
+      }
+      await User.run(
+        `UPDATE ${quote(User.table)} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`,
+        [user._id],
+        connection
+      );
+      await Tag.refreshUsage(null, connection);
+    });
+  }
+
+  // Permanently delete everything trashed before the retention cutoff.
+  // With `dryRun` nothing is deleted and only the counts are returned.
+  async purge({ dryRun = false, now = new Date() } = {}) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS);
+    const expired = { deletedAt: { $lt: cutoff } };
+
+    const counts = {
+      comments: await Comment.countDocuments(expired),
+      entries: await Entry.countDocuments(expired),
+      users: await User.countDocuments(expired),
+    };
+    if (dryRun) return { cutoff, dryRun, counts };
+
+    // Media rows go with their entries and uploaders through ON DELETE
+    // CASCADE; note their stored files first so those can be deleted too
+    const ids = async (model) =>
+      (await model.find(expired).select("_id").lean()).map((doc) => doc._id);
+    const userIds = await ids(User);
+    const media = await mediaService.findForRemoval({
+      entryIds: await ids(Entry),
+      userIds,
+    });
+
+    // Only comments without replies are deleted, otherwise the
+    // parent_comment_id cascade would take live replies with them. Each pass
+    // removes one level of fully deleted threads.
+    counts.comments = 0;
+    let result;
+    do {
+      result = await Comment.run(
+        `DELETE FROM ${quote(Comment.table)}
+         WHERE deleted_at < ?
+           AND id NOT IN (
+             SELECT parent_comment_id FROM (
+               SELECT parent_comment_id FROM ${quote(Comment.table)}
+               WHERE parent_comment_id IS NOT NULL
+             ) AS replies
+           )`,
+        [cutoff]
+      );
+      counts.comments += result.affectedRows;
+    } while (result.affectedRows > 0);
+    counts.entries = (await Entry.deleteMany(expired)).deletedCount;
+
+    // The purged users' comments still here have replies, which the
+    // author_id and then parent_comment_id cascades would delete with them.
+    // Keep them as anonymous deleted placeholders instead; a later purge
+    // deletes them once their replies are gone.
+    if (userIds.length) {
+      await Comment.run(
+        `UPDATE ${quote(Comment.table)}
+         SET author_id = NULL, content = '', deleted_at = COALESCE(deleted_at, ?)
+         WHERE author_id IN (${userIds.map(() => "?").join(", ")})`,
+        [now, ...userIds]
+      );
+    }
+    counts.users = (await User.deleteMany(expired)).deletedCount;
+    counts.mediaFiles = await mediaService.removeAssets(media);
+
+    if (counts.comments || counts.entries || counts.users) {
+      console.log(
+        `🗑️  Purged ${counts.entries} entries, ${counts.comments} comments and ${counts.users} users from the trash`
+      );
+    }
+    return { cutoff, dryRun, counts };
+  }
+}
+
+module.exports = new TrashService();
+module.exports.TrashService = TrashService;
@@ -0,0 +1,116 @@
+// Word-level and list diffs for showing what an edit changes in a field
+
+// Beyond this many LCS cells the texts are reported as one replacement
+const MAX_CELLS = 4000000;
+
+// Missing, empty, or an object (like a location) with only blank values
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every(isBlank));
+
+// JSON with object keys sorted, so key order does not count as a change
+const canonical = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(
+          Object.entries(item).sort(([a], [b]) => (a < b ? -1 : 1))
+        )
+      : item
+  );
+
+const sameValue = (a, b) =>
+  (isBlank(a) && isBlank(b)) || canonical(a) === canonical(b);
+
+// Merge neighbouring operations of the same kind
+const pushOp = (ops, op, text) => {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else ops.push({ op, text });
+};
+
+// Diff two texts word by word (whitespace is kept with the words) as
+// [{ op: "equal" | "insert" | "delete", text }]
+const diffText = (before, after) => {
+  const a = String(before ?? "").match(/\s+|[^\s]+/g) || [];
+  const b = String(after ?? "").match(/\s+|[^\s]+/g) || [];
+  const ops = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    if (a.length) pushOp(ops, "delete", a.join(""));
+    if (b.length) pushOp(ops, "insert", b.join(""));
+    return ops;
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i:] and b[j:]
+  const n = a.length;
+  const m = b.length;
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(
+              lengths[(i + 1) * (m + 1) + j],
+              lengths[i * (m + 1) + j + 1]
+            );
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pushOp(ops, "equal", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      pushOp(ops, "delete", a[i++]);
+    } else {
+      pushOp(ops, "insert", b[j++]);
+    }
+  }
+  while (i < n) pushOp(ops, "delete", a[i++]);
+  while (j < m) pushOp(ops, "insert", b[j++]);
+  return ops;
+};
+
+// Items added to and removed from a list
+const diffList = (before, after) => {
+  const a = (before || []).map(canonical);
+  const b = (after || []).map(canonical);
+  return {
+    added: (after || []).filter((_, index) => !a.includes(b[index])),
+    removed: (before || []).filter((_, index) => !b.includes(a[index])),
+  };
+};
+
+// Describe the change of one field: text fields get a word diff, lists get
+// added/removed items, anything else just before/after
+const diffField = (field, before, after) => {
+  const change = {
+    field,
+    before: before ?? null,
+    after: after ?? null,
+    changed: !sameValue(before, after),
+  };
+  if (!change.changed) return change;
+
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return { ...change, ...diffList(before, after) };
+  }
+  if (
+    (before == null || typeof before === "string") &&
+    (after == null || typeof after === "string")
+  ) {
+    return { ...change, ops: diffText(before, after) };
+  }
+  return change;
+};
+
+module.exports = { sameValue, diffText, diffList, diffField };
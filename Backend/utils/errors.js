@@ -0,0 +1,78 @@
+// Application error hierarchy. Anything thrown from a route that extends
+// AppError is rendered by middleware/errorMiddleware.jsx as
+// { success: false, message, code, details } with its statusCode.
+
+class AppError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details) {
+    super(message, { statusCode: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+    super(message, { statusCode: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied") {
+    super(message, { statusCode: 403, code: "FORBIDDEN" });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found") {
+    super(message, { statusCode: 404, code: "NOT_FOUND" });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Resource already exists", details) {
+    super(message, { statusCode: 409, code: "CONFLICT", details });
+  }
+}
+
+// Rate limits and spending/usage quotas, ours or an upstream provider's
+class QuotaExceededError extends AppError {
+  constructor(
+    message = "Quota exceeded. Please try again later.",
+    { statusCode = 429, code = "QUOTA_EXCEEDED", details } = {}
+  ) {
+    super(message, { statusCode, code, details });
+  }
+}
+
+// The AI provider is unconfigured, unreachable or returned an error
+class UpstreamAIError extends AppError {
+  constructor(
+    message = "AI service request failed",
+    { statusCode = 502, code = "AI_UPSTREAM_ERROR", details, cause } = {}
+  ) {
+    super(message, { statusCode, code, details });
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  QuotaExceededError,
+  UpstreamAIError,
+};
@@ -0,0 +1,51 @@
+// Least-recently-used cache on top of Map's insertion order. Reading or
+// writing a key moves it to the back; the front is evicted when full.
+class LRUCache {
+  constructor({ maxSize = 500, ttlMs = 0 } = {}) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.items = new Map();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  get(key) {
+    const item = this.items.get(key);
+    if (!item) return undefined;
+
+    if (this.ttlMs && Date.now() - item.storedAt > this.ttlMs) {
+      this.items.delete(key);
+      return undefined;
+    }
+
+    this.items.delete(key);
+    this.items.set(key, item);
+    return item.value;
+  }
+
+  set(key, value) {
+    this.items.delete(key);
+    this.items.set(key, { value, storedAt: Date.now() });
+
+    while (this.items.size > this.maxSize) {
+      this.items.delete(this.items.keys().next().value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+module.exports = LRUCache;
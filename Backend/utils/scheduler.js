@@ -0,0 +1,50 @@
+// Minimal in-process job runner for periodic maintenance (purges, garbage
+// collection). Timers are unref'd so they never keep the process alive, and
+// a run is skipped while the previous one is still going.
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  every(name, intervalMs, task, { runAtStart = false } = {}) {
+    this.stop(name);
+
+    const job = { running: false, lastRunAt: null, lastError: null };
+    job.run = async () => {
+      if (job.running) return;
+      job.running = true;
+      try {
+        await task();
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.message;
+        console.error(`❌ Scheduled job "${name}" failed:`, error.message);
+      } finally {
+        job.running = false;
+        job.lastRunAt = new Date();
+      }
+    };
+
+    job.timer = setInterval(job.run, intervalMs);
+    job.timer.unref();
+    this.jobs.set(name, job);
+
+    if (runAtStart) setImmediate(job.run);
+    return job;
+  }
+
+  stop(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+    clearInterval(job.timer);
+    this.jobs.delete(name);
+    return true;
+  }
+
+  stopAll() {
+    [...this.jobs.keys()].forEach((name) => this.stop(name));
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.Scheduler = Scheduler;
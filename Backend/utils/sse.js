@@ -0,0 +1,51 @@
+// Minimal Server-Sent Events writer for an Express response
+
+const HEARTBEAT_MS = 15000;
+
+// Switch `res` to an event stream. `onClose` runs if the client goes away
+// before close() is called, e.g. to abort upstream work.
+const openEventStream = (res, { onClose } = {}) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let open = true;
+
+  // Comment lines keep idle proxies from dropping the connection
+  const heartbeat = setInterval(() => {
+    if (open) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (open) {
+      open = false;
+      if (onClose) onClose();
+    }
+  });
+
+  return {
+    get isOpen() {
+      return open;
+    },
+
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!open) return;
+      open = false;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+};
+
+module.exports = { openEventStream };